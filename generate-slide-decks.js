@@ -5,20 +5,40 @@
  *
  * Generates state-customized HTML slide decks by combining:
  * - slide-template.html (master template)
+ * - themes/*.json (optional district or state branding)
  * - slide-content/L-XX.json (chapter content)
+ * - slide-content/_partials/*.json (slides shared between chapters)
+ * - slide-content/{locale}/L-XX.json (optional translations; _labels.json for
+ *   the deck's own labels)
  * - state-data/states/{state}.json (state variables)
  * - Simple-Data-Files-Updated/{State}-simple-data.md (chapter mappings)
  *
  * Usage:
+ *   node generate-slide-decks.js
+ *   node generate-slide-decks.js --state=oklahoma
+ *   node generate-slide-decks.js --chapter=L-03 --concurrency=4
+ *   node generate-slide-decks.js --dry-run
+ *   node generate-slide-decks.js --missing-report --state=oklahoma
  *   node generate-slide-decks.js --state=oklahoma --chapter=L-03
+ *   node generate-slide-decks.js --state=oklahoma --chapter=L-03 --format=pptx
+ *   node generate-slide-decks.js --state=oklahoma --chapter=L-03 --theme=high-contrast
+ *   node generate-slide-decks.js --check-theme
+ *   node generate-slide-decks.js --state=oklahoma --chapter=L-03 --locale=es-US --draft
+ *   node generate-slide-decks.js --translation-report --locale=es
+ *   node generate-slide-decks.js --audit-a11y --state=oklahoma
  *   node generate-slide-decks.js --list-states
  *   node generate-slide-decks.js --list-chapters
  *   node generate-slide-decks.js --validate L-03.json
+ *   node generate-slide-decks.js --migrate
  */
 
+import crypto from 'crypto';
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { Worker, isMainThread, parentPort, workerData } from 'worker_threads';
+import { createPresentation } from './pptx-writer.js';
 
 // ES module equivalents for __dirname
 const __filename = fileURLToPath(import.meta.url);
@@ -31,32 +51,43 @@ const __dirname = path.dirname(__filename);
 const CONFIG = {
     templatePath: path.join(__dirname, 'slide-template.html'),
     contentDir: path.join(__dirname, 'slide-content'),
+    schemaPath: path.join(__dirname, 'slide-content.schema.json'),
     stateDataDir: path.join(__dirname, '..', 'state-data', 'states'),
     chapterMappingDir: path.join(__dirname, '..', 'Simple-Data-Files-Updated'),
     outputDir: path.join(__dirname, 'output'),
+    manifestPath: path.join(__dirname, 'output', 'build-manifest.json'),
+    indexTemplatePath: path.join(__dirname, 'index-template.html'),
+    pptxWriterPath: path.join(__dirname, 'pptx-writer.js'),
+    themesDir: path.join(__dirname, 'themes'),
+    // State → theme name; see THEMES
+    stateThemesPath: path.join(__dirname, 'themes', 'states.json'),
+    // Deck file names inside output/{state}/; see OUTPUT_PATTERN_TOKENS
+    outputPattern: 'chapter-{chapter}-{slug}-slides.html',
+    concurrency: Math.max(1, os.availableParallelism() - 1),
 };
 
-// State variables that can be calculated from base data
-const CALCULATED_FIELDS = {
-    CALCULATED_STATE_TAX_MONTHLY: (vars, baseAmount = 4000) => {
-        const rate = parseFloat(vars.INCOME_TAX_RATE || 0);
-        return `$${((baseAmount * rate) / 100).toFixed(2)}`;
-    },
-    CALCULATED_LOCAL_TAX_MONTHLY: (vars, baseAmount = 4000) => {
-        const rate = parseFloat(vars.LOCAL_INCOME_TAX || 0);
-        return `$${((baseAmount * rate) / 100).toFixed(2)}`;
-    },
-    CALCULATED_SDI_MONTHLY: (vars, baseAmount = 4000) => {
-        const rate = parseFloat(vars.SDI_RATE || 0);
-        return `$${((baseAmount * rate) / 100).toFixed(2)}`;
-    },
-    CALCULATED_TOTAL_STATE_DEDUCTIONS: (vars, baseAmount = 4000) => {
-        const stateRate = parseFloat(vars.INCOME_TAX_RATE || 0);
-        const localRate = parseFloat(vars.LOCAL_INCOME_TAX || 0);
-        const sdiRate = parseFloat(vars.SDI_RATE || 0);
-        const total = ((baseAmount * (stateRate + localRate + sdiRate)) / 100);
-        return `$${total.toFixed(2)}`;
-    }
+// Variables every chapter provides on top of the state data
+const CHAPTER_VARIABLES = [
+    'L_CHAPTER', 'CHAPTER_TITLE', 'CHAPTER_SUBTITLE', 'TOTAL_SLIDES',
+    'CHAPTER_ID', 'STATE_CHAPTER', 'STANDARD_NAME', 'STANDARD_NUMBER', 'STANDARD_TITLE', 'LOCALE'
+];
+
+// Values accepted by the template's slide classes
+const TITLE_SIZES = ['large', 'medium', 'small'];
+const HEADER_COLORS = ['purple', 'teal', 'blue', 'green', 'rose'];
+
+// Current metadata.schemaVersion; files without one are version 1
+const CURRENT_SCHEMA_VERSION = 2;
+
+// Locale the content is written in and decks are built for by default;
+// see LOCALE OVERLAYS
+const SOURCE_LOCALE = 'en-US';
+
+// Closing slide text used when a chapter leaves a field out
+const CLOSING_DEFAULTS = {
+    tagline: 'Building Financial Futures, One Lesson at a Time',
+    website: 'www.pflacademy.co',
+    copyright: '© 2025 PFL Academy. All rights reserved.'
 };
 
 // ============================================================================
@@ -71,25 +102,86 @@ function parseArgs() {
         listStates: false,
         listChapters: false,
         validate: null,
+        migrate: null,
+        concurrency: null,
+        printContext: false,
+        showMapping: false,
+        missingReport: false,
+        strict: false,
+        force: false,
+        dryRun: false,
+        outputPattern: null,
+        format: 'html',
+        theme: null,
+        checkTheme: null,
+        auditA11y: null,
+        locale: null,
+        draft: false,
+        translationReport: false,
+        help: false,
     };
 
     args.forEach(arg => {
         if (arg.startsWith('--state=')) {
             options.state = arg.split('=')[1].toLowerCase();
         } else if (arg.startsWith('--chapter=')) {
-            options.chapter = arg.split('=')[1].toUpperCase();
+            options.chapter = arg.split('=')[1];
         } else if (arg === '--list-states') {
             options.listStates = true;
         } else if (arg === '--list-chapters') {
             options.listChapters = true;
         } else if (arg === '--validate') {
-            options.validate = args[args.indexOf(arg) + 1];
+            options.validate = getOptionalFileArg(args, arg);
+        } else if (arg === '--migrate') {
+            options.migrate = getOptionalFileArg(args, arg);
+        } else if (arg.startsWith('--concurrency=')) {
+            options.concurrency = Number(arg.split('=')[1]);
+        } else if (arg === '--print-context') {
+            options.printContext = true;
+        } else if (arg === '--show-mapping') {
+            options.showMapping = true;
+        } else if (arg === '--missing-report') {
+            options.missingReport = true;
+        } else if (arg === '--strict') {
+            options.strict = true;
+        } else if (arg === '--force') {
+            options.force = true;
+        } else if (arg === '--dry-run') {
+            options.dryRun = true;
+        } else if (arg.startsWith('--output-pattern=')) {
+            options.outputPattern = arg.slice('--output-pattern='.length);
+        } else if (arg.startsWith('--format=')) {
+            options.format = arg.split('=')[1].toLowerCase();
+        } else if (arg.startsWith('--theme=')) {
+            options.theme = arg.slice('--theme='.length);
+        } else if (arg === '--check-theme') {
+            options.checkTheme = 'all';
+        } else if (arg.startsWith('--check-theme=')) {
+            options.checkTheme = arg.slice('--check-theme='.length);
+        } else if (arg === '--audit-a11y') {
+            options.auditA11y = getOptionalFileArg(args, arg);
+        } else if (arg.startsWith('--locale=')) {
+            options.locale = arg.slice('--locale='.length);
+        } else if (arg === '--draft') {
+            options.draft = true;
+        } else if (arg === '--translation-report') {
+            options.translationReport = true;
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
         }
     });
 
     return options;
 }
 
+// `--validate` and `--migrate` take an optional file; without one they
+// apply to every file in the content directory (`--audit-a11y`: every
+// generated deck)
+function getOptionalFileArg(args, flag) {
+    const next = args[args.indexOf(flag) + 1];
+    return next && !next.startsWith('--') ? next : 'all';
+}
+
 // ============================================================================
 // FILE LOADING FUNCTIONS
 // ============================================================================
@@ -98,23 +190,45 @@ function loadTemplate() {
     try {
         return fs.readFileSync(CONFIG.templatePath, 'utf8');
     } catch (error) {
-        console.error(`❌ Error loading template: ${error.message}`);
-        process.exit(1);
+        throw new Error(`Error loading template: ${error.message}`);
     }
 }
 
 function loadContentJSON(lChapter) {
     const contentPath = path.join(CONFIG.contentDir, `${lChapter}.json`);
 
+    let data;
     try {
         const content = fs.readFileSync(contentPath, 'utf8');
-        return JSON.parse(content);
+        data = JSON.parse(content);
     } catch (error) {
-        console.error(`❌ Error loading content JSON for ${lChapter}: ${error.message}`);
-        process.exit(1);
+        throw new Error(`Error loading content JSON for ${lChapter}: ${error.message}`);
+    }
+
+    const migration = migrateContent(data);
+    if (migration.fromVersion < CURRENT_SCHEMA_VERSION) {
+        console.warn(`⚠️  Warning: ${lChapter}.json uses schemaVersion ${migration.fromVersion}; migrated in memory`);
+        console.warn(`   Run: node generate-slide-decks.js --migrate ${path.relative(process.cwd(), contentPath)}`);
+    }
+
+    return resolveSlideRefs(migration.data, `${lChapter}.json`);
+}
+
+function loadContentSchema() {
+    try {
+        return JSON.parse(fs.readFileSync(CONFIG.schemaPath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Error loading content schema: ${error.message}`);
     }
 }
 
+function listContentFiles() {
+    return fs.readdirSync(CONFIG.contentDir)
+        .filter(f => f.endsWith('.json'))
+        .sort()
+        .map(f => path.join(CONFIG.contentDir, f));
+}
+
 function loadStateVariables(stateName) {
     const statePath = path.join(CONFIG.stateDataDir, `${stateName}.json`);
 
@@ -122,13 +236,21 @@ function loadStateVariables(stateName) {
         const content = fs.readFileSync(statePath, 'utf8');
         return JSON.parse(content);
     } catch (error) {
-        console.error(`❌ Error loading state data for ${stateName}: ${error.message}`);
-        console.error(`   Expected file: ${statePath}`);
-        process.exit(1);
+        throw new Error(`Error loading state data for ${stateName}: ${error.message}`);
     }
 }
 
 function loadChapterMapping(stateName) {
+    const mappingPath = findChapterMappingPath(stateName);
+
+    try {
+        return fs.readFileSync(mappingPath, 'utf8');
+    } catch (error) {
+        throw new Error(`Error reading chapter mapping: ${error.message}`);
+    }
+}
+
+function findChapterMappingPath(stateName) {
     // Try multiple filename formats
     const possibleNames = [
         `${stateName}-simple-data.md`,
@@ -139,458 +261,5450 @@ function loadChapterMapping(stateName) {
     for (const fileName of possibleNames) {
         const mappingPath = path.join(CONFIG.chapterMappingDir, fileName);
         if (fs.existsSync(mappingPath)) {
-            try {
-                return fs.readFileSync(mappingPath, 'utf8');
-            } catch (error) {
-                console.error(`❌ Error reading chapter mapping: ${error.message}`);
-                process.exit(1);
-            }
+            return mappingPath;
         }
     }
 
-    console.error(`❌ Chapter mapping file not found for ${stateName}`);
-    console.error(`   Tried: ${possibleNames.join(', ')}`);
-    process.exit(1);
+    throw new Error(`Chapter mapping file not found for ${stateName} (tried: ${possibleNames.join(', ')})`);
+}
+
+function listStateNames() {
+    return fs.readdirSync(CONFIG.stateDataDir)
+        .filter(f => f.endsWith('.json'))
+        .map(f => f.replace('.json', ''))
+        .sort();
+}
+
+function listChapterIds() {
+    return listContentFiles().map(f => path.basename(f, '.json'));
 }
 
 // ============================================================================
 // CHAPTER MAPPING PARSER
 // ============================================================================
 
-function parseChapterMapping(markdownContent, lChapter) {
-    // Parse markdown to find mapping for L-chapter to state chapter ID
-    // Format: | L-03 | 1.3 | Income and Taxes |
-
-    const lines = markdownContent.split('\n');
-    const tableRows = lines.filter(line => line.trim().startsWith('|'));
+const MAPPED_CHAPTER_PATTERN = /^LC?-\d+(?:-\d+)*$/;
+
+// Parsed mappings by state; each mapping file is read and parsed once
+const chapterMapCache = new Map();
+
+// Parses a {State}-simple-data.md file into
+// { 'L-03': { lChapter, stateChapter, title, standardNumber, standardTitle, standardName } }
+// Chapter tables sit under "## Standard N: Title" headings, one row per
+// chapter: | L-03 | 1.3 | Income and Taxes |
+function parseChapterMapping(markdownContent) {
+    const chapterMap = {};
+    let standard = { standardNumber: '', standardTitle: '', standardName: '' };
+
+    for (const line of markdownContent.split('\n')) {
+        const heading = line.match(/^##\s+(.+)$/);
+        if (heading) {
+            const standardName = heading[1].trim();
+            const numbered = standardName.match(/^Standard\s+(\d+)\s*[:.–-]\s*(.+)$/i);
+            standard = {
+                standardNumber: numbered ? numbered[1] : '',
+                standardTitle: numbered ? numbered[2].trim() : standardName,
+                standardName
+            };
+            continue;
+        }
 
-    for (const row of tableRows) {
-        const columns = row.split('|').map(col => col.trim()).filter(col => col);
+        if (!line.trim().startsWith('|')) {
+            continue;
+        }
 
-        if (columns[0] === lChapter) {
-            return {
+        // Header and separator rows fail the pattern
+        const columns = line.split('|').map(col => col.trim()).filter(col => col);
+        if (MAPPED_CHAPTER_PATTERN.test(columns[0] || '') && columns[1]) {
+            chapterMap[columns[0]] = {
+                lChapter: columns[0],
                 stateChapter: columns[1],
-                title: columns[2] || 'Unknown Chapter'
+                title: columns[2] || '',
+                ...standard
             };
         }
     }
 
-    console.warn(`⚠️  Warning: No mapping found for ${lChapter}, using fallback`);
-    return {
-        stateChapter: lChapter.replace('L-', ''),
-        title: 'Unknown Chapter'
-    };
+    return chapterMap;
 }
 
-// ============================================================================
-// VARIABLE INTERPOLATION
-// ============================================================================
-
-function interpolateVariables(template, stateVars, contentData) {
-    // Handle null/undefined template
-    if (!template || typeof template !== 'string') {
-        return template || '';
+function getChapterMap(state) {
+    if (!chapterMapCache.has(state)) {
+        chapterMapCache.set(state, parseChapterMapping(loadChapterMapping(state)));
     }
+    return chapterMapCache.get(state);
+}
 
-    let result = template;
-
-    // Replace basic state variables
-    Object.keys(stateVars).forEach(key => {
-        const placeholder = `{{${key}}}`;
-        const value = stateVars[key];
+// Content files are named after their L-chapter, with an optional suffix:
+// LC-36-37-combined-gambling → LC-36-37
+function toLChapter(chapterId) {
+    const match = chapterId.match(/^LC?-\d+(?:-\d+)*/);
+    return match ? match[0] : chapterId;
+}
 
-        // Handle different value types
-        let displayValue = value;
-        if (typeof value === 'number') {
-            displayValue = value.toString();
-        } else if (typeof value === 'boolean') {
-            displayValue = value ? 'Yes' : 'No';
-        } else if (value === null || value === undefined) {
-            displayValue = 'N/A';
-        }
+// Looks up a chapter in a parsed mapping, or null if the state does not
+// teach it. A combined chapter (LC-36-37) is mapped when every part is, and
+// takes its standard from the first part: 4.6 + 4.7 → 4.6-4.7
+function getChapterMapping(chapterMap, chapterId) {
+    const lChapter = toLChapter(chapterId);
+    if (chapterMap[lChapter]) {
+        return chapterMap[lChapter];
+    }
 
-        result = result.split(placeholder).join(displayValue);
-    });
+    const combined = lChapter.match(/^LC-(\d+(?:-\d+)+)$/);
+    if (!combined) {
+        return null;
+    }
 
-    // Replace calculated fields
-    Object.keys(CALCULATED_FIELDS).forEach(fieldName => {
-        const placeholder = `{{${fieldName}}}`;
-        const calculateFn = CALCULATED_FIELDS[fieldName];
-        const calculatedValue = calculateFn(stateVars);
+    const parts = combined[1].split('-').map(number => chapterMap[`L-${number.padStart(2, '0')}`]);
+    if (parts.some(part => !part)) {
+        return null;
+    }
 
-        result = result.split(placeholder).join(calculatedValue);
-    });
+    const first = parts[0];
+    const last = parts[parts.length - 1];
+    return {
+        ...first,
+        lChapter,
+        stateChapter: `${first.stateChapter}-${last.stateChapter}`,
+        title: parts.map(part => part.title).join(' / ')
+    };
+}
 
-    // Replace metadata placeholders
-    if (contentData && contentData.metadata) {
-        result = result.replace('{{CHAPTER_TITLE}}', contentData.metadata.title || '');
-        result = result.replace('{{CHAPTER_SUBTITLE}}', contentData.metadata.subtitle || '');
-    }
+// Compares a state's mapping with the content directory
+function findMappingGaps(chapterMap) {
+    const chapterIds = listChapterIds();
+    const covered = new Set(chapterIds.map(toLChapter));
 
-    return result;
+    return {
+        unmapped: chapterIds.filter(chapterId => !getChapterMapping(chapterMap, chapterId)),
+        withoutContent: Object.keys(chapterMap).filter(lChapter => !covered.has(lChapter))
+    };
 }
 
 // ============================================================================
-// SLIDE GENERATION
+// SCHEMA MIGRATION
 // ============================================================================
 
-function generateSlideHTML(slide, stateVars) {
-    let slideHTML = '';
+// Each entry upgrades content from the keyed version to the next one
+const CONTENT_MIGRATIONS = {
+    1: migrateV1ToV2
+};
 
-    // Determine slide type class
-    const slideClass = `slide-${slide.type}`;
-    const headerClass = slide.headerColor || 'purple';
+// Card colors written in v1 content that the template styles under another name
+const V1_COLOR_ALIASES = {
+    red: 'rose',
+    orange: 'amber',
+    primary: 'purple'
+};
 
-    slideHTML += `<div class="slide ${slideClass}">\n`;
+function getSchemaVersion(data) {
+    return (data && data.metadata && data.metadata.schemaVersion) || 1;
+}
 
-    // Add slide header
-    if (slide.content && slide.content.headerTitle) {
-        slideHTML += `  <div class="slide-header ${headerClass}">\n`;
-        slideHTML += `    <h1>${interpolateVariables(slide.content.headerTitle, stateVars, null)}</h1>\n`;
-        slideHTML += `  </div>\n`;
-    }
+function migrateContent(data) {
+    const fromVersion = getSchemaVersion(data);
+    let version = fromVersion;
 
-    // Add slide content based on layout
-    slideHTML += `  <div class="slide-body">\n`;
-    slideHTML += generateLayoutContent(slide.content, stateVars);
-    slideHTML += `  </div>\n`;
+    while (version < CURRENT_SCHEMA_VERSION) {
+        const migrate = CONTENT_MIGRATIONS[version];
+        if (!migrate) {
+            throw new Error(`No migration from schemaVersion ${version}`);
+        }
+        migrate(data);
+        version++;
+    }
 
-    // Add slide footer
-    slideHTML += `  <div class="slide-footer">\n`;
-    slideHTML += `    <span class="slide-number">${slide.number}</span>\n`;
-    slideHTML += `  </div>\n`;
+    if (fromVersion < CURRENT_SCHEMA_VERSION) {
+        // Keep schemaVersion as the first metadata key for readable diffs
+        const { schemaVersion, ...rest } = data.metadata;
+        data.metadata = { schemaVersion: CURRENT_SCHEMA_VERSION, ...rest };
+    }
 
-    slideHTML += `</div>\n\n`;
+    return { data, fromVersion, toVersion: version };
+}
 
-    return slideHTML;
+// v2 moves title/hook/discussion/closing text out of the layout wrappers some
+// chapters used (title-main, hook, discussion, closing), makes every keyPoint
+// an object, and restricts card colors to the template palette.
+function migrateV1ToV2(data) {
+    data.slides.forEach(slide => {
+        const content = slide.content || {};
+        const layoutData = content.layoutData || {};
+
+        if (slide.type === 'title' && content.layout) {
+            slide.content = {
+                title: layoutData.title || content.headerTitle,
+                titleSize: 'large',
+                subtitle: layoutData.subtitle
+            };
+        } else if (slide.type === 'hook' && content.layout) {
+            slide.content = {
+                label: 'Essential Question',
+                title: content.headerTitle,
+                scenario: layoutData.scenario,
+                question: layoutData.question
+            };
+        } else if (slide.type === 'discussion' && content.layout) {
+            slide.content = {
+                badge: 'Discussion',
+                title: content.headerTitle,
+                prompt: layoutData.prompt,
+                questions: layoutData.questions
+            };
+        } else if (slide.type === 'closing' && content.layout) {
+            slide.content = {
+                tagline: content.headerTitle || CLOSING_DEFAULTS.tagline,
+                message: layoutData.message,
+                callToAction: layoutData.callToAction,
+                website: CLOSING_DEFAULTS.website,
+                copyright: CLOSING_DEFAULTS.copyright
+            };
+        } else if (slide.type === 'content') {
+            migrateV1LayoutData(layoutData);
+        }
+    });
 }
 
-function generateLayoutContent(content, stateVars) {
-    if (!content || !content.layout) {
-        return '';
-    }
+// Outcome box types written in v1 content, mapped to the styled ones
+const V1_OUTCOME_ALIASES = {
+    positive: 'after',
+    negative: 'before',
+    warning: 'before'
+};
 
-    const layoutData = content.layoutData || {};
-    let html = '';
+function migrateV1LayoutData(layoutData) {
+    (layoutData.outcomes || []).forEach(outcome => {
+        if (V1_OUTCOME_ALIASES[outcome.type]) {
+            outcome.type = V1_OUTCOME_ALIASES[outcome.type];
+        }
+    });
 
-    switch (content.layout) {
-        case 'objectives-expanded':
-            html = generateObjectivesLayout(layoutData, stateVars);
-            break;
-        case 'vocab-container':
-            html = generateVocabLayout(layoutData, stateVars);
-            break;
-        case 'comparison-grid':
-            html = generateComparisonLayout(layoutData, stateVars);
-            break;
-        case 'scenario-layout':
-            html = generateScenarioLayout(layoutData, stateVars);
-            break;
-        case 'takeaway-grid':
-            html = generateTakeawayLayout(layoutData, stateVars);
-            break;
-        case 'paycheck-breakdown':
-            html = generatePaycheckLayout(layoutData, stateVars);
-            break;
-        case 'bullet-list-full':
-            html = generateBulletListLayout(layoutData, stateVars);
-            break;
-        default:
-            html = generateGenericLayout(layoutData, stateVars);
+    if (typeof layoutData.keyPoint === 'string') {
+        layoutData.keyPoint = { text: layoutData.keyPoint };
+    }
+    if (typeof layoutData.bottomKeyPoint === 'string') {
+        layoutData.bottomKeyPoint = { text: layoutData.bottomKeyPoint };
     }
 
-    return html;
-}
-
-// Layout generators for each type
-function generateObjectivesLayout(data, stateVars) {
-    let html = '<div class="objectives-expanded">\n';
+    [layoutData.leftPanel, layoutData.rightPanel, layoutData.insights].forEach(panel => {
+        if (!panel) return;
 
-    if (data.objectives) {
-        data.objectives.forEach(obj => {
-            html += `  <div class="objective-item">\n`;
-            html += `    <div class="objective-number">${obj.number}</div>\n`;
-            html += `    <div class="objective-content">\n`;
-            html += `      <div class="objective-verb">${interpolateVariables(obj.verb, stateVars, null)}</div>\n`;
-            html += `      <div class="objective-description">${interpolateVariables(obj.description, stateVars, null)}</div>\n`;
-            html += `    </div>\n`;
-            html += `  </div>\n`;
+        // The converter wrote null for blocks it did not find
+        Object.keys(panel).forEach(key => {
+            if (panel[key] === null) {
+                delete panel[key];
+            }
         });
-    }
 
-    html += '</div>\n';
-    return html;
+        const cards = [
+            panel,
+            panel.highlightBox,
+            panel.infoCard,
+            ...(panel.stats || []),
+            ...(panel.infoCards || [])
+        ];
+        cards.forEach(card => {
+            if (card && V1_COLOR_ALIASES[card.color]) {
+                card.color = V1_COLOR_ALIASES[card.color];
+            }
+        });
+    });
 }
 
-function generateVocabLayout(data, stateVars) {
-    let html = '<div class="vocab-container">\n';
+function migrateContentFiles(target) {
+    const files = target === 'all' ? listContentFiles() : [target];
+    let migrated = 0;
 
-    if (data.terms) {
-        data.terms.forEach(term => {
-            html += `  <div class="vocab-card">\n`;
-            html += `    <div class="vocab-term">${interpolateVariables(term.term, stateVars, null)}</div>\n`;
-            html += `    <div class="vocab-definition">${interpolateVariables(term.definition, stateVars, null)}</div>\n`;
-            html += `  </div>\n`;
-        });
+    console.log(`\n🔧 Migrating content to schemaVersion ${CURRENT_SCHEMA_VERSION}`);
+    console.log('─'.repeat(60));
+
+    for (const filePath of files) {
+        try {
+            const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            const result = migrateContent(data);
+
+            if (result.fromVersion < CURRENT_SCHEMA_VERSION) {
+                fs.writeFileSync(filePath, JSON.stringify(result.data, null, 2) + '\n', 'utf8');
+                console.log(`   ✓ ${path.basename(filePath)}: v${result.fromVersion} → v${result.toVersion}`);
+                migrated++;
+            }
+        } catch (error) {
+            console.error(`   ❌ ${path.basename(filePath)}: ${error.message}`);
+            return false;
+        }
     }
 
-    html += '</div>\n';
-    return html;
+    console.log(`\n   Migrated: ${migrated} of ${files.length} files`);
+    console.log('─'.repeat(60));
+    return true;
 }
 
-function generateComparisonLayout(data, stateVars) {
-    let html = '<div class="comparison-grid">\n';
-
-    if (data.columns) {
-        data.columns.forEach(col => {
-            html += `  <div class="comparison-column">\n`;
-            html += `    <div class="comparison-header">${interpolateVariables(col.header, stateVars, null)}</div>\n`;
-            html += `    <ul class="comparison-list">\n`;
+// ============================================================================
+// SLIDE REFERENCES
+// ============================================================================
 
-            if (col.items) {
-                col.items.forEach(item => {
-                    html += `      <li>${interpolateVariables(item, stateVars, null)}</li>\n`;
-                });
-            }
+// A slide written as { number, $ref, ...overrides } is replaced by the slide
+// it points to: a partial (_partials/closing.json, one slide without a
+// number) or a slide in another chapter (L-36.json#slide-7). Paths are
+// relative to the content directory. Overrides merge over the referenced
+// slide: objects key by key, other values replace, and null removes a field.
+const SLIDE_REF_PATTERN = /^(?:(_partials\/[\w-]+\.json)|(LC?-[\w-]+\.json)#slide-([1-9]\d*))$/;
 
-            html += `    </ul>\n`;
-            html += `  </div>\n`;
-        });
-    }
+function isSlideRef(slide) {
+    return Boolean(slide) && typeof slide === 'object' && '$ref' in slide;
+}
 
-    html += '</div>\n';
-    return html;
+// Resolves every slide reference in a chapter in place. fileName is the
+// chapter's own file (L-03.json); files collects the path of every file the
+// references read.
+function resolveSlideRefs(data, fileName, files = new Set()) {
+    const cache = new Map();
+    data.slides = data.slides.map(slide =>
+        resolveSlide(slide, [`${fileName}#slide-${slide.number}`], cache, files));
+    return data;
 }
 
-function generateScenarioLayout(data, stateVars) {
-    let html = '<div class="scenario-layout">\n';
+// trail lists the slides followed so far, to report reference cycles
+function resolveSlide(slide, trail, cache, files) {
+    if (!isSlideRef(slide)) {
+        return slide;
+    }
 
-    if (data.title) {
-        html += `  <h2>${interpolateVariables(data.title, stateVars, null)}</h2>\n`;
+    const { $ref, number, ...overrides } = slide;
+    const match = typeof $ref === 'string' && $ref.match(SLIDE_REF_PATTERN);
+    if (!match) {
+        throw new Error(`${trail[trail.length - 1]}: $ref must be _partials/NAME.json or L-XX.json#slide-N (got ${JSON.stringify($ref)})`);
     }
 
-    if (data.description) {
-        html += `  <p class="scenario-description">${interpolateVariables(data.description, stateVars, null)}</p>\n`;
+    const target = match[1] || `${match[2]}#slide-${match[3]}`;
+    if (trail.includes(target)) {
+        throw new Error(`Slide reference cycle: ${[...trail, target].join(' → ')}`);
     }
 
-    if (data.highlightBox) {
-        html += `  <div class="highlight-box">\n`;
-        html += `    <span class="highlight-icon">${data.highlightBox.icon}</span>\n`;
-        html += `    <span class="highlight-text">${interpolateVariables(data.highlightBox.text, stateVars, null)}</span>\n`;
-        html += `  </div>\n`;
+    let referenced;
+    if (match[1]) {
+        referenced = loadRefFile(match[1], cache, files);
+    } else {
+        const chapter = loadRefFile(match[2], cache, files);
+        referenced = (chapter.slides || []).find(candidate => candidate.number === Number(match[3]));
+        if (!referenced) {
+            throw new Error(`${trail[trail.length - 1]}: ${match[2]} has no slide ${match[3]}`);
+        }
     }
 
-    html += '</div>\n';
-    return html;
+    // The slide takes the number of its place in this chapter
+    const resolved = structuredClone(resolveSlide(referenced, [...trail, target], cache, files));
+    delete resolved.number;
+    return { number, ...mergeOverrides(resolved, overrides) };
 }
 
-function generateTakeawayLayout(data, stateVars) {
-    let html = '<div class="takeaway-grid">\n';
-
-    if (data.takeaways) {
-        data.takeaways.forEach(item => {
-            html += `  <div class="takeaway-card">\n`;
-            html += `    <div class="takeaway-icon">${item.icon}</div>\n`;
-            html += `    <div class="takeaway-text">${interpolateVariables(item.text, stateVars, null)}</div>\n`;
-            html += `  </div>\n`;
-        });
+function loadRefFile(fileName, cache, files) {
+    if (!cache.has(fileName)) {
+        const filePath = path.join(CONFIG.contentDir, fileName);
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Error loading referenced file ${fileName}: ${error.message}`);
+        }
+        files.add(filePath);
+        cache.set(fileName, Array.isArray(data.slides) ? migrateContent(data).data : data);
     }
+    return cache.get(fileName);
+}
 
-    html += '</div>\n';
-    return html;
+function mergeOverrides(target, overrides) {
+    Object.entries(overrides).forEach(([key, value]) => {
+        const current = target[key];
+        if (value === null) {
+            delete target[key];
+        } else if (isMergeable(value) && isMergeable(current)) {
+            mergeOverrides(current, value);
+        } else {
+            target[key] = value;
+        }
+    });
+    return target;
 }
 
-function generatePaycheckLayout(data, stateVars) {
-    let html = '<div class="paycheck-breakdown">\n';
-    html += '  <h3>Monthly Paycheck Breakdown</h3>\n';
+function isMergeable(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
 
-    if (data.lines) {
-        data.lines.forEach(line => {
-            const lineClass = line.type || '';
-            const isStateVar = line.isStateVariable ? ' data-state-variable="true"' : '';
+// ============================================================================
+// LOCALE OVERLAYS
+// ============================================================================
 
-            html += `  <div class="paycheck-line ${lineClass}"${isStateVar}>\n`;
-            html += `    <span class="label">${interpolateVariables(line.label, stateVars, null)}</span>\n`;
-            html += `    <span class="amount">${interpolateVariables(line.amount, stateVars, null)}</span>\n`;
-            html += `  </div>\n`;
-        });
-    }
+// Content is written in SOURCE_LOCALE. A chapter is translated by an overlay
+// in a folder named for the locale or its language, such as
+// slide-content/es/L-03.json:
+//
+//   {
+//     "metadata": { "title": "Ingresos e impuestos" },
+//     "slides": {
+//       "4": { "content.headerTitle": "Términos clave", "content.layoutData.terms.0.term": "Ingreso bruto" }
+//     }
+//   }
+//
+// Slides are keyed by their number in the content file, fields by their
+// dotted path inside the slide once $ref slides are resolved. Strings an
+// overlay leaves out stay in English; draft builds prefix them with
+// UNTRANSLATED_MARKER.
+const UNTRANSLATED_MARKER = '[EN] ';
+
+// Metadata fields that are shown to students
+const TRANSLATED_METADATA_FIELDS = ['title', 'subtitle'];
+
+// Slide fields holding identifiers, colors, conditions or addresses, not text
+const UNTRANSLATED_FIELDS = [
+    'number', '$ref', 'type', 'layout', 'headerColor', 'color', 'variant', 'titleSize',
+    'rankClass', 'rating', 'icon', 'url', 'website', 'includeWhen', 'excludeStates'
+];
+
+// Text the renderers add around the content. They are variables, so a
+// locale translates them once for every chapter, in _labels.json next to
+// its overlays: { "CHAPTER_LABEL": "Capítulo" }
+const DECK_LABELS = {
+    CHAPTER_LABEL: 'Chapter',
+    GROSS_INCOME_LABEL: 'Gross Monthly Income',
+    NET_INCOME_LABEL: 'Net Take-Home Pay'
+};
 
-    html += '</div>\n';
-    return html;
+const LABELS_FILE = '_labels.json';
+
+function getLocaleLanguage(locale) {
+    return locale.split('-')[0].toLowerCase();
 }
 
-function generateBulletListLayout(data, stateVars) {
-    let html = '<div class="bullet-list-full">\n';
+// Locales in the content's own language need no overlay, only formatting
+function isSourceLanguage(locale) {
+    return getLocaleLanguage(locale) === getLocaleLanguage(SOURCE_LOCALE);
+}
 
-    if (data.items) {
-        html += '  <ul>\n';
-        data.items.forEach(item => {
-            html += `    <li>${interpolateVariables(item, stateVars, null)}</li>\n`;
-        });
-        html += '  </ul>\n';
+// The overlay folder for a locale: es-MX/ when it exists, otherwise es/
+function findLocaleDir(locale) {
+    return [locale, getLocaleLanguage(locale)]
+        .map(name => path.join(CONFIG.contentDir, name))
+        .find(dir => fs.existsSync(dir) && fs.statSync(dir).isDirectory()) || null;
+}
+
+// Canonical form of a --locale value; throws for tags Intl rejects and for
+// other-language locales without an overlay folder
+function resolveLocale(locale) {
+    let canonical;
+    try {
+        [canonical] = Intl.getCanonicalLocales(locale);
+    } catch (error) {
+        throw new Error(`Invalid locale "${locale}" (use a tag such as es or es-US)`);
     }
 
-    html += '</div>\n';
-    return html;
+    if (!isSourceLanguage(canonical) && !findLocaleDir(canonical)) {
+        throw new Error(`No translations for ${canonical}: add overlays to slide-content/${getLocaleLanguage(canonical)}/`);
+    }
+    return canonical;
 }
 
-function generateGenericLayout(data, stateVars) {
-    // Fallback for unknown layouts
-    let html = '<div class="generic-content">\n';
-    html += `  <pre>${JSON.stringify(data, null, 2)}</pre>\n`;
-    html += '</div>\n';
-    return html;
+function getLocaleOverlayPath(lChapter, locale) {
+    const dir = findLocaleDir(locale);
+    return dir ? path.join(dir, `${lChapter}.json`) : null;
 }
 
-// ============================================================================
-// MAIN GENERATION FUNCTION
-// ============================================================================
-
-function generateSlideDeck(state, lChapter) {
-    console.log(`\n🎯 Generating slide deck for ${lChapter} - ${state}`);
-    console.log('─'.repeat(60));
-
-    // Load all required files
-    console.log('📂 Loading template...');
-    const template = loadTemplate();
+// A chapter's overlay, or null when the chapter has not been translated
+function loadLocaleOverlay(lChapter, locale) {
+    const overlayPath = getLocaleOverlayPath(lChapter, locale);
+    if (!overlayPath || !fs.existsSync(overlayPath)) {
+        return null;
+    }
 
-    console.log(`📂 Loading content JSON (${lChapter}.json)...`);
-    const contentData = loadContentJSON(lChapter);
+    const fileName = path.relative(CONFIG.contentDir, overlayPath);
+    let overlay;
+    try {
+        overlay = JSON.parse(fs.readFileSync(overlayPath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Error loading translation ${fileName}: ${error.message}`);
+    }
 
-    console.log(`📂 Loading state data (${state}.json)...`);
-    const stateVars = loadStateVariables(state);
+    const isStringMap = value => isMergeable(value) && Object.values(value).every(text => typeof text === 'string');
+    const unknownKeys = Object.keys(overlay).filter(key => key !== 'metadata' && key !== 'slides');
+    if (!isMergeable(overlay) || unknownKeys.length > 0) {
+        throw new Error(`${fileName}: a translation has only "metadata" and "slides"`);
+    }
+    if (overlay.metadata !== undefined && !isStringMap(overlay.metadata)) {
+        throw new Error(`${fileName}: "metadata" must map field names to strings`);
+    }
+    Object.entries(overlay.slides || {}).forEach(([number, fields]) => {
+        if (!/^[1-9]\d*$/.test(number) || !isStringMap(fields)) {
+            throw new Error(`${fileName}: "slides" must map slide numbers to { "field.path": "text" }`);
+        }
+    });
 
-    console.log(`📂 Loading chapter mapping for ${state}...`);
-    const mappingContent = loadChapterMapping(state);
-    const mapping = parseChapterMapping(mappingContent, lChapter);
+    return overlay;
+}
 
-    console.log(`✓ Mapped to state chapter: ${mapping.stateChapter}`);
+function getLocaleLabelsPath(locale) {
+    const dir = findLocaleDir(locale);
+    return dir ? path.join(dir, LABELS_FILE) : null;
+}
 
-    // Generate slides HTML
-    console.log(`\n🔨 Generating ${contentData.slides.length} slides...`);
-    let slidesHTML = '';
+// DECK_LABELS in the locale's language. Returns { labels, untranslated }:
+// labels has every name, those the locale leaves out in English (marked in
+// draft builds) and listed in untranslated.
+function loadLocaleLabels(locale, draft = false) {
+    const labelsPath = isSourceLanguage(locale) ? null : getLocaleLabelsPath(locale);
+    let translations = {};
+    if (labelsPath && fs.existsSync(labelsPath)) {
+        const fileName = path.relative(CONFIG.contentDir, labelsPath);
+        try {
+            translations = JSON.parse(fs.readFileSync(labelsPath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Error loading translation ${fileName}: ${error.message}`);
+        }
+        if (!isMergeable(translations)) {
+            throw new Error(`${fileName}: must map label names to strings`);
+        }
+        Object.entries(translations).forEach(([name, text]) => {
+            if (!(name in DECK_LABELS)) {
+                throw new Error(`${fileName}: unknown label ${name} (labels: ${Object.keys(DECK_LABELS).join(', ')})`);
+            }
+            if (typeof text !== 'string') {
+                throw new Error(`${fileName}: ${name} must be a string`);
+            }
+        });
+    }
 
-    contentData.slides.forEach((slide, index) => {
-        slidesHTML += generateSlideHTML(slide, stateVars);
-        process.stdout.write(`   Slide ${index + 1}/${contentData.slides.length}\r`);
+    const labels = {};
+    const untranslated = [];
+    Object.entries(DECK_LABELS).forEach(([name, text]) => {
+        if (name in translations || isSourceLanguage(locale)) {
+            labels[name] = name in translations ? translations[name] : text;
+        } else {
+            labels[name] = draft ? `${UNTRANSLATED_MARKER}${text}` : text;
+            untranslated.push(name);
+        }
     });
+    return { labels, untranslated };
+}
 
-    console.log(`\n✓ All slides generated`);
+// Every string a translator should see, as [{ slide, path, holder, key }]:
+// slide is null for metadata, and holder[key] is where the text lives.
+// Strings with no letters once placeholders and tags are removed ("$4,000",
+// "{{STATE_NAME}}") read the same in every language and are left out.
+function collectTranslatableStrings(data) {
+    const strings = [];
+
+    const visit = (holder, key, slide, pathParts) => {
+        const value = holder[key];
+        if (typeof value === 'string') {
+            const words = value.replace(PLACEHOLDER_PATTERN, '').replace(/<[^>]*>|&[#\w]+;/g, '');
+            if (/\p{L}/u.test(words)) {
+                strings.push({ slide, path: pathParts.join('.'), holder, key });
+            }
+        } else if (Array.isArray(value)) {
+            value.forEach((item, index) => visit(value, index, slide, [...pathParts, index]));
+        } else if (value && typeof value === 'object') {
+            Object.keys(value)
+                .filter(childKey => !UNTRANSLATED_FIELDS.includes(childKey))
+                .forEach(childKey => visit(value, childKey, slide, [...pathParts, childKey]));
+        }
+    };
 
-    // Replace template placeholders
-    console.log('\n🔄 Interpolating variables...');
-    let finalHTML = template.replace('<!-- SLIDES_CONTENT -->', slidesHTML);
-    finalHTML = interpolateVariables(finalHTML, stateVars, contentData);
+    TRANSLATED_METADATA_FIELDS.forEach(field => visit(data.metadata, field, null, [field]));
+    data.slides.forEach(slide => {
+        Object.keys(slide)
+            .filter(key => !UNTRANSLATED_FIELDS.includes(key))
+            .forEach(key => visit(slide, key, slide.number, [key]));
+    });
 
-    // Add state-specific metadata
-    finalHTML = finalHTML.replace('{{STATE_CHAPTER}}', mapping.stateChapter);
+    return strings;
+}
 
-    // Ensure output directory exists
-    const stateOutputDir = path.join(CONFIG.outputDir, state);
-    if (!fs.existsSync(stateOutputDir)) {
-        fs.mkdirSync(stateOutputDir, { recursive: true });
-    }
+// Applies an overlay (null for none) to loaded content in place. Returns
+// { untranslated, translated, unused }: the strings left in English as
+// [{ slide, path, text }], the number translated, and the overlay entries
+// that match no string in the content (left behind when the English
+// changed) as [{ slide, path }].
+function translateContent(data, overlay, draft = false) {
+    const entries = new Map();
+    Object.entries((overlay && overlay.metadata) || {}).forEach(([fieldPath, text]) => {
+        entries.set(`metadata:${fieldPath}`, text);
+    });
+    Object.entries((overlay && overlay.slides) || {}).forEach(([number, fields]) => {
+        Object.entries(fields).forEach(([fieldPath, text]) => entries.set(`${number}:${fieldPath}`, text));
+    });
 
-    // Write output file
-    const outputFileName = `chapter-${mapping.stateChapter}-slides.html`;
-    const outputPath = path.join(stateOutputDir, outputFileName);
+    const untranslated = [];
+    let translated = 0;
 
-    console.log(`\n💾 Writing output file...`);
-    fs.writeFileSync(outputPath, finalHTML, 'utf8');
+    collectTranslatableStrings(data).forEach(({ slide, path: fieldPath, holder, key }) => {
+        const entryKey = `${slide === null ? 'metadata' : slide}:${fieldPath}`;
+        if (entries.has(entryKey)) {
+            holder[key] = entries.get(entryKey);
+            entries.delete(entryKey);
+            translated++;
+        } else {
+            untranslated.push({ slide, path: fieldPath, text: holder[key] });
+            if (draft) {
+                holder[key] = `${UNTRANSLATED_MARKER}${holder[key]}`;
+            }
+        }
+    });
 
-    console.log(`\n✅ Success!`);
-    console.log(`   Output: ${outputPath}`);
-    console.log(`   Size: ${(finalHTML.length / 1024).toFixed(2)} KB`);
-    console.log('─'.repeat(60));
+    const unused = [...entries.keys()].map(entryKey => {
+        const separator = entryKey.indexOf(':');
+        const slide = entryKey.slice(0, separator);
+        return { slide: slide === 'metadata' ? null : Number(slide), path: entryKey.slice(separator + 1) };
+    });
 
-    return outputPath;
+    return { untranslated, translated, unused };
 }
 
 // ============================================================================
-// VALIDATION FUNCTION
+// HTML ESCAPING & SANITIZING
 // ============================================================================
 
-function validateContentJSON(filePath) {
-    console.log(`\n🔍 Validating: ${filePath}`);
-    console.log('─'.repeat(60));
+// Content fields are HTML fragments, but only these tags (and attribute
+// values) are allowed. Anything else is escaped so it shows as literal text.
+const ALLOWED_CONTENT_TAGS = {
+    strong: {},
+    em: {},
+    br: {},
+    span: { class: ['highlight-text', 'bullet'] }
+};
 
-    try {
-        const content = fs.readFileSync(filePath, 'utf8');
-        const data = JSON.parse(content);
+const URL_SCHEMES = ['http:', 'https:', 'mailto:', 'tel:'];
 
-        let errors = [];
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+const HTML_TAG_PATTERN = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*(\/?)>/g;
+const HTML_ATTRIBUTE_PATTERN = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+
+// Escapes a value for HTML text or a quoted attribute
+function escapeHTML(value) {
+    return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+// Escapes content text between tags, keeping entities the author wrote
+function escapeContentText(text) {
+    return text
+        .replace(/&(?![a-zA-Z][a-zA-Z0-9]*;|#\d+;|#x[0-9a-fA-F]+;)/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+// Class names and other content-driven attribute values
+function escapeAttribute(value) {
+    return escapeHTML(value).replace(/`/g, '&#96;');
+}
+
+// URLs must be relative, schemeless (example.org) or use an allowed scheme;
+// anything else (javascript:, data:) renders as an empty string
+function sanitizeURL(value) {
+    const url = String(value).trim();
+    // Browsers ignore control characters and whitespace inside a scheme
+    const scheme = url.replace(/[\u0000- ]/g, '').match(/^([a-zA-Z][a-zA-Z0-9+.-]*:)/);
+    if (scheme && !URL_SCHEMES.includes(scheme[1].toLowerCase())) {
+        return '';
+    }
+    return escapeAttribute(url);
+}
+
+function parseHTMLAttributes(source) {
+    return [...source.matchAll(HTML_ATTRIBUTE_PATTERN)].map(match => ({
+        name: match[1].toLowerCase(),
+        value: match[2] ?? match[3] ?? match[4] ?? ''
+    }));
+}
+
+// Returns why a tag is not allowed, or null
+function getDisallowedTagReason(tagName, attributes) {
+    const allowed = ALLOWED_CONTENT_TAGS[tagName.toLowerCase()];
+    if (!allowed) {
+        return `<${tagName.toLowerCase()}> is not allowed`;
+    }
+    for (const { name, value } of attributes) {
+        if (!allowed[name]) {
+            return name.startsWith('on')
+                ? `event handler ${name} on <${tagName.toLowerCase()}>`
+                : `attribute ${name} is not allowed on <${tagName.toLowerCase()}>`;
+        }
+        if (!allowed[name].includes(value)) {
+            return `${name}="${value}" is not allowed on <${tagName.toLowerCase()}>`;
+        }
+    }
+    return null;
+}
+
+// Lists every disallowed tag or attribute in a content string
+function findDisallowedHTML(text) {
+    const problems = [];
+    for (const match of text.matchAll(HTML_TAG_PATTERN)) {
+        if (match[0].startsWith('<!--')) {
+            continue;
+        }
+        const [, closing, tagName, attributeSource] = match;
+        if (closing) {
+            continue; // reported with the opening tag
+        }
+        const reason = getDisallowedTagReason(tagName, parseHTMLAttributes(attributeSource));
+        if (reason) {
+            problems.push(reason);
+        }
+    }
+    return problems;
+}
+
+// Keeps allowlisted tags (normalized and balanced) and escapes everything
+// else. Comments are dropped.
+function sanitizeContentHTML(text) {
+    const openTags = [];
+    let html = '';
+    let lastIndex = 0;
+
+    for (const match of text.matchAll(HTML_TAG_PATTERN)) {
+        html += escapeContentText(text.slice(lastIndex, match.index));
+        lastIndex = match.index + match[0].length;
+
+        if (match[0].startsWith('<!--')) {
+            continue;
+        }
+
+        const [source, closing, tagName, attributeSource] = match;
+        const tag = tagName.toLowerCase();
+
+        if (closing) {
+            if (openTags[openTags.length - 1] === tag) {
+                openTags.pop();
+                html += `</${tag}>`;
+            } else {
+                html += escapeContentText(source);
+            }
+            continue;
+        }
+
+        const attributes = parseHTMLAttributes(attributeSource);
+        if (getDisallowedTagReason(tag, attributes)) {
+            html += escapeContentText(source);
+        } else if (tag === 'br') {
+            html += '<br>';
+        } else {
+            openTags.push(tag);
+            html += `<${tag}${attributes.map(({ name, value }) => ` ${name}="${escapeAttribute(value)}"`).join('')}>`;
+        }
+    }
+
+    html += escapeContentText(text.slice(lastIndex));
+    return html + openTags.reverse().map(tag => `</${tag}>`).join('');
+}
+
+// ============================================================================
+// VARIABLE INTERPOLATION
+// ============================================================================
+
+// Placeholder names that differ from the state data field by more than the
+// STATE_ prefix
+const VARIABLE_ALIASES = {
+    STATE_CODE: 'STATE_ABBREVIATION',
+    STATE_AVG_MORTGAGE_RATE: 'AVG_MORTGAGE_RATE_30YR',
+    MORTGAGE_RATE: 'AVG_MORTGAGE_RATE_30YR'
+};
+
+// Builds the flat name → value map used to fill {{PLACEHOLDERS}}:
+// - nested state data is flattened to upper-case leaf names
+//   (taxes.income_tax_rate → INCOME_TAX_RATE); a leaf name already taken by
+//   another group is qualified with its path (HOUSING_MEDIAN_RENT)
+// - a name without STATE in it is also reachable with the STATE_ prefix
+//   (INCOME_TAX_RATE → STATE_INCOME_TAX_RATE), plus the irregular names in
+//   VARIABLE_ALIASES; prefixes are never stripped or doubled
+// - chapter variables and metadata.calculations are merged in last
+// locale (LOCALE) decides how filters format numbers and the page's lang;
+// labels are DECK_LABELS in that locale's language.
+function buildVariableContext(stateVars, contentData, mapping, locale = SOURCE_LOCALE, labels = DECK_LABELS) {
+    const context = {};
+
+    flattenStateVariables(stateVars || {}, [], context);
+
+    Object.keys(context).forEach(name => {
+        const alias = `STATE_${name}`;
+        if (!/(^|_)STATE(_|$)/.test(name) && !(alias in context)) {
+            context[alias] = context[name];
+        }
+    });
+
+    Object.entries(VARIABLE_ALIASES).forEach(([alias, name]) => {
+        if (!(alias in context) && name in context) {
+            context[alias] = context[name];
+        }
+    });
+
+    if (contentData && contentData.metadata) {
+        context.L_CHAPTER = contentData.metadata.lChapter;
+        context.CHAPTER_TITLE = contentData.metadata.title || '';
+        context.CHAPTER_SUBTITLE = contentData.metadata.subtitle || '';
+        context.TOTAL_SLIDES = contentData.slides.length;
+    }
+
+    if (mapping) {
+        context.CHAPTER_ID = mapping.stateChapter;
+        context.STATE_CHAPTER = mapping.stateChapter;
+        context.STANDARD_NAME = mapping.standardName || '';
+        context.STANDARD_NUMBER = mapping.standardNumber || '';
+        context.STANDARD_TITLE = mapping.standardTitle || '';
+    }
+
+    context.LOCALE = locale;
+    Object.assign(context, labels);
+
+    // A calculation whose inputs this state lacks (or holds as text) is left
+    // out, so it renders and reports as [MISSING: NAME] like any other gap
+    if (contentData && contentData.metadata) {
+        planCalculations(contentData.metadata).forEach(({ name, ast, names }) => {
+            if ([...names].every(input => input in context)) {
+                const value = evaluateCalculation(ast, context);
+                if (value !== null) {
+                    context[name] = value;
+                }
+            }
+        });
+    }
+
+    return context;
+}
+
+function flattenStateVariables(value, pathParts, context) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        Object.entries(value).forEach(([key, child]) => {
+            flattenStateVariables(child, [...pathParts, key], context);
+        });
+        return;
+    }
+
+    const leafName = pathParts[pathParts.length - 1].toUpperCase();
+    const name = leafName in context ? pathParts.join('_').toUpperCase() : leafName;
+    context[name] = value;
+}
+
+// Numbers use the locale's decimal mark but no grouping, so years stay 2025
+function formatVariableValue(value, locale = SOURCE_LOCALE) {
+    if (typeof value === 'number') {
+        return value.toLocaleString(locale, { useGrouping: false, maximumFractionDigits: 20 });
+    } else if (typeof value === 'boolean') {
+        return value ? 'Yes' : 'No';
+    } else if (value === null || value === undefined) {
+        return 'N/A';
+    } else if (Array.isArray(value)) {
+        return value.join(', ');
+    }
+    return String(value);
+}
+
+// Matches {{NAME}} and {{NAME|filter:arg|...}}
+const PLACEHOLDER_PATTERN = /\{\{([A-Z0-9_]+)((?:\|[^|{}]+)*)\}\}/g;
+
+// Every {{PLACEHOLDER}} in a value (searched as JSON), as
+// [{ expression, name, filters }]
+function findPlaceholderExpressions(value) {
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return [...text.matchAll(PLACEHOLDER_PATTERN)].map(([expression, name, chain]) => ({
+        expression,
+        name,
+        filters: parseFilterChain(chain)
+    }));
+}
+
+// Names of every {{PLACEHOLDER}} in a value
+function findPlaceholders(value) {
+    return new Set(findPlaceholderExpressions(value).map(({ name }) => name));
+}
+
+// Placeholders in the given slides that the context cannot resolve, as
+// [{ name, slide }] with the slide number where each is used. Placeholders
+// in {{#if}} branches this state does not render are ignored.
+function findMissingVariables(slides, context) {
+    const missing = [];
+
+    slides.forEach(slide => {
+        const names = new Set();
+        collectStrings(slide).forEach(({ text }) => {
+            findPlaceholders(renderConditionals(text, context)).forEach(name => names.add(name));
+        });
+
+        names.forEach(name => {
+            if (!(name in context)) {
+                missing.push({ name, slide: slide.number });
+            }
+        });
+    });
+
+    return missing;
+}
+
+// Every string inside a JSON value, as [{ text, pointer }]
+function collectStrings(value, pointer = '', strings = []) {
+    if (typeof value === 'string') {
+        strings.push({ text: value, pointer });
+    } else if (Array.isArray(value)) {
+        value.forEach((item, index) => collectStrings(item, `${pointer}/${index}`, strings));
+    } else if (value && typeof value === 'object') {
+        Object.entries(value).forEach(([key, child]) => collectStrings(child, `${pointer}/${key}`, strings));
+    }
+    return strings;
+}
+
+// "NAME (slides 3, 5), OTHER (slide 8)"
+function formatMissingVariables(missing) {
+    const slidesByName = new Map();
+    missing.forEach(({ name, slide }) => {
+        slidesByName.set(name, [...(slidesByName.get(name) || []), slide]);
+    });
+
+    return [...slidesByName].map(([name, slides]) =>
+        `${name} (slide${slides.length > 1 ? 's' : ''} ${slides.join(', ')})`).join(', ');
+}
+
+// Replaces every {{NAME}} with its value from the context. Names the state
+// data lacks are rendered as [MISSING: NAME] so gaps are visible in review.
+// escape(value) makes each value safe for where it lands.
+function fillPlaceholders(text, context, escape) {
+    return text.replace(PLACEHOLDER_PATTERN, (placeholder, name, chain) => {
+        if (!(name in context)) {
+            return `[MISSING: ${name}]`;
+        }
+        return escape(formatVariableValue(applyFilters(context[name], parseFilterChain(chain), context.LOCALE), context.LOCALE));
+    });
+}
+
+// Renders a content field as an HTML fragment: {{#if}} blocks, then the
+// allowlist sanitizer, then placeholders with HTML-escaped values
+function interpolateVariables(template, context) {
+    // Handle null/undefined template
+    if (!template || typeof template !== 'string') {
+        return template || '';
+    }
+
+    return fillPlaceholders(sanitizeContentHTML(renderConditionals(template, context)), context, escapeHTML);
+}
+
+// Renders a content field as a URL; unsafe schemes render as ''
+function interpolateURL(template, context) {
+    if (!template || typeof template !== 'string') {
+        return '';
+    }
+    return sanitizeURL(fillPlaceholders(renderConditionals(template, context), context, String));
+}
+
+// ============================================================================
+// CONDITIONAL CONTENT
+// ============================================================================
+
+// Text fields may contain {{#if NAME}}…{{else}}…{{/if}} blocks (else is
+// optional, blocks may nest, !NAME negates). Slides may set
+// includeWhen: "NAME" / "!NAME" and excludeStates: ["texas", ...].
+const CONDITIONAL_TAG_PATTERN = /\{\{(?:#if\s+(!?)([A-Z][A-Z0-9_]*)|(else)|(\/if))\}\}/g;
+
+// Parses text into [{ type: 'text', value } | { type: 'if', negate, name,
+// then: [...], else: [...] | null }]. Throws on unbalanced tags.
+function parseConditionals(text) {
+    const root = { then: [] };
+    const stack = [root];
+    const branch = () => {
+        const block = stack[stack.length - 1];
+        return block.else || block.then;
+    };
+    let lastIndex = 0;
+
+    for (const match of text.matchAll(CONDITIONAL_TAG_PATTERN)) {
+        if (match.index > lastIndex) {
+            branch().push({ type: 'text', value: text.slice(lastIndex, match.index) });
+        }
+        lastIndex = match.index + match[0].length;
+
+        const [, negate, name, isElse, isEnd] = match;
+        const block = stack[stack.length - 1];
+
+        if (name) {
+            const node = { type: 'if', negate: negate === '!', name, then: [], else: null };
+            branch().push(node);
+            stack.push(node);
+        } else if (isElse) {
+            if (block === root || block.else) {
+                throw new Error(`{{else}} without a matching {{#if}} in "${text}"`);
+            }
+            block.else = [];
+        } else if (isEnd) {
+            if (block === root) {
+                throw new Error(`{{/if}} without a matching {{#if}} in "${text}"`);
+            }
+            stack.pop();
+        }
+    }
+
+    if (stack.length > 1) {
+        throw new Error(`{{#if ${stack[stack.length - 1].name}}} is missing {{/if}} in "${text}"`);
+    }
+    if (lastIndex < text.length) {
+        branch().push({ type: 'text', value: text.slice(lastIndex) });
+    }
+
+    return root.then;
+}
+
+// Resolves {{#if}} blocks against the context
+function renderConditionals(text, context) {
+    if (typeof text !== 'string' || !/\{\{(#if|else\}|\/if\})/.test(text)) {
+        return text;
+    }
+    return renderConditionalNodes(parseConditionals(text), context);
+}
+
+// onBranch(node, taken) is called for every block that is reached, for
+// branch coverage checks
+function renderConditionalNodes(nodes, context, onBranch) {
+    return nodes.map(node => {
+        if (node.type === 'text') {
+            return node.value;
+        }
+
+        const taken = isConditionTrue(node.negate, node.name, context) ? 'then' : 'else';
+        if (onBranch) {
+            onBranch(node, taken);
+        }
+        return renderConditionalNodes(node[taken] || [], context, onBranch);
+    }).join('');
+}
+
+// "NAME" or "!NAME"; a variable the state lacks counts as false
+function evaluateCondition(condition, context) {
+    const negate = condition.startsWith('!');
+    return isConditionTrue(negate, negate ? condition.slice(1) : condition, context);
+}
+
+function isConditionTrue(negate, name, context) {
+    return isTruthyVariable(context[name]) !== negate;
+}
+
+function isTruthyVariable(value) {
+    if (Array.isArray(value)) {
+        return value.length > 0;
+    }
+    if (typeof value === 'string') {
+        const number = parseNumericValue(value);
+        if (number !== null) {
+            return number !== 0;
+        }
+        return !['', 'false', 'no', 'none', 'n/a'].includes(value.trim().toLowerCase());
+    }
+    return Boolean(value);
+}
+
+// The slides a state's deck contains: includeWhen and excludeStates are
+// applied and the remaining slides keep their content-file numbers
+function selectSlides(slides, state, context) {
+    return slides.filter(slide => {
+        if (Array.isArray(slide.excludeStates) && slide.excludeStates.includes(state)) {
+            return false;
+        }
+        return !slide.includeWhen || evaluateCondition(slide.includeWhen, context);
+    });
+}
+
+// Variables tested by {{#if}} blocks and includeWhen rules
+function findConditionNames(data) {
+    const names = new Set();
+
+    for (const match of JSON.stringify(data.slides).matchAll(CONDITIONAL_TAG_PATTERN)) {
+        if (match[2]) {
+            names.add(match[2]);
+        }
+    }
+    data.slides.forEach(slide => {
+        if (slide.includeWhen) {
+            names.add(slide.includeWhen.replace(/^!/, ''));
+        }
+    });
+
+    return names;
+}
+
+// Checks every {{#if}} branch and conditional slide against every state's
+// data; a branch or slide that no state renders is reported
+function findUncoveredBranches(data) {
+    const blocks = [];
+    data.slides.forEach((slide, index) => {
+        collectStrings(slide.content, `/slides/${index}/content`).forEach(({ text, pointer }) => {
+            if (text.includes('{{#if')) {
+                blocks.push({ slide, pointer, nodes: parseConditionals(text), taken: new Map() });
+            }
+        });
+    });
+
+    const conditionalSlides = data.slides.filter(slide => slide.includeWhen || slide.excludeStates);
+    if (blocks.length === 0 && conditionalSlides.length === 0) {
+        return { problems: [], stateCount: 0 };
+    }
+
+    const states = listStateNames();
+    const includedSlides = new Set();
+
+    states.forEach(state => {
+        const context = buildVariableContext(loadStateVariables(state), data, null);
+
+        selectSlides(data.slides, state, context).forEach(slide => includedSlides.add(slide));
+
+        blocks.forEach(block => {
+            renderConditionalNodes(block.nodes, context, (node, taken) => {
+                block.taken.set(node, new Set([...(block.taken.get(node) || []), taken]));
+            });
+        });
+    });
+
+    const problems = [];
+    conditionalSlides.forEach(slide => {
+        if (!includedSlides.has(slide)) {
+            problems.push(`Slide ${slide.number}: not included for any state`);
+        }
+    });
+
+    blocks.forEach(({ slide, pointer, nodes, taken }) => {
+        const visit = (nodes) => nodes.forEach(node => {
+            if (node.type !== 'if') {
+                return;
+            }
+
+            const label = `Slide ${slide.number} (${pointer}): {{#if ${node.negate ? '!' : ''}${node.name}}}`;
+            const branches = taken.get(node) || new Set();
+            if (!branches.has('then')) {
+                problems.push(`${label} is never true for any state`);
+            }
+            if (node.else && !branches.has('else')) {
+                problems.push(`${label} {{else}} branch never renders for any state`);
+            }
+
+            visit(node.then);
+            visit(node.else || []);
+        });
+        visit(nodes);
+    });
+
+    return { problems, stateCount: states.length };
+}
+
+// ============================================================================
+// CALCULATED VARIABLES
+// ============================================================================
+
+// metadata.calculations maps a variable name to an arithmetic expression over
+// state variables, chapter variables, other calculations and numbers:
+//   "CALCULATED_PROPERTY_TAX_MONTHLY": "STATE_MEDIAN_HOME_PRICE * STATE_PROPERTY_TAX_AVG / 100 / 12"
+// Supported: + - * / % ^, parentheses, and the functions below. Nothing is
+// passed to eval; expressions are parsed and evaluated here.
+const CALCULATION_FUNCTIONS = {
+    round: (value, digits = 0) => Math.round(value * 10 ** digits) / 10 ** digits,
+    floor: Math.floor,
+    ceil: Math.ceil,
+    abs: Math.abs,
+    min: Math.min,
+    max: Math.max
+};
+
+// Longer or more deeply nested expressions are rejected before parsing or
+// evaluating them can exhaust the call stack
+const MAX_CALCULATION_LENGTH = 1000;
+const MAX_CALCULATION_DEPTH = 32;
+
+// Parses and orders a chapter's calculations so each one comes after the
+// calculations it uses. Throws on syntax errors, cycles and names that are
+// not declared in stateVariablesUsed, calculated or a chapter variable.
+// Returns [{ name, ast, names }] where names are the variables it reads.
+function planCalculations(metadata) {
+    const calculations = metadata.calculations || {};
+    const knownNames = new Set([
+        ...(metadata.stateVariablesUsed || []),
+        ...Object.keys(calculations),
+        ...CHAPTER_VARIABLES
+    ]);
+
+    const parsed = new Map();
+    Object.entries(calculations).forEach(([name, expression]) => {
+        const ast = parseCalculation(expression, name);
+        const names = collectCalculationNames(ast);
+
+        names.forEach(input => {
+            if (!knownNames.has(input)) {
+                throw new Error(`Calculation ${name} uses unknown variable ${input} (declare it in stateVariablesUsed)`);
+            }
+        });
+
+        parsed.set(name, { name, ast, names });
+    });
+
+    const ordered = [];
+    const status = new Map();
+    const visit = (name, trail) => {
+        if (status.get(name) === 'done') {
+            return;
+        }
+        if (status.get(name) === 'visiting') {
+            const cycle = [...trail.slice(trail.indexOf(name)), name];
+            throw new Error(`Calculation cycle: ${cycle.join(' → ')}`);
+        }
+
+        status.set(name, 'visiting');
+        parsed.get(name).names.forEach(input => {
+            if (parsed.has(input)) {
+                visit(input, [...trail, name]);
+            }
+        });
+        status.set(name, 'done');
+        ordered.push(parsed.get(name));
+    };
+
+    parsed.forEach((calculation, name) => visit(name, []));
+    return ordered;
+}
+
+function tokenizeCalculation(expression, name) {
+    const tokens = [];
+    const tokenRegex = /\s*(?:(\d+(?:\.\d+)?|\.\d+)|([A-Za-z_][A-Za-z0-9_]*)|([-+*/%^(),]))/y;
+    let index = 0;
+
+    while (index < expression.length) {
+        tokenRegex.lastIndex = index;
+        const match = tokenRegex.exec(expression);
+
+        if (!match) {
+            if (expression.slice(index).trim() === '') {
+                break;
+            }
+            throw new Error(`Calculation ${name}: unexpected "${expression.slice(index).trim()[0]}" in "${expression}"`);
+        }
+
+        if (match[1] !== undefined) {
+            tokens.push({ type: 'number', value: Number(match[1]) });
+        } else if (match[2] !== undefined) {
+            tokens.push({ type: 'name', value: match[2] });
+        } else {
+            tokens.push({ type: 'op', value: match[3] });
+        }
+        index = tokenRegex.lastIndex;
+    }
+
+    return tokens;
+}
+
+// Recursive descent parser:
+//   expression := term (("+" | "-") term)*
+//   term       := unary (("*" | "/" | "%") unary)*
+//   unary      := ("-" | "+") unary | power
+//   power      := primary ("^" unary)?
+//   primary    := number | NAME | function "(" expression ("," expression)* ")" | "(" expression ")"
+function parseCalculation(expression, name) {
+    if (typeof expression !== 'string' || expression.trim() === '') {
+        throw new Error(`Calculation ${name}: expression must be a non-empty string`);
+    }
+    if (expression.length > MAX_CALCULATION_LENGTH) {
+        throw new Error(`Calculation ${name}: expression is longer than ${MAX_CALCULATION_LENGTH} characters`);
+    }
+
+    const tokens = tokenizeCalculation(expression, name);
+    let position = 0;
+    let depth = 0;
+
+    const fail = (message) => {
+        throw new Error(`Calculation ${name}: ${message} in "${expression}"`);
+    };
+    const peek = () => tokens[position];
+    const isOp = (value) => peek() && peek().type === 'op' && peek().value === value;
+    const expect = (value) => {
+        if (!isOp(value)) {
+            fail(`expected "${value}"`);
+        }
+        position++;
+    };
+
+    const parseExpression = () => {
+        let node = parseTerm();
+        while (isOp('+') || isOp('-')) {
+            const op = tokens[position++].value;
+            node = { type: 'binary', op, left: node, right: parseTerm() };
+        }
+        return node;
+    };
+
+    const parseTerm = () => {
+        let node = parseUnary();
+        while (isOp('*') || isOp('/') || isOp('%')) {
+            const op = tokens[position++].value;
+            node = { type: 'binary', op, left: node, right: parseUnary() };
+        }
+        return node;
+    };
+
+    // Every nested expression, sign and exponent passes through here
+    const parseUnary = () => {
+        if (++depth > MAX_CALCULATION_DEPTH) {
+            fail(`nested more than ${MAX_CALCULATION_DEPTH} levels deep`);
+        }
+        let node;
+        if (isOp('-') || isOp('+')) {
+            const op = tokens[position++].value;
+            node = { type: 'unary', op, operand: parseUnary() };
+        } else {
+            node = parsePower();
+        }
+        depth--;
+        return node;
+    };
+
+    const parsePower = () => {
+        const base = parsePrimary();
+        if (isOp('^')) {
+            position++;
+            return { type: 'binary', op: '^', left: base, right: parseUnary() };
+        }
+        return base;
+    };
+
+    const parsePrimary = () => {
+        const token = tokens[position++];
+
+        if (!token) {
+            fail('unexpected end of expression');
+        }
+        if (token.type === 'number') {
+            return { type: 'number', value: token.value };
+        }
+        if (token.type === 'op' && token.value === '(') {
+            const node = parseExpression();
+            expect(')');
+            return node;
+        }
+        if (token.type === 'name' && isOp('(')) {
+            if (!Object.hasOwn(CALCULATION_FUNCTIONS, token.value)) {
+                fail(`unknown function "${token.value}" (available: ${Object.keys(CALCULATION_FUNCTIONS).join(', ')})`);
+            }
+            position++;
+            const args = [parseExpression()];
+            while (isOp(',')) {
+                position++;
+                args.push(parseExpression());
+            }
+            expect(')');
+            return { type: 'call', name: token.value, args };
+        }
+        if (token.type === 'name') {
+            return { type: 'name', name: token.value };
+        }
+        return fail(`unexpected "${token.value}"`);
+    };
+
+    const ast = parseExpression();
+    if (position < tokens.length) {
+        fail(`unexpected "${tokens[position].value}"`);
+    }
+    return ast;
+}
+
+function collectCalculationNames(node, names = new Set()) {
+    if (node.type === 'name') {
+        names.add(node.name);
+    } else if (node.type === 'unary') {
+        collectCalculationNames(node.operand, names);
+    } else if (node.type === 'binary') {
+        collectCalculationNames(node.left, names);
+        collectCalculationNames(node.right, names);
+    } else if (node.type === 'call') {
+        node.args.forEach(arg => collectCalculationNames(arg, names));
+    }
+    return names;
+}
+
+// Returns the numeric result, or null when an input is not a number or the
+// result is not finite (e.g. division by zero)
+function evaluateCalculation(ast, context) {
+    const evaluate = (node) => {
+        switch (node.type) {
+            case 'number':
+                return node.value;
+            case 'name':
+                return parseNumericValue(context[node.name]);
+            case 'unary': {
+                const operand = evaluate(node.operand);
+                return operand === null ? null : (node.op === '-' ? -operand : operand);
+            }
+            case 'call': {
+                const args = node.args.map(evaluate);
+                if (!Object.hasOwn(CALCULATION_FUNCTIONS, node.name)) {
+                    throw new Error(`Unknown calculation function "${node.name}"`);
+                }
+                return args.includes(null) ? null : CALCULATION_FUNCTIONS[node.name](...args);
+            }
+            case 'binary': {
+                const left = evaluate(node.left);
+                const right = evaluate(node.right);
+                if (left === null || right === null) {
+                    return null;
+                }
+                switch (node.op) {
+                    case '+': return left + right;
+                    case '-': return left - right;
+                    case '*': return left * right;
+                    case '/': return left / right;
+                    case '%': return left % right;
+                    case '^': return left ** right;
+                }
+            }
+        }
+        return null;
+    };
+
+    const result = evaluate(ast);
+    return result !== null && Number.isFinite(result) ? result : null;
+}
+
+// ============================================================================
+// PLACEHOLDER FILTERS
+// ============================================================================
+
+// Filters applied as {{NAME|filter}} or {{NAME|filter:arg}}, left to right.
+// `arg` describes the argument: 'digits' is an optional decimal count,
+// 'pair' is a required "yes text,no text". apply() also gets the deck's
+// locale for number formats and list conjunctions.
+const VARIABLE_FILTERS = {
+    currency: {
+        arg: 'digits',
+        apply: (value, digits = 0, locale) => {
+            const number = parseNumericValue(value);
+            return number === null ? value : formatCurrency(number, digits, locale);
+        }
+    },
+    number: {
+        arg: 'digits',
+        apply: (value, digits, locale) => {
+            const number = parseNumericValue(value);
+            return number === null ? value : formatNumber(number, digits, locale);
+        }
+    },
+    percent: {
+        arg: 'digits',
+        apply: (value, digits, locale) => {
+            const number = parseNumericValue(value);
+            return number === null ? value : formatPercent(number, digits, locale);
+        }
+    },
+    list: {
+        apply: (value, arg, locale) => {
+            const items = Array.isArray(value)
+                ? value.map(String)
+                : String(value).split(',').map(item => item.trim()).filter(Boolean);
+            return new Intl.ListFormat(locale, { type: 'conjunction' }).format(items);
+        }
+    },
+    possessive: {
+        apply: (value, arg, locale) => {
+            const text = formatVariableValue(value, locale);
+            return text.endsWith('s') ? `${text}'` : `${text}'s`;
+        }
+    },
+    yesno: {
+        arg: 'pair',
+        apply: (value, [yes, no]) => {
+            const isTrue = value === true || /^(true|yes)$/i.test(String(value));
+            return isTrue ? yes : no;
+        }
+    },
+    upper: {
+        apply: (value, arg, locale) => formatVariableValue(value, locale).toUpperCase()
+    },
+    lower: {
+        apply: (value, arg, locale) => formatVariableValue(value, locale).toLowerCase()
+    }
+};
+
+// Numbers, or strings such as "$285,000" and "4.75%"; null when not numeric
+function parseNumericValue(value) {
+    if (typeof value === 'number') {
+        return value;
+    }
+    if (typeof value !== 'string') {
+        return null;
+    }
+
+    const cleaned = value.replace(/[$,%\s]/g, '');
+    return cleaned !== '' && !isNaN(cleaned) ? Number(cleaned) : null;
+}
+
+// Thousands separators; fixed decimals when given, otherwise up to two
+function formatNumber(number, digits, locale = SOURCE_LOCALE) {
+    return number.toLocaleString(locale, getFractionDigits(digits));
+}
+
+// State data is in US dollars: $4,000 in en-US, 4.000 US$ in es
+function formatCurrency(number, digits = 0, locale = SOURCE_LOCALE) {
+    return number.toLocaleString(locale, { style: 'currency', currency: 'USD', ...getFractionDigits(digits) });
+}
+
+// number is already a percentage (4.75 → 4.75%, 4,75 % in es). It is placed
+// in the locale's percent pattern rather than divided by 100, which would
+// round 1.45 down to 1.4.
+function formatPercent(number, digits, locale = SOURCE_LOCALE) {
+    return new Intl.NumberFormat(locale, { style: 'percent' }).formatToParts(1)
+        .map(part => part.type === 'integer' ? formatNumber(number, digits, locale) : part.value)
+        .join('');
+}
+
+function getFractionDigits(digits) {
+    return digits === undefined
+        ? { maximumFractionDigits: 2 }
+        : { minimumFractionDigits: digits, maximumFractionDigits: digits };
+}
+
+// "|currency:0|upper" → [{ name: 'currency', arg: '0' }, { name: 'upper', arg: undefined }]
+function parseFilterChain(chain) {
+    if (!chain) {
+        return [];
+    }
+
+    return chain.split('|').slice(1).map(part => {
+        const separator = part.indexOf(':');
+        return separator === -1
+            ? { name: part.trim(), arg: undefined }
+            : { name: part.slice(0, separator).trim(), arg: part.slice(separator + 1) };
+    });
+}
+
+// Returns a message describing what is wrong with a filter, or null
+function getFilterError(filter) {
+    const definition = VARIABLE_FILTERS[filter.name];
+
+    if (!definition) {
+        return `unknown filter "${filter.name}" (available: ${Object.keys(VARIABLE_FILTERS).join(', ')})`;
+    }
+
+    if (filter.arg === undefined) {
+        return definition.arg === 'pair' ? `filter "${filter.name}" needs an argument like ${filter.name}:yes,no` : null;
+    }
+
+    if (definition.arg === 'digits' && !/^\d{1,2}$/.test(filter.arg)) {
+        return `filter "${filter.name}" takes a number of decimal places, not "${filter.arg}"`;
+    }
+    if (definition.arg === 'pair' && filter.arg.split(',').length !== 2) {
+        return `filter "${filter.name}" needs two comma-separated values, not "${filter.arg}"`;
+    }
+    if (!definition.arg) {
+        return `filter "${filter.name}" does not take an argument`;
+    }
+
+    return null;
+}
+
+function applyFilters(value, filters, locale = SOURCE_LOCALE) {
+    return filters.reduce((result, filter) => {
+        const error = getFilterError(filter);
+        if (error) {
+            throw new Error(`Invalid placeholder filter: ${error}`);
+        }
+
+        const definition = VARIABLE_FILTERS[filter.name];
+        let arg = filter.arg;
+        if (arg !== undefined) {
+            arg = definition.arg === 'digits' ? parseInt(arg, 10) : arg.split(',');
+        }
+        return definition.apply(result, arg, locale);
+    }, value);
+}
+
+// ============================================================================
+// SPEAKER NOTES
+// ============================================================================
+
+// Notes are written in a small markdown subset: paragraphs, "- " and "1. "
+// lists, **bold**, *italic* and `code`. Raw HTML is escaped.
+function renderNotesMarkdown(markdown) {
+    const inline = text => escapeHTML(text)
+        .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/\*(.+?)\*/g, '<em>$1</em>')
+        .replace(/`(.+?)`/g, '<code>$1</code>');
+
+    return markdown.trim().split(/\n\s*\n/).map(block => {
+        const lines = block.split('\n').map(line => line.trim()).filter(line => line);
+
+        if (lines.every(line => /^[-*]\s+/.test(line))) {
+            return `<ul>${lines.map(line => `<li>${inline(line.replace(/^[-*]\s+/, ''))}</li>`).join('')}</ul>`;
+        }
+        if (lines.every(line => /^\d+\.\s+/.test(line))) {
+            return `<ol>${lines.map(line => `<li>${inline(line.replace(/^\d+\.\s+/, ''))}</li>`).join('')}</ol>`;
+        }
+        return `<p>${lines.map(inline).join('<br>')}</p>`;
+    }).join('\n');
+}
+
+// Renders a slide's notes to HTML for the presenter view ('' when it has none)
+function renderSpeakerNotes(notes, context) {
+    if (!notes || typeof notes !== 'string') {
+        return '';
+    }
+    return fillPlaceholders(renderNotesMarkdown(renderConditionals(notes, context)), context, escapeHTML);
+}
+
+// The deck carries its notes as a JSON data block, which browsers neither
+// display nor print; only the presenter view reads it
+function generateNotesData(slides, context) {
+    const notes = slides.map(slide => renderSpeakerNotes(slide.notes, context));
+    const json = JSON.stringify(notes).replace(/</g, '\\u003c');
+    return `<script type="application/json" id="deck-notes">${json}</script>`;
+}
+
+// ============================================================================
+// THEMES
+// ============================================================================
+
+// A theme (themes/{name}.json) re-brands a deck for a district or state:
+//   {
+//     "name": "tulsa",
+//     "description": "Tulsa Public Schools co-branded decks",
+//     "tokens": { "primary": "#1E3A8A", "primary-dark": "#172554" },
+//     "gradients": { "header-green": ["#047857", "#065F46"] },
+//     "logo": { "text": "PFL Academy" },
+//     "coBrand": { "text": "Tulsa Public Schools", "image": "tulsa-logo.png" },
+//     "stylesheet": "tulsa.css"
+//   }
+// tokens replace the template's :root colors and gradients its --gradient-*
+// backgrounds (a list of color stops, or one color for a flat fill). Image
+// and stylesheet paths are relative to the theme file; images are embedded.
+// themes/states.json gives states a default theme; --theme overrides it.
+
+const THEME_KEYS = ['name', 'description', 'tokens', 'gradients', 'logo', 'coBrand', 'stylesheet'];
+
+// The template's --gradient-* backgrounds, with the tokens behind their stops
+const THEME_GRADIENTS = {
+    title: { angle: 135, stops: ['primary', 'primary-mid', 'primary-dark'] },
+    closing: { angle: 135, stops: ['primary', 'primary-mid', 'primary-dark'] },
+    hook: { angle: 135, stops: ['slate-dark', 'slate', 'slate-dark'] },
+    header: { angle: 135, stops: ['primary', 'primary-dark'] },
+    'header-teal': { angle: 135, stops: ['teal', 'teal-dark'] },
+    'header-blue': { angle: 135, stops: ['blue', 'blue-dark'] },
+    'header-green': { angle: 135, stops: ['green', 'green-dark'] },
+    'header-rose': { angle: 135, stops: ['rose', 'rose-dark'] },
+    footer: { angle: 90, stops: ['teal', 'primary', 'teal'] }
+};
+
+const LOGO_IMAGE_TYPES = {
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp'
+};
+
+// Logo used when a theme does not name one
+const DEFAULT_LOGO = { text: 'PFL Academy', image: null };
+
+// WCAG 2.1 AA minimum contrast: normal text, and text 24px+ (or 18.66px+ bold)
+const WCAG_AA_TEXT = 4.5;
+const WCAG_AA_LARGE_TEXT = 3;
+
+// Text colors and the backgrounds they sit on. A background names a gradient
+// (every stop is checked, since text can fall anywhere on it) or a token.
+const THEME_CONTRAST_CHECKS = [
+    {
+        text: 'text-on-brand',
+        backgrounds: ['title', 'closing', 'hook', 'header', 'header-teal', 'header-blue', 'header-green', 'header-rose'],
+        minimum: WCAG_AA_LARGE_TEXT
+    },
+    { text: 'teal-light', backgrounds: ['title', 'closing', 'hook'], minimum: WCAG_AA_LARGE_TEXT },
+    { text: 'text-dark', backgrounds: ['white', 'bg-light', 'bg-slate'], minimum: WCAG_AA_TEXT },
+    { text: 'text-body', backgrounds: ['white', 'bg-light', 'bg-slate'], minimum: WCAG_AA_TEXT },
+    { text: 'text-light', backgrounds: ['white', 'bg-light'], minimum: WCAG_AA_TEXT }
+];
+
+const HEX_COLOR_PATTERN = /^#(?:[0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/;
+
+// Reads the template's :root hex colors as { 'token-name': 'RRGGBB' }
+function readRootColors(template) {
+    const root = template.match(/:root\s*\{([^}]*)\}/);
+    const colors = {};
+    for (const [, name, hex] of (root ? root[1] : '').matchAll(/--([a-z0-9-]+)\s*:\s*#([0-9a-fA-F]{6}|[0-9a-fA-F]{3})\b/g)) {
+        colors[name] = normalizeHexColor(hex);
+    }
+    return colors;
+}
+
+// '#abc' or 'AABBCC' → 'AABBCC'
+function normalizeHexColor(color) {
+    const hex = color.replace(/^#/, '');
+    return (hex.length === 3 ? hex.replace(/./g, '$&$&') : hex).toUpperCase();
+}
+
+function listThemeNames() {
+    if (!fs.existsSync(CONFIG.themesDir)) {
+        return [];
+    }
+    return fs.readdirSync(CONFIG.themesDir)
+        .filter(f => f.endsWith('.json') && path.join(CONFIG.themesDir, f) !== CONFIG.stateThemesPath)
+        .map(f => f.replace('.json', ''))
+        .sort();
+}
+
+// The theme a state's decks use: --theme, then themes/states.json. 'default'
+// (or no theme) keeps the template's own colors.
+function getThemeName(state, themeOption) {
+    let name = themeOption;
+    if (!name && fs.existsSync(CONFIG.stateThemesPath)) {
+        let stateThemes;
+        try {
+            stateThemes = JSON.parse(fs.readFileSync(CONFIG.stateThemesPath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Error loading state themes: ${error.message}`);
+        }
+        name = stateThemes[state];
+    }
+    return name && name !== 'default' ? name : null;
+}
+
+// A theme name (themes/{name}.json) or a path to a theme file
+function resolveThemePath(name) {
+    return name.endsWith('.json') ? path.resolve(name) : path.join(CONFIG.themesDir, `${name}.json`);
+}
+
+// Reads and checks a theme file's structure; colors come back as 'RRGGBB',
+// images as data URIs and the stylesheet as CSS text. Contrast is checked
+// separately (see loadTheme).
+function readTheme(name, template) {
+    const themePath = resolveThemePath(name);
+    const themeDir = path.dirname(themePath);
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(themePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Error loading theme ${name}: ${error.message}`);
+    }
+
+    const errors = [];
+    const files = [themePath];
+    const tokenNames = Object.keys(readRootColors(template));
+    const isColor = value => typeof value === 'string' && HEX_COLOR_PATTERN.test(value);
+
+    Object.keys(data).filter(key => !THEME_KEYS.includes(key)).forEach(key => {
+        errors.push(`unknown key "${key}" (allowed: ${THEME_KEYS.join(', ')})`);
+    });
+
+    const tokens = {};
+    Object.entries(data.tokens || {}).forEach(([token, value]) => {
+        if (!tokenNames.includes(token)) {
+            errors.push(`tokens.${token} is not a template color`);
+        } else if (!isColor(value)) {
+            errors.push(`tokens.${token} must be a hex color, got ${JSON.stringify(value)}`);
+        } else {
+            tokens[token] = normalizeHexColor(value);
+        }
+    });
+
+    const gradients = {};
+    Object.entries(data.gradients || {}).forEach(([gradient, value]) => {
+        const stops = Array.isArray(value) ? value : [value];
+        if (!THEME_GRADIENTS[gradient]) {
+            errors.push(`gradients.${gradient} is not a template gradient (allowed: ${Object.keys(THEME_GRADIENTS).join(', ')})`);
+        } else if (stops.length === 0 || !stops.every(isColor)) {
+            errors.push(`gradients.${gradient} must be a hex color or a list of them`);
+        } else {
+            gradients[gradient] = stops.map(normalizeHexColor);
+        }
+    });
+
+    // Logos need text: it is the wordmark without an image, the alt text with one
+    const readLogo = (key, logo) => {
+        if (!logo) {
+            return null;
+        }
+        if (typeof logo.text !== 'string' || !logo.text.trim()) {
+            errors.push(`${key}.text is required`);
+            return null;
+        }
+        if (!logo.image) {
+            return { text: logo.text, image: null };
+        }
+
+        const imagePath = path.resolve(themeDir, logo.image);
+        const type = LOGO_IMAGE_TYPES[path.extname(imagePath).toLowerCase()];
+        if (!type) {
+            errors.push(`${key}.image must be one of: ${Object.keys(LOGO_IMAGE_TYPES).join(', ')}`);
+        } else if (!fs.existsSync(imagePath)) {
+            errors.push(`${key}.image not found: ${logo.image}`);
+        } else {
+            files.push(imagePath);
+            return { text: logo.text, image: `data:${type};base64,${fs.readFileSync(imagePath).toString('base64')}` };
+        }
+        return null;
+    };
+    const logo = readLogo('logo', data.logo) || DEFAULT_LOGO;
+    const coBrand = readLogo('coBrand', data.coBrand);
+
+    let stylesheet = '';
+    if (data.stylesheet) {
+        const stylesheetPath = path.resolve(themeDir, data.stylesheet);
+        if (fs.existsSync(stylesheetPath)) {
+            files.push(stylesheetPath);
+            stylesheet = fs.readFileSync(stylesheetPath, 'utf8');
+        } else {
+            errors.push(`stylesheet not found: ${data.stylesheet}`);
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid theme ${name}: ${errors.join('; ')}`);
+    }
+
+    return {
+        name: data.name || path.basename(themePath, '.json'),
+        description: data.description || '',
+        tokens,
+        gradients,
+        logo,
+        coBrand,
+        stylesheet,
+        files
+    };
+}
+
+// Reads a theme and rejects it when any text/background pair falls below WCAG AA
+function loadTheme(name, template) {
+    const theme = readTheme(name, template);
+    const failures = checkThemeContrast(template, theme).filter(check => !check.pass);
+
+    if (failures.length > 0) {
+        throw new Error(`Theme ${name} fails WCAG AA contrast: ${failures.map(formatContrastCheck).join('; ')}`);
+    }
+    return theme;
+}
+
+// Hashes a theme's JSON, images and stylesheet for the build manifest
+function hashThemeFiles(theme) {
+    const hash = crypto.createHash('sha256');
+    theme.files.forEach(file => {
+        hash.update(path.basename(file)).update(fs.readFileSync(file));
+    });
+    return hash.digest('hex');
+}
+
+function formatGradient(name, stops) {
+    if (stops.length === 1) {
+        return `#${stops[0]}`;
+    }
+    const positions = stops.map((color, index) => `#${color} ${Math.round(index * 100 / (stops.length - 1))}%`);
+    return `linear-gradient(${THEME_GRADIENTS[name].angle}deg, ${positions.join(', ')})`;
+}
+
+// Rewrites the template's :root values and appends the theme stylesheet, so
+// the HTML and the PowerPoint palette (read from :root) both pick them up
+function applyTheme(template, theme) {
+    if (!theme) {
+        return template;
+    }
+
+    const setProperty = (root, property, value) =>
+        root.replace(new RegExp(`(--${property}\\s*:\\s*)[^;]+;`), (match, prefix) => `${prefix}${value};`);
+
+    let themed = template.replace(/:root\s*\{[^}]*\}/, root => {
+        Object.entries(theme.tokens).forEach(([token, color]) => {
+            root = setProperty(root, token, `#${color}`);
+        });
+        Object.entries(theme.gradients).forEach(([gradient, stops]) => {
+            root = setProperty(root, `gradient-${gradient}`, formatGradient(gradient, stops));
+        });
+        return root;
+    });
+
+    if (theme.stylesheet) {
+        themed = themed.replace('</style>', () => `\n        /* ===== THEME: ${theme.name} ===== */\n${theme.stylesheet}\n    </style>`);
+    }
+    return themed;
+}
+
+// The color stops behind a background: a gradient's stops (theme or
+// template) or a single token
+function getBackgroundStops(background, colors, theme) {
+    if (theme && theme.gradients[background]) {
+        return theme.gradients[background];
+    }
+    if (THEME_GRADIENTS[background]) {
+        return THEME_GRADIENTS[background].stops.map(token => colors[token]);
+    }
+    return [colors[background]];
+}
+
+// WCAG 2.1 relative luminance of an 'RRGGBB' color
+function relativeLuminance(hex) {
+    const [r, g, b] = [0, 2, 4].map(offset => {
+        const channel = parseInt(hex.slice(offset, offset + 2), 16) / 255;
+        return channel <= 0.03928 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+function contrastRatio(foreground, background) {
+    const [lighter, darker] = [relativeLuminance(foreground), relativeLuminance(background)].sort((a, b) => b - a);
+    return (lighter + 0.05) / (darker + 0.05);
+}
+
+// Every THEME_CONTRAST_CHECKS pair for the themed template (theme may be null
+// for the template's own colors). Returns one result per background stop.
+function checkThemeContrast(template, theme) {
+    const colors = readRootColors(applyTheme(template, theme));
+    const results = [];
+
+    THEME_CONTRAST_CHECKS.forEach(({ text, backgrounds, minimum }) => {
+        backgrounds.forEach(background => {
+            const stops = getBackgroundStops(background, colors, theme);
+            stops.forEach((color, index) => {
+                const ratio = contrastRatio(colors[text], color);
+                results.push({
+                    text,
+                    textColor: colors[text],
+                    background: stops.length > 1 ? `${background} stop ${index + 1}` : background,
+                    color,
+                    ratio,
+                    minimum,
+                    pass: ratio >= minimum
+                });
+            });
+        });
+    });
+
+    return results;
+}
+
+function formatContrastCheck(check) {
+    return `${check.text} #${check.textColor} on ${check.background} #${check.color} is ` +
+        `${check.ratio.toFixed(2)}:1 (needs ${check.minimum}:1)`;
+}
+
+// --check-theme: contrast report for one theme, or for the template's own
+// colors and every theme in themes/. Returns false if any theme is invalid
+// or any palette, the template's included, fails.
+function printThemeReport(themeName) {
+    const template = loadTemplate();
+    const names = themeName ? [themeName] : ['default', ...listThemeNames()];
+    let valid = true;
+
+    console.log(`\n🎨 Theme contrast (WCAG AA: ${WCAG_AA_TEXT}:1 text, ${WCAG_AA_LARGE_TEXT}:1 headings)`);
+    console.log('─'.repeat(60));
+
+    names.forEach(name => {
+        let theme = null;
+        if (name !== 'default') {
+            try {
+                theme = readTheme(name, template);
+            } catch (error) {
+                console.log(`\n❌ ${error.message}`);
+                valid = false;
+                return;
+            }
+        }
+
+        const results = checkThemeContrast(template, theme);
+        const failures = results.filter(check => !check.pass);
+        const heading = theme ? `${theme.name}${theme.description ? ` - ${theme.description}` : ''}` : 'default (slide-template.html)';
+
+        console.log(`\n${failures.length === 0 ? '✓' : '❌'} ${heading}`);
+        results.forEach(check => {
+            const pair = `${check.text} on ${check.background}`;
+            console.log(`   ${check.pass ? '✓' : '✗'} ${pair.padEnd(36)} #${check.textColor} / #${check.color}  ${check.ratio.toFixed(2).padStart(5)}:1`);
+        });
+
+        if (failures.length > 0) {
+            console.log(`   ${failures.length} below AA`);
+            valid = false;
+        }
+    });
+
+    console.log('─'.repeat(60));
+    return valid;
+}
+
+// Renders a logo image, or its text as a wordmark when it has none
+function renderLogo(logo, className, tag = 'span') {
+    if (logo.image) {
+        return `<img class="${className}" src="${logo.image}" alt="${escapeHTML(logo.text)}">`;
+    }
+    return `<${tag} class="${className} logo-wordmark">${escapeHTML(logo.text)}</${tag}>`;
+}
+
+// ============================================================================
+// SLIDE GENERATION
+// ============================================================================
+
+// Screen readers announce each slide as "slide, 3 of 20"
+function openSlide(slide, className) {
+    return `<section class="slide ${className}" role="group" aria-roledescription="slide" aria-label="${slide.number} of {{TOTAL_SLIDES}}">\n`;
+}
+
+// Emoji used as icons, with the name a screen reader should read. Emoji not
+// listed here are left as they are, and --audit-a11y reports them.
+const ICON_LABELS = {
+    '💡': 'Light bulb', '📋': 'Clipboard', '🚀': 'Rocket', '💰': 'Money bag', '🔄': 'Cycle',
+    '👩‍⚕️': 'Health worker', '👨‍💻': 'Technologist', '🎁': 'Gift', '💳': 'Credit card',
+    '🎯': 'Target', '📅': 'Calendar', '🎓': 'Graduation cap', '📚': 'Books', '👥': 'People',
+    '📊': 'Bar chart', '🗺️': 'Map', '⏰': 'Alarm clock', '❌': 'No', '✅': 'Yes', '⭐': 'Star',
+    '📉': 'Chart decreasing', '🏠': 'House', '🛍️': 'Shopping bags', '🏥': 'Hospital', '🚗': 'Car',
+    '💼': 'Briefcase', '📈': 'Chart increasing', '🥚': 'Egg', '👨‍👩‍👦': 'Family', '⚖️': 'Balance scale',
+    '⚠️': 'Warning', '📄': 'Document', '☕': 'Coffee', '🎨': 'Artist palette', '🔍': 'Magnifying glass',
+    '💵': 'Dollar bills', '👩‍🎓': 'Student', '👨‍👩‍👧‍👦': 'Family', '👩‍💼': 'Office worker', '👨': 'Man',
+    '🏦': 'Bank', '🤝': 'Handshake', '👨‍💼': 'Office worker', '📝': 'Memo', '💻': 'Laptop',
+    '📱': 'Mobile phone', '🔔': 'Bell', '💸': 'Money with wings', '📏': 'Ruler', '🧮': 'Abacus',
+    '🔒': 'Locked', '🕐': 'Clock', '⏱️': 'Stopwatch', '🏖️': 'Beach', '😰': 'Anxious face',
+    '😊': 'Smiling face', '😬': 'Grimacing face', '👵': 'Older woman', '⛔': 'No entry', '🚙': 'Sport utility vehicle',
+    '👩': 'Woman', '🏢': 'Office building', '👩‍💻': 'Technologist', '👫': 'Couple', '👨‍👩‍👧': 'Family',
+    '👤': 'Person', '🛡️': 'Shield', '🏀': 'Basketball', '🌧️': 'Rain', '🎰': 'Slot machine',
+    '🃏': 'Playing card', '🎲': 'Die', '🎟️': 'Ticket', '🎬': 'Clapper board', '📦': 'Package',
+    '✖️': 'Multiply', '📣': 'Megaphone', '🌟': 'Glowing star', '🔧': 'Wrench', '🧭': 'Compass',
+    '📌': 'Pushpin', '🎥': 'Movie camera', '🧘': 'Person meditating', '🎤': 'Microphone', '👩‍🎨': 'Artist',
+    '🏗️': 'Construction', '✈️': 'Airplane', '👕': 'T-shirt', '🌾': 'Crops', '🏛️': 'Government building',
+    '🛒': 'Shopping cart', '🚧': 'Construction sign', '🌐': 'Globe', '📒': 'Ledger', '🚩': 'Red flag',
+    '🔬': 'Microscope', '🌱': 'Seedling', '⚡': 'Lightning', '🏘️': 'Houses', '🪙': 'Coin', '🔥': 'Fire'
+};
+
+// One emoji: emoji-style characters, or text-style ones with VS16, joined by ZWJ
+const EMOJI_PATTERN = /(?:\p{Emoji_Presentation}|\p{Extended_Pictographic}\uFE0F)(?:\u200D(?:\p{Emoji_Presentation}|\p{Extended_Pictographic}\uFE0F?))*/gu;
+
+// Gives emoji in rendered slide text a role and a name. Only text between
+// tags is touched, so attribute values are left alone.
+function labelIcons(html) {
+    return html.replace(/>([^<]+)</g, (match, text) => `>${text.replace(EMOJI_PATTERN, emoji => {
+        const label = ICON_LABELS[emoji];
+        return label ? `<span role="img" aria-label="${label}">${emoji}</span>` : emoji;
+    })}<`);
+}
+
+function generateSlideHTML(slide, context, theme = null) {
+    switch (slide.type) {
+        case 'title':
+            return generateTitleSlide(slide, context, theme);
+        case 'hook':
+            return generateHookSlide(slide, context);
+        case 'discussion':
+            return generateDiscussionSlide(slide, context);
+        case 'closing':
+            return generateClosingSlide(slide, context, theme);
+        default:
+            return generateContentSlide(slide, context);
+    }
+}
+
+// Slide type generators
+
+function generateTitleSlide(slide, context, theme) {
+    const content = slide.content || {};
+    const logo = theme ? theme.logo : DEFAULT_LOGO;
+    const title = content.title || '{{CHAPTER_TITLE}}';
+    const sizeClass = TITLE_SIZES.includes(content.titleSize) && content.titleSize !== 'large'
+        ? ` class="${content.titleSize}"`
+        : '';
+
+    let html = openSlide(slide, 'slide-title');
+    html += `  <div class="logo-container">\n`;
+    html += `    ${renderLogo(logo, 'logo-white')}\n`;
+    if (theme && theme.coBrand) {
+        html += `    ${renderLogo(theme.coBrand, 'logo-white logo-partner')}\n`;
+    }
+    html += `  </div>\n`;
+    html += `  <div class="chapter-label">{{CHAPTER_LABEL}} {{CHAPTER_ID}}</div>\n`;
+    html += `  <h1${sizeClass}>${interpolateVariables(title, context)}</h1>\n`;
+
+    if (content.subtitle) {
+        html += `  <div class="subtitle">${interpolateVariables(content.subtitle, context)}</div>\n`;
+    }
+
+    // The state's standard, when its mapping names one
+    const standard = context.STANDARD_NUMBER
+        ? 'Standard {{STANDARD_NUMBER}}: {{STANDARD_TITLE}}'
+        : context.STANDARD_NAME ? '{{STANDARD_NAME}}' : 'Personal Financial Literacy';
+
+    html += `  <div class="footer-bar">\n`;
+    html += `    <span>${escapeHTML(logo.text)}</span>\n`;
+    html += `    <span>${interpolateVariables(standard, context)}</span>\n`;
+    html += `  </div>\n`;
+    html += `</section>\n\n`;
+
+    return html;
+}
+
+function generateHookSlide(slide, context) {
+    const content = slide.content || {};
+    const label = content.label || 'Essential Question';
+    const question = interpolateVariables(content.question, context);
+
+    let html = openSlide(slide, 'slide-hook');
+    html += `  <div class="label">${interpolateVariables(label, context)}</div>\n`;
+
+    if (content.scenario) {
+        html += `  <div class="hook-body">\n`;
+        if (content.title) {
+            html += `    <h2 class="hook-title">${interpolateVariables(content.title, context)}</h2>\n`;
+        }
+        html += `    <p class="scenario">${interpolateVariables(content.scenario, context)}</p>\n`;
+        html += content.title
+            ? `    <div class="question">${question}</div>\n`
+            : `    <h2 class="question">${question}</h2>\n`;
+        html += `  </div>\n`;
+    } else {
+        html += `  <h2 class="question">${question}</h2>\n`;
+    }
+
+    html += `</section>\n\n`;
+
+    return html;
+}
+
+function generateDiscussionSlide(slide, context) {
+    const content = slide.content || {};
+    const variantClass = slide.variant === 'purple' ? ' purple' : '';
+    const badge = content.badge || 'Discussion';
+
+    // A slide with neither a title nor a question is headed by its badge
+    const badgeTag = content.title || content.question ? 'div' : 'h2';
+    let html = openSlide(slide, `slide-discussion${variantClass}`);
+    html += `  <${badgeTag} class="badge">${interpolateVariables(badge, context)}</${badgeTag}>\n`;
+
+    if (content.title) {
+        html += `  <h2 class="discussion-title">${interpolateVariables(content.title, context)}</h2>\n`;
+    }
+
+    // Without a title the question is the slide's heading
+    if (content.question) {
+        const tag = content.title ? 'div' : 'h2';
+        html += `  <${tag} class="question">${interpolateVariables(content.question, context)}</${tag}>\n`;
+    }
+
+    if (content.prompt || content.questions) {
+        html += generateDiscussionLayout(content, context);
+    }
+
+    html += `</section>\n\n`;
+
+    return html;
+}
+
+function generateClosingSlide(slide, context, theme) {
+    const content = slide.content || {};
+    const logo = theme ? theme.logo : DEFAULT_LOGO;
+    const tagline = content.tagline || CLOSING_DEFAULTS.tagline;
+    const website = content.website || CLOSING_DEFAULTS.website;
+    const copyright = content.copyright || CLOSING_DEFAULTS.copyright;
+
+    let html = openSlide(slide, 'slide-closing');
+    html += `  ${renderLogo(logo, 'logo-large', 'div')}\n`;
+    if (theme && theme.coBrand) {
+        html += `  ${renderLogo(theme.coBrand, 'logo-partner', 'div')}\n`;
+    }
+    html += `  <h2 class="tagline">${interpolateVariables(tagline, context)}</h2>\n`;
+
+    if (content.message) {
+        html += `  <p class="message">${interpolateVariables(content.message, context)}</p>\n`;
+    }
+
+    if (content.callToAction) {
+        html += `  <p class="call-to-action">${interpolateVariables(content.callToAction, context)}</p>\n`;
+    }
+
+    html += `  <div class="website">${interpolateVariables(website, context)}</div>\n`;
+    html += `  <div class="copyright">${interpolateVariables(copyright, context)}</div>\n`;
+    html += `</section>\n\n`;
+
+    return html;
+}
+
+function generateContentSlide(slide, context) {
+    const content = slide.content || {};
+    const headerClass = HEADER_COLORS.includes(slide.headerColor) ? slide.headerColor : 'purple';
+
+    let html = openSlide(slide, 'slide-content');
+
+    // Add slide header
+    if (content.headerTitle) {
+        html += `  <div class="slide-header ${headerClass}">\n`;
+        html += `    <h2>${interpolateVariables(content.headerTitle, context)}</h2>\n`;
+        html += `    <span class="slide-number" aria-hidden="true">${slide.number}</span>\n`;
+        html += `  </div>\n`;
+    }
+
+    // Add slide content based on layout
+    html += `  <div class="slide-body">\n`;
+    html += generateLayoutContent(content, context);
+    html += `  </div>\n`;
+
+    // Add slide footer
+    html += `  <div class="slide-footer"></div>\n`;
+    html += `</section>\n\n`;
+
+    return html;
+}
+
+function generateLayoutContent(content, context) {
+    if (!content || !content.layout) {
+        return '';
+    }
+
+    const layoutData = content.layoutData || {};
+    let html = '';
+
+    switch (content.layout) {
+        case 'objectives-expanded':
+            html = generateObjectivesLayout(layoutData, context);
+            break;
+        case 'vocab-container':
+            html = generateVocabLayout(layoutData, context);
+            break;
+        case 'comparison-grid':
+            html = generateComparisonLayout(layoutData, context);
+            break;
+        case 'scenario-layout':
+            html = generateScenarioLayout(layoutData, context);
+            break;
+        case 'takeaway-grid':
+            html = generateTakeawayLayout(layoutData, context);
+            break;
+        case 'paycheck-breakdown':
+            html = generatePaycheckLayout(layoutData, context);
+            break;
+        case 'bullet-list-full':
+            html = generateBulletListLayout(layoutData, context);
+            break;
+        case 'balanced-layout':
+            html = generateBalancedLayout(layoutData, context);
+            break;
+        case 'concept-full':
+            html = generateConceptLayout(layoutData, context);
+            break;
+        case 'activity-layout':
+            html = generateActivityLayout(layoutData, context);
+            break;
+        case 'check-grid':
+            html = generateCheckLayout(layoutData, context);
+            break;
+        case 'three-column':
+            html = generateThreeColumnLayout(layoutData, context);
+            break;
+        case 'tools-grid':
+            html = generateToolsLayout(layoutData, context);
+            break;
+        default:
+            html = generateGenericLayout(layoutData, context);
+    }
+
+    return html;
+}
+
+// Layout generators for each type
+function generateObjectivesLayout(data, context) {
+    let html = '<div class="objectives-expanded" role="list" aria-label="Learning objectives">\n';
+
+    if (data.objectives) {
+        data.objectives.forEach(obj => {
+            html += `  <div class="objective-card" role="listitem">\n`;
+            html += `    <div class="header">\n`;
+            html += `      <div class="number">${escapeHTML(obj.number)}</div>\n`;
+            html += `      <h3>${interpolateVariables(obj.verb, context)}</h3>\n`;
+            html += `    </div>\n`;
+            html += `    <p>${interpolateVariables(obj.description, context)}</p>\n`;
+            html += `  </div>\n`;
+        });
+    }
+
+    html += '</div>\n';
+    return html;
+}
+
+function generateVocabLayout(data, context) {
+    let html = '<div class="vocab-container" role="list" aria-label="Vocabulary">\n';
+
+    if (data.terms) {
+        data.terms.forEach(term => {
+            html += `  <div class="vocab-row" role="listitem">\n`;
+            html += `    <div class="vocab-term-box">\n`;
+            html += `      <div class="term">${interpolateVariables(term.term, context)}</div>\n`;
+            html += `    </div>\n`;
+            html += `    <div class="vocab-def-box">\n`;
+            html += `      <div class="label">Definition</div>\n`;
+            html += `      <p>${interpolateVariables(term.definition, context)}</p>\n`;
+            html += `    </div>\n`;
+            if (term.example) {
+                html += `    <div class="vocab-example-box">\n`;
+                html += `      <div class="label">Example</div>\n`;
+                html += `      <p>${interpolateVariables(term.example, context)}</p>\n`;
+                html += `    </div>\n`;
+            }
+            html += `  </div>\n`;
+        });
+    }
+
+    html += '</div>\n';
+    return html;
+}
+
+function generateComparisonLayout(data, context) {
+    let html = '<div class="comparison-grid">\n';
+    html += generateCompareColumn(data.leftColumn, 'left', context);
+    html += '  <div class="vs-divider"><span>VS</span></div>\n';
+    html += generateCompareColumn(data.rightColumn, 'right', context);
+    html += '</div>\n';
+    return html;
+}
+
+function generateCompareColumn(column, side, context) {
+    if (!column) {
+        return '';
+    }
+
+    const icon = column.icon ? `<span class="icon">${escapeHTML(column.icon)}</span> ` : '';
+    let html = `  <div class="compare-column ${side}">\n`;
+    html += `    <h3>${icon}${interpolateVariables(column.title, context)}</h3>\n`;
+    html += `    <ul>\n`;
+
+    (column.items || []).forEach(item => {
+        html += `      <li>${interpolateVariables(item, context)}</li>\n`;
+    });
+
+    html += `    </ul>\n`;
+    html += `  </div>\n`;
+    return html;
+}
+
+function generateScenarioLayout(data, context) {
+    const scenario = data.scenario || {};
+    const colorClass = scenario.color && scenario.color !== 'amber' ? ` ${escapeAttribute(scenario.color)}` : '';
+    let html = '<div class="scenario-layout">\n';
+
+    html += `  <div class="scenario-card${colorClass}">\n`;
+    html += `    <div class="name">\n`;
+    if (scenario.icon) {
+        html += `      <span class="icon">${escapeHTML(scenario.icon)}</span>\n`;
+    }
+    html += `      <span>${interpolateVariables(scenario.name, context)}</span>\n`;
+    html += `    </div>\n`;
+    (scenario.paragraphs || []).forEach(paragraph => {
+        html += `    <p>${interpolateVariables(paragraph, context)}</p>\n`;
+    });
+    html += `  </div>\n`;
+
+    html += `  <div class="scenario-outcomes">\n`;
+    (data.outcomes || []).forEach(outcome => {
+        html += `    <div class="outcome-box ${escapeAttribute(outcome.type || 'neutral')}">\n`;
+        html += `      <div class="label">${interpolateVariables(outcome.label, context)}</div>\n`;
+        html += `      <div class="value">${interpolateVariables(outcome.value, context)}</div>\n`;
+        if (outcome.detail) {
+            html += `      <div class="detail">${interpolateVariables(outcome.detail, context)}</div>\n`;
+        }
+        html += `    </div>\n`;
+    });
+    html += `  </div>\n`;
+
+    html += '</div>\n';
+    return html;
+}
+
+function generateTakeawayLayout(data, context) {
+    let html = '<div class="takeaway-grid" role="list" aria-label="Key takeaways">\n';
+
+    (data.takeaways || []).forEach((item, index) => {
+        html += `  <div class="takeaway-item" role="listitem">\n`;
+        html += `    <div class="number">${escapeHTML(item.number || index + 1)}</div>\n`;
+        html += `    <div class="content">\n`;
+        html += `      <h3>${interpolateVariables(item.title, context)}</h3>\n`;
+        html += `      <p>${interpolateVariables(item.description, context)}</p>\n`;
+        html += `    </div>\n`;
+        html += `  </div>\n`;
+    });
+
+    html += '</div>\n';
+    return html;
+}
+
+function generatePaycheckLayout(data, context) {
+    const scenario = data.scenario || {};
+    const title = scenario.title || 'Monthly Paycheck Breakdown';
+
+    let html = '<div class="balanced-layout">\n';
+    html += '  <div class="paycheck-breakdown">\n';
+    html += `    <h3>${interpolateVariables(title, context)}</h3>\n`;
+    html += generatePaycheckLine('gross', '{{GROSS_INCOME_LABEL}}', scenario.grossIncome, false, context);
+
+    (scenario.deductions || []).forEach(deduction => {
+        html += generatePaycheckLine('deduction', deduction.label, deduction.amount, deduction.isStateVariable, context);
+    });
+
+    html += generatePaycheckLine('net', '{{NET_INCOME_LABEL}}', scenario.netIncome, false, context);
+    html += '  </div>\n';
+    html += generatePanel(data.insights, context);
+    html += '</div>\n';
+    return html;
+}
+
+function generatePaycheckLine(lineClass, label, amount, isStateVariable, context) {
+    const stateAttr = isStateVariable ? ' data-state-variable="true"' : '';
+    const display = formatPaycheckAmount(lineClass, amount, context);
+
+    let html = `    <div class="paycheck-line ${lineClass}"${stateAttr}>\n`;
+    html += `      <span class="label">${interpolateVariables(label, context)}</span>\n`;
+    html += `      <span class="amount">${display}</span>\n`;
+    html += `    </div>\n`;
+    return html;
+}
+
+function formatPaycheckAmount(lineClass, amount, context) {
+    const display = typeof amount === 'number'
+        ? formatCurrency(amount, 0, context.LOCALE)
+        : interpolateVariables(amount, context);
+
+    // Deductions always read as negative, however the amount was written
+    if (lineClass === 'deduction' && display && !display.startsWith('-')) {
+        return `-${display}`;
+    }
+    return display;
+}
+
+function generateBulletListLayout(data, context) {
+    let html = '<div class="bullet-list-full">\n';
+
+    if (data.title) {
+        html += `  <h3>${interpolateVariables(data.title, context)}</h3>\n`;
+    }
+
+    if (data.items) {
+        html += '  <ul>\n';
+        data.items.forEach(item => {
+            html += `    <li>${interpolateVariables(item, context)}</li>\n`;
+        });
+        html += '  </ul>\n';
+    }
+
+    html += '</div>\n';
+    return html;
+}
+
+function generateBalancedLayout(data, context) {
+    let html = '<div class="balanced-layout">\n';
+    html += generatePanel(data.leftPanel, context);
+    html += generatePanel(data.rightPanel, context);
+    html += '</div>\n';
+
+    if (data.bottomKeyPoint) {
+        html += generateKeyPoint(data.bottomKeyPoint, context, 'key-point bottom-key-point');
+    }
+
+    return html;
+}
+
+// A panel with prose renders as a content-panel; one holding only cards
+// (stats, info cards, priority lists) renders as a stats-panel.
+function generatePanel(panel, context) {
+    if (!panel) {
+        return '';
+    }
+
+    const isContentPanel = Boolean(panel.title || panel.paragraphs || panel.bulletPoints);
+    const panelClass = isContentPanel ? 'content-panel' : 'stats-panel';
+    const colorClass = isContentPanel && panel.color ? ` ${escapeAttribute(panel.color)}` : '';
+    let html = `  <div class="${panelClass}${colorClass}">\n`;
+
+    if (panel.title) {
+        html += `    <h3>${interpolateVariables(panel.title, context)}</h3>\n`;
+    }
+
+    (panel.paragraphs || []).forEach(paragraph => {
+        html += `    <p>${interpolateVariables(paragraph, context)}</p>\n`;
+    });
+
+    if (panel.bulletPoints && panel.bulletPoints.length > 0) {
+        html += `    <ul class="panel-bullets">\n`;
+        panel.bulletPoints.forEach(point => {
+            html += `      <li>${interpolateVariables(point, context)}</li>\n`;
+        });
+        html += `    </ul>\n`;
+    }
+
+    html += generateCustomContent(panel.customContent, context);
+
+    (panel.stats || []).forEach(stat => {
+        html += generateStatCard(stat, context);
+    });
+
+    const infoCards = panel.infoCards || (panel.infoCard ? [panel.infoCard] : []);
+    infoCards.forEach(card => {
+        html += generateInfoCard(card, context);
+    });
+
+    if (panel.priorityList && panel.priorityList.length > 0) {
+        html += generatePriorityList(panel.priorityList, context);
+    }
+
+    if (panel.highlightBox) {
+        const box = panel.highlightBox;
+        const boxClass = box.color ? `highlight-box ${escapeAttribute(box.color)}` : 'highlight-box';
+        const icon = box.icon ? `${escapeHTML(box.icon)} ` : '';
+        html += `    <div class="${boxClass}">\n`;
+        html += `      <p>${icon}${interpolateVariables(box.text, context)}</p>\n`;
+        html += `    </div>\n`;
+    }
+
+    html += `  </div>\n`;
+    return html;
+}
+
+function generateStatCard(stat, context) {
+    const color = stat.color || 'teal';
+    const colorClass = color === 'teal' ? '' : ` ${escapeAttribute(color)}`;
+
+    let html = `    <div class="stat-card${colorClass}">\n`;
+    html += `      <div class="number">${interpolateVariables(stat.value, context)}</div>\n`;
+    html += `      <div class="label">${interpolateVariables(stat.label, context)}</div>\n`;
+    html += `    </div>\n`;
+    return html;
+}
+
+function generateInfoCard(card, context) {
+    const color = card.color || 'amber';
+    const colorClass = color === 'amber' ? '' : ` ${escapeAttribute(color)}`;
+
+    let html = `    <div class="info-card${colorClass}">\n`;
+
+    if (card.title) {
+        html += `      <h3>${interpolateVariables(card.title, context)}</h3>\n`;
+    }
+
+    if (card.text) {
+        html += `      <p>${interpolateVariables(card.text, context)}</p>\n`;
+    }
+
+    if (card.items && card.items.length > 0) {
+        html += `      <ul>\n`;
+        card.items.forEach(item => {
+            html += `        <li>${interpolateVariables(item, context)}</li>\n`;
+        });
+        html += `      </ul>\n`;
+    }
+
+    html += `    </div>\n`;
+    return html;
+}
+
+function generatePriorityList(items, context) {
+    let html = `    <div class="priority-list" role="list" aria-label="Priorities">\n`;
+
+    items.forEach((item, index) => {
+        html += `      <div class="priority-item" role="listitem">\n`;
+        html += `        <div class="rank ${escapeAttribute(item.rankClass || '')}">${escapeHTML(item.rank || index + 1)}</div>\n`;
+        html += `        <div class="priority-content">\n`;
+        html += `          <h3>${interpolateVariables(item.title, context)}</h3>\n`;
+        if (item.description) {
+            html += `          <p>${interpolateVariables(item.description, context)}</p>\n`;
+        }
+        html += `        </div>\n`;
+        html += `      </div>\n`;
+    });
+
+    html += `    </div>\n`;
+    return html;
+}
+
+// keyPoint appears both as a plain string and as { text }
+function generateKeyPoint(keyPoint, context, className = 'key-point') {
+    const text = typeof keyPoint === 'string' ? keyPoint : keyPoint && keyPoint.text;
+    if (!text) {
+        return '';
+    }
+
+    let html = `  <div class="${className}">\n`;
+    html += `    <p>${interpolateVariables(text, context)}</p>\n`;
+    html += `  </div>\n`;
+    return html;
+}
+
+function generateConceptLayout(data, context) {
+    let html = '<div class="concept-full">\n';
+
+    if (data.title) {
+        html += `  <h3>${interpolateVariables(data.title, context)}</h3>\n`;
+    }
+
+    (data.paragraphs || []).forEach(paragraph => {
+        html += `  <p>${interpolateVariables(paragraph, context)}</p>\n`;
+    });
+
+    if (data.bulletPoints && data.bulletPoints.length > 0) {
+        html += '  <ul>\n';
+        data.bulletPoints.forEach(point => {
+            html += `    <li>${interpolateVariables(point, context)}</li>\n`;
+        });
+        html += '  </ul>\n';
+    }
+
+    html += generateCustomContent(data.customContent, context);
+
+    if (data.keyPoint) {
+        html += generateKeyPoint(data.keyPoint, context);
+    }
+
+    html += '</div>\n';
+    return html;
+}
+
+function generateActivityLayout(data, context) {
+    const main = data.main || {};
+    let html = '<div class="activity-layout">\n';
+
+    html += '  <div class="activity-main">\n';
+    if (main.title) {
+        const icon = main.icon ? `<span class="icon">${escapeHTML(main.icon)}</span> ` : '';
+        html += `    <h3>${icon}${interpolateVariables(main.title, context)}</h3>\n`;
+    }
+    if (main.description) {
+        html += `    <p>${interpolateVariables(main.description, context)}</p>\n`;
+    }
+    html += '  </div>\n';
+
+    html += '  <div class="activity-steps" role="list" aria-label="Steps">\n';
+    (data.steps || []).forEach((step, index) => {
+        // Steps are plain strings, or { number, title, description } in newer chapters
+        const number = typeof step === 'string' ? index + 1 : step.number || index + 1;
+        const text = typeof step === 'string'
+            ? step
+            : `<strong>${step.title}:</strong> ${step.description}`;
+
+        html += '    <div class="activity-step" role="listitem">\n';
+        html += `      <div class="step-num">${number}</div>\n`;
+        html += `      <p>${interpolateVariables(text, context)}</p>\n`;
+        html += '    </div>\n';
+    });
+    html += '  </div>\n';
+
+    html += '</div>\n';
+    return html;
+}
+
+function generateCheckLayout(data, context) {
+    let html = '<div class="check-grid" role="list" aria-label="Check for understanding">\n';
+
+    (data.questions || []).forEach((item, index) => {
+        html += '  <div class="check-item" role="listitem">\n';
+        html += `    <div class="q-num">Question ${escapeHTML(item.number || index + 1)}</div>\n`;
+        html += `    <p>${interpolateVariables(item.question, context)}</p>\n`;
+        html += '  </div>\n';
+    });
+
+    html += '</div>\n';
+    return html;
+}
+
+function generateThreeColumnLayout(data, context) {
+    let html = '<div class="three-column">\n';
+
+    (data.columns || []).forEach(column => {
+        html += generateColumnCard(column, context);
+    });
+
+    html += '</div>\n';
+    return html;
+}
+
+function generateColumnCard(column, context) {
+    const colorClass = column.color && column.color !== 'purple' ? ` ${escapeAttribute(column.color)}` : '';
+    let html = `  <div class="column-card${colorClass}">\n`;
+
+    if (column.title) {
+        const icon = column.icon ? `${escapeHTML(column.icon)} ` : '';
+        html += `    <h3>${icon}${interpolateVariables(column.title, context)}</h3>\n`;
+    }
+
+    if (column.text) {
+        html += `    <p>${interpolateVariables(column.text, context)}</p>\n`;
+    }
+
+    if (column.items && column.items.length > 0) {
+        html += '    <ul>\n';
+        column.items.forEach(item => {
+            html += `      <li>${interpolateVariables(item, context)}</li>\n`;
+        });
+        html += '    </ul>\n';
+    }
+
+    html += '  </div>\n';
+    return html;
+}
+
+function generateToolsLayout(data, context) {
+    let html = '<div class="three-column tools-grid">\n';
+
+    (data.tools || []).forEach(tool => {
+        const rating = Math.max(0, Math.min(5, parseInt(tool.rating) || 0));
+
+        html += '  <div class="column-card">\n';
+        html += `    <h3>${interpolateVariables(tool.name, context)}</h3>\n`;
+        if (tool.url) {
+            html += `    <div class="tool-url">${interpolateURL(tool.url, context)}</div>\n`;
+        }
+        html += `    <p>${interpolateVariables(tool.description, context)}</p>\n`;
+        if (rating > 0) {
+            html += `    <div class="tool-rating">${'★'.repeat(rating)}${'☆'.repeat(5 - rating)}</div>\n`;
+        }
+        html += '  </div>\n';
+    });
+
+    html += '</div>\n';
+    return html;
+}
+
+function generateDiscussionLayout(data, context) {
+    let html = '<div class="discussion-layout">\n';
+
+    if (data.prompt) {
+        html += `  <p class="prompt">${interpolateVariables(data.prompt, context)}</p>\n`;
+    }
+
+    if (data.questions && data.questions.length > 0) {
+        html += '  <ol class="discussion-questions">\n';
+        data.questions.forEach(question => {
+            html += `    <li>${interpolateVariables(question, context)}</li>\n`;
+        });
+        html += '  </ol>\n';
+    }
+
+    html += '</div>\n';
+    return html;
+}
+
+function generateGenericLayout(data, context) {
+    // Fallback for unrecognized layouts: loose paragraphs become a bullet
+    // list and each extracted list becomes a column card
+    let html = '';
+
+    const paragraphs = (data.paragraphs || []).filter(Boolean);
+    if (paragraphs.length > 0) {
+        html += generateBulletListLayout({ items: paragraphs }, context);
+    }
+
+    const lists = (data.lists || []).filter(list => list.length > 0);
+    if (lists.length > 0) {
+        html += generateThreeColumnLayout({
+            columns: lists.map(items => ({ items }))
+        }, context);
+    }
+
+    return html;
+}
+
+// ============================================================================
+// STRUCTURED BLOCKS
+// ============================================================================
+
+// Blocks for shapes no layout covers (tables, badge rows, scales, step
+// models, card grids). They sit in a concept-full layout or a
+// balanced-layout panel as customContent: { type, ... }.
+const CUSTOM_BLOCK_GENERATORS = {
+    table: generateTableBlock,
+    'house-edge-table': generateHouseEdgeBlock,
+    'benefit-badges': generateBadgesBlock,
+    spectrum: generateSpectrumBlock,
+    'paced-model': generateStepModelBlock,
+    'info-grid': generateInfoGridBlock
+};
+
+// House edge ratings → the color and label of the edge cell
+const HOUSE_EDGE_RATINGS = {
+    low: { color: 'green', label: 'Lower' },
+    medium: { color: 'amber', label: 'Medium' },
+    bad: { color: 'rose', label: 'Highest' }
+};
+
+function generateCustomContent(block, context) {
+    const generate = block && CUSTOM_BLOCK_GENERATORS[block.type];
+    return generate ? generate(block, context) : '';
+}
+
+function generateTableBlock(block, context) {
+    let html = '    <table class="data-table">\n';
+
+    if (block.caption) {
+        html += `      <caption>${interpolateVariables(block.caption, context)}</caption>\n`;
+    }
+
+    html += '      <thead><tr>';
+    (block.columns || []).forEach(column => {
+        html += `<th>${interpolateVariables(column, context)}</th>`;
+    });
+    html += '</tr></thead>\n';
+
+    html += '      <tbody>\n';
+    (block.rows || []).forEach(row => {
+        html += `        <tr>${row.map(cell => `<td>${interpolateVariables(cell, context)}</td>`).join('')}</tr>\n`;
+    });
+    html += '      </tbody>\n';
+
+    html += '    </table>\n';
+    return html;
+}
+
+function generateHouseEdgeBlock(block, context) {
+    const [gameHeading, edgeHeading] = block.columns || ['Game', 'House Edge'];
+    let html = '    <table class="data-table house-edge-table">\n';
+    html += `      <thead><tr><th>${interpolateVariables(gameHeading, context)}</th><th>${interpolateVariables(edgeHeading, context)}</th></tr></thead>\n`;
+    html += '      <tbody>\n';
+
+    (block.rows || []).forEach(row => {
+        const rating = HOUSE_EDGE_RATINGS[row.rating] || HOUSE_EDGE_RATINGS.medium;
+        html += `        <tr><td>${interpolateVariables(row.game, context)}</td>`;
+        html += `<td class="edge ${rating.color}" title="${rating.label} house edge">${interpolateVariables(row.edge, context)}</td></tr>\n`;
+    });
+
+    html += '      </tbody>\n';
+    html += '    </table>\n';
+    return html;
+}
+
+function generateBadgesBlock(block, context) {
+    let html = '    <div class="benefit-badges">\n';
+
+    (block.items || []).forEach(item => {
+        html += '      <div class="benefit-badge">\n';
+        html += `        <span class="badge">${interpolateVariables(item.badge, context)}</span>\n`;
+        if (item.description) {
+            html += `        <p>${interpolateVariables(item.description, context)}</p>\n`;
+        }
+        html += '      </div>\n';
+    });
+
+    html += '    </div>\n';
+    return html;
+}
+
+// Stages left to right along a colored scale
+function generateSpectrumBlock(block, context) {
+    let html = '    <div class="spectrum">\n';
+
+    (block.stages || []).forEach(stage => {
+        html += `      <div class="spectrum-stage ${escapeAttribute(stage.color || 'blue')}">\n`;
+        html += `        <div class="stage-label">${interpolateVariables(stage.label, context)}</div>\n`;
+        if (stage.description) {
+            html += `        <p>${interpolateVariables(stage.description, context)}</p>\n`;
+        }
+        html += '      </div>\n';
+    });
+
+    html += '    </div>\n';
+    return html;
+}
+
+// A lettered decision model such as PACED: one card per letter
+function generateStepModelBlock(block, context) {
+    let html = '    <div class="paced-model" role="list" aria-label="Steps">\n';
+
+    (block.steps || []).forEach(step => {
+        html += `      <div class="paced-step ${escapeAttribute(step.color || 'purple')}" role="listitem">\n`;
+        html += `        <div class="step-letter">${escapeHTML(step.letter)}</div>\n`;
+        html += `        <h3>${interpolateVariables(step.title, context)}</h3>\n`;
+        if (step.description) {
+            html += `        <p>${interpolateVariables(step.description, context)}</p>\n`;
+        }
+        html += '      </div>\n';
+    });
+
+    html += '    </div>\n';
+    return html;
+}
+
+function generateInfoGridBlock(block, context) {
+    let html = '    <div class="info-grid">\n';
+
+    (block.cards || []).forEach(card => {
+        const title = card.icon && card.title ? `${card.icon} ${card.title}` : card.title;
+        html += generateInfoCard({ ...card, title }, context);
+    });
+
+    html += '    </div>\n';
+    return html;
+}
+
+// ============================================================================
+// POWERPOINT EXPORT
+// ============================================================================
+
+// --format=pptx draws each slide with native text boxes, shapes and tables
+// (see pptx-writer.js) on the same 1920x1080 canvas the HTML template uses,
+// colored from the template's :root variables.
+
+const OUTPUT_FORMATS = ['html', 'pptx'];
+
+// Template variables the PowerPoint palette needs
+const PPTX_PALETTE_VARIABLES = [
+    'primary', 'primary-dark', 'primary-light', 'teal', 'teal-dark', 'green', 'blue', 'amber',
+    'rose', 'text-dark', 'text-body', 'text-light', 'bg-light', 'bg-slate', 'white', 'border', 'text-on-brand'
+];
+
+// Content color names (headerColor, card and box colors) → palette entries
+const PPTX_COLOR_NAMES = {
+    purple: 'primary',
+    teal: 'teal',
+    blue: 'blue',
+    green: 'green',
+    rose: 'rose',
+    amber: 'amber',
+    gray: 'textLight'
+};
+
+// Outcome box types → content color names
+const PPTX_OUTCOME_COLORS = { before: 'rose', after: 'green', neutral: 'blue' };
+
+// Priority ranks → content color names
+const PPTX_RANK_COLORS = { first: 'purple', second: 'teal', third: 'blue', fourth: 'amber' };
+
+// The content area below a slide header
+const PPTX_BODY = { x: 80, y: 180, w: 1760, h: 830 };
+
+// Reads the template's :root custom properties as { camelCaseName: 'RRGGBB' }
+function loadPalette(template) {
+    const variables = readRootColors(template);
+    const missing = PPTX_PALETTE_VARIABLES.filter(name => !variables[name]);
+    if (missing.length > 0) {
+        throw new Error(`Template :root is missing color variables: ${missing.map(name => `--${name}`).join(', ')}`);
+    }
+
+    const palette = {};
+    Object.entries(variables).forEach(([name, hex]) => {
+        palette[name.replace(/-([a-z0-9])/g, (match, letter) => letter.toUpperCase())] = hex;
+    });
+    return palette;
+}
+
+function getAccentColor(palette, name, fallback = 'purple') {
+    return palette[PPTX_COLOR_NAMES[name] || PPTX_COLOR_NAMES[fallback]];
+}
+
+// Blends a color toward white (amount > 0) or black (amount < 0)
+function mixColor(hex, amount) {
+    const target = amount > 0 ? 255 : 0;
+    return [0, 2, 4].map(offset => {
+        const channel = parseInt(hex.slice(offset, offset + 2), 16);
+        return Math.round(channel + (target - channel) * Math.abs(amount)).toString(16).padStart(2, '0');
+    }).join('').toUpperCase();
+}
+
+const HTML_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', copy: '©', reg: '®', trade: '™',
+    mdash: '—', ndash: '–', hellip: '…', bull: '•', middot: '·', times: '×', divide: '÷', rarr: '→',
+    larr: '←', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', cent: '¢', deg: '°', plusmn: '±'
+};
+
+function decodeHTMLEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+        }
+        return HTML_ENTITIES[entity.toLowerCase()] ?? match;
+    });
+}
+
+// Converts a rendered fragment (see ALLOWED_CONTENT_TAGS) to text runs:
+// <strong> and <em> become bold and italic, highlighted spans take the
+// accent color and <br> a line break. Other tags are dropped.
+function htmlToRuns(html, highlightColor) {
+    const runs = [];
+    const open = [];
+    let lastIndex = 0;
+
+    const addText = text => {
+        const value = decodeHTMLEntities(text.replace(/\s+/g, ' '));
+        if (!value) {
+            return;
+        }
+        runs.push({
+            text: value,
+            bold: open.includes('strong') || undefined,
+            italic: open.includes('em') || undefined,
+            color: open.includes('highlight') ? highlightColor : undefined
+        });
+    };
+
+    for (const match of String(html ?? '').matchAll(/<(\/?)([a-zA-Z][a-zA-Z0-9-]*)([^>]*)>/g)) {
+        addText(html.slice(lastIndex, match.index));
+        lastIndex = match.index + match[0].length;
+
+        const [, closing, tagName, attributes] = match;
+        const tag = tagName.toLowerCase();
+        const name = tag === 'span'
+            ? (/highlight-text/.test(attributes) ? 'highlight' : 'span')
+            : tag;
+
+        if (tag === 'br') {
+            runs.push({ lineBreak: true });
+        } else if (closing) {
+            const names = tag === 'span' ? ['highlight', 'span'] : [tag];
+            const index = open.findLastIndex(item => names.includes(item));
+            if (index !== -1) {
+                open.splice(index, 1);
+            }
+        } else {
+            open.push(name);
+        }
+    }
+    addText(html.slice(lastIndex));
+
+    // Collapse whitespace at the paragraph edges the way HTML does
+    const textRuns = runs.filter(run => run.text !== undefined);
+    if (textRuns.length > 0) {
+        textRuns[0].text = textRuns[0].text.trimStart();
+        textRuns[textRuns.length - 1].text = textRuns[textRuns.length - 1].text.trimEnd();
+    }
+    return runs.filter(run => run.text !== '');
+}
+
+// Rough wrapped height of text boxes, used to share space between stacked blocks
+function estimateTextHeight(paragraphs, width) {
+    return paragraphs.reduce((height, paragraph) => {
+        const size = paragraph.size || 24;
+        const indent = paragraph.bullet ? size * 1.4 : 0;
+        const charsPerLine = Math.max(1, Math.floor((width - indent) / (size * 0.52)));
+        const lines = (paragraph.runs || [])
+            .map(run => run.lineBreak ? '\n' : run.text || '')
+            .join('')
+            .split('\n')
+            .reduce((count, line) => count + Math.max(1, Math.ceil(line.length / charsPerLine)), 0);
+        return height + lines * size * 1.25 + (paragraph.spaceAfter || 0);
+    }, 0);
+}
+
+// Splits a box's height between blocks in proportion to their estimated
+// heights; each block is { estimate, build(box) → shapes }
+function stackBlocks(box, blocks, gap = 24) {
+    const shapes = [];
+    const available = box.h - gap * (blocks.length - 1);
+    const total = blocks.reduce((sum, block) => sum + Math.max(block.estimate, 1), 0);
+    let y = box.y;
+
+    blocks.forEach(block => {
+        const h = Math.round(available * Math.max(block.estimate, 1) / total);
+        shapes.push(...block.build({ x: box.x, y, w: box.w, h }));
+        y += h + gap;
+    });
+    return shapes;
+}
+
+function gridBoxes(box, count, columns, gap = 32) {
+    const rows = Math.max(1, Math.ceil(count / columns));
+    const w = (box.w - gap * (columns - 1)) / columns;
+    const h = (box.h - gap * (rows - 1)) / rows;
+    return Array.from({ length: count }, (_, i) => ({
+        x: Math.round(box.x + (i % columns) * (w + gap)),
+        y: Math.round(box.y + Math.floor(i / columns) * (h + gap)),
+        w: Math.round(w),
+        h: Math.round(h)
+    }));
+}
+
+function insetBox(box, inset) {
+    return { x: box.x + inset, y: box.y + inset, w: box.w - inset * 2, h: box.h - inset * 2 };
+}
+
+// Shape helpers. deck is { context, palette }.
+
+// A paragraph from a content field, rendered like the HTML version
+function pptxParagraph(deck, value, style = {}) {
+    const html = value === undefined || value === null ? '' : interpolateVariables(String(value), deck.context);
+    return { ...style, runs: htmlToRuns(html, style.highlight || deck.palette.amber) };
+}
+
+function pptxText(box, paragraphs, options = {}) {
+    return { type: 'text', ...box, paragraphs: paragraphs.filter(Boolean), ...options };
+}
+
+function pptxRect(box, fill, options = {}) {
+    return { type: 'rect', ...box, fill, ...options };
+}
+
+// A card with a colored bar on its left or top edge
+function pptxCard(box, { fill, accent, edge = 'left', radius = 16 }) {
+    const bar = edge === 'top'
+        ? { x: box.x, y: box.y, w: box.w, h: 8 }
+        : { x: box.x, y: box.y, w: 8, h: box.h };
+    return [pptxRect(box, fill, { radius }), ...(accent ? [pptxRect(bar, accent)] : [])];
+}
+
+// A numbered circle, as used by objective, takeaway and step cards
+function pptxBadge(x, y, size, fill, label) {
+    return pptxText({ x, y, w: size, h: size }, [{
+        runs: [{ text: String(label) }], size: size * 0.45, bold: true, color: 'FFFFFF', align: 'center'
+    }], { fill, shape: 'ellipse', anchor: 'middle' });
+}
+
+function buildPptxSlide(slide, deck) {
+    const { palette } = deck;
+    let built;
+
+    switch (slide.type) {
+        case 'title':
+            built = buildPptxTitleSlide(slide, deck);
+            break;
+        case 'hook':
+            built = buildPptxHookSlide(slide, deck);
+            break;
+        case 'discussion':
+            built = buildPptxDiscussionSlide(slide, deck);
+            break;
+        case 'closing':
+            built = buildPptxClosingSlide(slide, deck);
+            break;
+        default:
+            built = buildPptxContentSlide(slide, deck);
+    }
+
+    // Slide number in the footer; the title slide has its own footer bar
+    if (slide.type !== 'title') {
+        const dark = ['hook', 'discussion', 'closing'].includes(slide.type);
+        const color = dark ? mixColor(palette.white, -0.2) : palette.textLight;
+        built.shapes.push(
+            pptxText({ x: 80, y: 1022, w: 1400, h: 40 }, [
+                pptxParagraph(deck, '{{CHAPTER_LABEL}} {{CHAPTER_ID}} · {{CHAPTER_TITLE}}', { size: 20, color })
+            ], { anchor: 'middle' }),
+            pptxText({ x: 1640, y: 1022, w: 200, h: 40 }, [
+                { runs: [{ field: 'slidenum' }], size: 20, color, bold: true, align: 'right' }
+            ], { anchor: 'middle' })
+        );
+    }
+
+    built.notes = notesToParagraphs(renderSpeakerNotes(slide.notes, deck.context));
+    return built;
+}
+
+// Speaker notes HTML (see renderNotesMarkdown) → notes pane paragraphs
+function notesToParagraphs(html) {
+    const paragraphs = [];
+    for (const [, tag, inner] of html.matchAll(/<(p|ul|ol)>([\s\S]*?)<\/\1>/g)) {
+        if (tag === 'p') {
+            paragraphs.push({ runs: htmlToRuns(inner), size: 24, spaceAfter: 12 });
+            continue;
+        }
+        for (const [, item] of inner.matchAll(/<li>([\s\S]*?)<\/li>/g)) {
+            paragraphs.push({ runs: htmlToRuns(item), size: 24, bullet: tag === 'ol' ? 'number' : 'dot', spaceAfter: 6 });
+        }
+    }
+    return paragraphs;
+}
+
+// A theme's gradient as a PowerPoint fill (first and last stops only), or
+// the built-in fill when the theme leaves that background alone
+function getPptxBackground(deck, name, fallback) {
+    const stops = deck.theme && deck.theme.gradients[name];
+    if (!stops) {
+        return fallback;
+    }
+    return stops.length === 1
+        ? { color: stops[0] }
+        : { gradient: [stops[0], stops[stops.length - 1]], angle: THEME_GRADIENTS[name].angle };
+}
+
+// Secondary text on the title and closing slides. Themes use text-on-brand,
+// the color their contrast check covers, in place of the light purple tint.
+function getPptxBrandTint(deck) {
+    return deck.theme ? deck.palette.textOnBrand : mixColor(deck.palette.primaryLight, 0.6);
+}
+
+// PowerPoint decks show theme logos by their text; images are HTML only
+function getPptxLogos(deck) {
+    return {
+        logo: deck.theme ? deck.theme.logo : DEFAULT_LOGO,
+        coBrand: deck.theme ? deck.theme.coBrand : null
+    };
+}
+
+// Slide type builders
+
+function buildPptxTitleSlide(slide, deck) {
+    const { palette, context } = deck;
+    const content = slide.content || {};
+    const titleSizes = { large: 88, medium: 72, small: 60 };
+    const light = getPptxBrandTint(deck);
+    const standard = context.STANDARD_NUMBER
+        ? 'Standard {{STANDARD_NUMBER}}: {{STANDARD_TITLE}}'
+        : context.STANDARD_NAME ? '{{STANDARD_NAME}}' : 'Personal Financial Literacy';
+    const { logo, coBrand } = getPptxLogos(deck);
+
+    return {
+        background: getPptxBackground(deck, 'title', { gradient: [palette.primary, palette.primaryDark], angle: 135 }),
+        shapes: [
+            pptxText({ x: 80, y: 60, w: 800, h: 70 }, [
+                { runs: [{ text: logo.text }], size: 36, bold: true, color: palette.textOnBrand }
+            ]),
+            ...(coBrand ? [pptxText({ x: 1040, y: 60, w: 800, h: 70 }, [
+                { runs: [{ text: coBrand.text }], size: 32, bold: true, color: palette.textOnBrand, align: 'right' }
+            ])] : []),
+            pptxText({ x: 160, y: 200, w: 1600, h: 700 }, [
+                pptxParagraph(deck, '{{CHAPTER_LABEL}} {{CHAPTER_ID}}', { size: 32, bold: true, caps: true, color: light, align: 'center', spaceAfter: 24 }),
+                pptxParagraph(deck, content.title || '{{CHAPTER_TITLE}}', {
+                    size: titleSizes[content.titleSize] || titleSizes.large, bold: true, color: palette.textOnBrand,
+                    align: 'center', spaceAfter: 24, lineSpacing: 0.95
+                }),
+                content.subtitle && pptxParagraph(deck, content.subtitle, { size: 36, color: light, align: 'center' })
+            ], { anchor: 'middle' }),
+            pptxRect({ x: 0, y: 990, w: 1920, h: 90 }, '000000', { alpha: 0.2 }),
+            pptxText({ x: 80, y: 990, w: 700, h: 90 }, [
+                { runs: [{ text: logo.text }], size: 24, bold: true, color: palette.textOnBrand }
+            ], { anchor: 'middle' }),
+            pptxText({ x: 800, y: 990, w: 1040, h: 90 }, [
+                pptxParagraph(deck, standard, { size: 24, color: palette.textOnBrand, align: 'right' })
+            ], { anchor: 'middle' })
+        ]
+    };
+}
+
+function buildPptxHookSlide(slide, deck) {
+    const { palette } = deck;
+    const content = slide.content || {};
+    const paragraphs = [
+        pptxParagraph(deck, content.label || 'Essential Question', {
+            size: 28, bold: true, caps: true, color: palette.amber, align: 'center', spaceAfter: 40
+        })
+    ];
+
+    if (content.scenario) {
+        paragraphs.push(
+            content.title && pptxParagraph(deck, content.title, { size: 52, bold: true, color: palette.textOnBrand, align: 'center', spaceAfter: 24 }),
+            pptxParagraph(deck, content.scenario, { size: 32, color: mixColor(palette.textOnBrand, -0.15), align: 'center', spaceAfter: 40 }),
+            pptxParagraph(deck, content.question, { size: 44, bold: true, color: palette.textOnBrand, align: 'center' })
+        );
+    } else {
+        paragraphs.push(pptxParagraph(deck, content.question, { size: 60, bold: true, color: palette.textOnBrand, align: 'center' }));
+    }
+
+    return {
+        background: getPptxBackground(deck, 'hook', { gradient: [palette.textDark, palette.textBody], angle: 135 }),
+        shapes: [pptxText({ x: 160, y: 100, w: 1600, h: 880 }, paragraphs, { anchor: 'middle' })]
+    };
+}
+
+function buildPptxDiscussionSlide(slide, deck) {
+    const { palette } = deck;
+    const content = slide.content || {};
+    const [from, to] = slide.variant === 'purple'
+        ? [palette.primary, palette.primaryDark]
+        : [palette.teal, palette.tealDark];
+    const light = mixColor(palette.white, -0.08);
+
+    const paragraphs = [
+        content.title && pptxParagraph(deck, content.title, { size: 52, bold: true, color: palette.white, align: 'center', spaceAfter: 24 }),
+        content.question && pptxParagraph(deck, content.question, { size: 44, bold: true, color: palette.white, align: 'center', spaceAfter: 32 }),
+        content.prompt && pptxParagraph(deck, content.prompt, { size: 32, color: light, align: 'center', spaceAfter: 24 }),
+        ...(content.questions || []).map(question => pptxParagraph(deck, question, {
+            size: 30, color: palette.white, bullet: 'number', spaceAfter: 16
+        }))
+    ];
+
+    return {
+        background: { gradient: [from, to], angle: 135 },
+        shapes: [
+            pptxText({ x: 760, y: 110, w: 400, h: 60 }, [
+                pptxParagraph(deck, content.badge || 'Discussion', { size: 24, bold: true, caps: true, color: to, align: 'center' })
+            ], { fill: palette.white, radius: 30, anchor: 'middle' }),
+            pptxText({ x: 200, y: 200, w: 1520, h: 800 }, paragraphs, { anchor: 'middle' })
+        ]
+    };
+}
+
+function buildPptxClosingSlide(slide, deck) {
+    const { palette } = deck;
+    const content = slide.content || {};
+    const light = getPptxBrandTint(deck);
+    const { logo, coBrand } = getPptxLogos(deck);
+
+    return {
+        background: getPptxBackground(deck, 'closing', { gradient: [palette.primary, palette.primaryDark], angle: 135 }),
+        shapes: [pptxText({ x: 160, y: 100, w: 1600, h: 900 }, [
+            { runs: [{ text: logo.text }], size: 96, bold: true, color: palette.textOnBrand, align: 'center', spaceAfter: 16 },
+            coBrand && { runs: [{ text: coBrand.text }], size: 40, bold: true, color: palette.textOnBrand, align: 'center', spaceAfter: 24 },
+            pptxParagraph(deck, content.tagline || CLOSING_DEFAULTS.tagline, { size: 36, color: light, align: 'center', spaceAfter: 48 }),
+            content.message && pptxParagraph(deck, content.message, { size: 32, color: palette.textOnBrand, align: 'center', spaceAfter: 24 }),
+            content.callToAction && pptxParagraph(deck, content.callToAction, { size: 34, bold: true, color: palette.textOnBrand, align: 'center', spaceAfter: 48 }),
+            pptxParagraph(deck, content.website || CLOSING_DEFAULTS.website, { size: 30, bold: true, color: palette.textOnBrand, align: 'center', spaceAfter: 12 }),
+            pptxParagraph(deck, content.copyright || CLOSING_DEFAULTS.copyright, { size: 20, color: light, align: 'center' })
+        ], { anchor: 'middle' })]
+    };
+}
+
+function buildPptxContentSlide(slide, deck) {
+    const { palette } = deck;
+    const content = slide.content || {};
+    const headerColor = HEADER_COLORS.includes(slide.headerColor) ? slide.headerColor : 'purple';
+    const accent = getAccentColor(palette, headerColor);
+    const shapes = [];
+    let body = PPTX_BODY;
+
+    if (content.headerTitle) {
+        shapes.push(
+            pptxRect({ x: 0, y: 0, w: 1920, h: 140 }, getPptxBackground(
+                deck,
+                headerColor === 'purple' ? 'header' : `header-${headerColor}`,
+                { gradient: [accent, mixColor(accent, -0.15)], angle: 135 }
+            )),
+            pptxText({ x: 80, y: 0, w: 1760, h: 140 }, [
+                pptxParagraph(deck, content.headerTitle, { size: 52, bold: true, color: palette.textOnBrand })
+            ], { anchor: 'middle' })
+        );
+    } else {
+        body = { ...PPTX_BODY, y: 60, h: PPTX_BODY.h + PPTX_BODY.y - 60 };
+    }
+
+    shapes.push(...buildPptxLayout(content, body, deck));
+    shapes.push(pptxRect({ x: 0, y: 1068, w: 1920, h: 12 }, getPptxBackground(deck, 'footer', { gradient: [palette.teal, palette.primary], angle: 90 })));
+
+    return { background: { color: palette.white }, shapes };
+}
+
+function buildPptxLayout(content, box, deck) {
+    if (!content || !content.layout) {
+        return [];
+    }
+
+    const data = content.layoutData || {};
+
+    switch (content.layout) {
+        case 'objectives-expanded':
+            return buildPptxNumberedGrid(box, deck, (data.objectives || []).map((objective, index) => ({
+                number: objective.number || index + 1, title: objective.verb, text: objective.description
+            })), 'purple');
+        case 'vocab-container':
+            return buildPptxVocab(data, box, deck);
+        case 'comparison-grid':
+            return buildPptxComparison(data, box, deck);
+        case 'scenario-layout':
+            return buildPptxScenario(data, box, deck);
+        case 'takeaway-grid':
+            return buildPptxNumberedGrid(box, deck, (data.takeaways || []).map((item, index) => ({
+                number: item.number || index + 1, title: item.title, text: item.description
+            })), 'teal');
+        case 'paycheck-breakdown':
+            return buildPptxPaycheck(data, box, deck);
+        case 'bullet-list-full':
+            return buildPptxBulletList(data, box, deck);
+        case 'balanced-layout':
+            return buildPptxBalanced(data, box, deck);
+        case 'concept-full':
+            return buildPptxConcept(data, box, deck);
+        case 'activity-layout':
+            return buildPptxActivity(data, box, deck);
+        case 'check-grid':
+            return buildPptxCheck(data, box, deck);
+        case 'three-column':
+            return buildPptxColumns(data.columns || [], box, deck);
+        case 'tools-grid':
+            return buildPptxTools(data, box, deck);
+        default:
+            return buildPptxGeneric(data, box, deck);
+    }
+}
+
+// Layout builders for each type
+
+// Objective and takeaway cards: a numbered circle, a heading and a description
+function buildPptxNumberedGrid(box, deck, items, color) {
+    const { palette } = deck;
+    const accent = getAccentColor(palette, color);
+    const columns = items.length > 4 ? 3 : 2;
+
+    return gridBoxes(box, items.length, columns).flatMap((cell, index) => {
+        const item = items[index];
+        return [
+            ...pptxCard(cell, { fill: palette.bgLight, accent }),
+            pptxBadge(cell.x + 36, cell.y + 32, 64, accent, item.number),
+            pptxText({ x: cell.x + 124, y: cell.y + 28, w: cell.w - 152, h: cell.h - 56 }, [
+                pptxParagraph(deck, item.title, { size: 34, bold: true, color: palette.textDark, spaceAfter: 12 }),
+                pptxParagraph(deck, item.text, { size: 26, color: palette.textBody, lineSpacing: 1.1 })
+            ])
+        ];
+    });
+}
+
+function buildPptxVocab(data, box, deck) {
+    const { palette } = deck;
+    const terms = data.terms || [];
+    const hasExamples = terms.some(term => term.example);
+    const columns = hasExamples
+        ? [box.w * 0.24, box.w * 0.44, box.w * 0.32]
+        : [box.w * 0.3, box.w * 0.7];
+    const rowHeight = Math.min(200, Math.floor((box.h - 64) / Math.max(terms.length, 1)));
+    const header = paragraphText => ({
+        paragraphs: [{ runs: [{ text: paragraphText }], size: 22, bold: true, caps: true, color: palette.white }],
+        fill: palette.primary,
+        height: 64
+    });
+
+    const rows = [[header('Term'), header('Definition'), ...(hasExamples ? [header('Example')] : [])]];
+    terms.forEach((term, index) => {
+        const fill = index % 2 === 0 ? palette.white : palette.bgLight;
+        const cell = (value, style) => ({
+            paragraphs: [pptxParagraph(deck, value || '', style)], fill, height: rowHeight, borderColor: palette.border
+        });
+        rows.push([
+            cell(term.term, { size: 28, bold: true, color: palette.primary }),
+            cell(term.definition, { size: 24, color: palette.textBody }),
+            ...(hasExamples ? [cell(term.example, { size: 22, color: palette.textLight })] : [])
+        ]);
+    });
+
+    return [{ type: 'table', x: box.x, y: box.y, w: box.w, columns: columns.map(Math.round), rows }];
+}
+
+function buildPptxComparison(data, box, deck) {
+    const { palette } = deck;
+    const gap = 140;
+    const width = (box.w - gap) / 2;
+    const shapes = [];
+
+    [[data.leftColumn, palette.textLight, box.x], [data.rightColumn, palette.teal, box.x + width + gap]]
+        .forEach(([column, accent, x]) => {
+            if (!column) {
+                return;
+            }
+            const cell = { x: Math.round(x), y: box.y, w: Math.round(width), h: box.h };
+            const icon = column.icon ? `${escapeHTML(column.icon)} ` : '';
+            shapes.push(
+                ...pptxCard(cell, { fill: palette.bgLight, accent, edge: 'top' }),
+                pptxText(insetBox({ ...cell, y: cell.y + 8, h: cell.h - 8 }, 36), [
+                    pptxParagraph(deck, icon + (column.title || ''), { size: 38, bold: true, color: accent, spaceAfter: 24 }),
+                    ...(column.items || []).map(item => pptxParagraph(deck, item, {
+                        size: 28, color: palette.textBody, bullet: 'dot', bulletColor: accent, spaceAfter: 16
+                    }))
+                ])
+            );
+        });
+
+    shapes.push(pptxText({ x: box.x + box.w / 2 - 45, y: box.y + box.h / 2 - 45, w: 90, h: 90 }, [
+        { runs: [{ text: 'VS' }], size: 30, bold: true, color: palette.white, align: 'center' }
+    ], { fill: palette.textDark, shape: 'ellipse', anchor: 'middle' }));
+
+    return shapes;
+}
+
+function buildPptxScenario(data, box, deck) {
+    const { palette } = deck;
+    const scenario = data.scenario || {};
+    const accent = getAccentColor(palette, scenario.color, 'amber');
+    const cardWidth = Math.round(box.w * 0.58);
+    const card = { x: box.x, y: box.y, w: cardWidth, h: box.h };
+    const icon = scenario.icon ? `${escapeHTML(scenario.icon)} ` : '';
+
+    const shapes = [
+        ...pptxCard(card, { fill: mixColor(accent, 0.88), accent }),
+        pptxText(insetBox({ ...card, x: card.x + 8, w: card.w - 8 }, 40), [
+            pptxParagraph(deck, icon + (scenario.name || ''), { size: 38, bold: true, color: palette.textDark, spaceAfter: 24 }),
+            ...(scenario.paragraphs || []).map(paragraph => pptxParagraph(deck, paragraph, {
+                size: 28, color: palette.textBody, spaceAfter: 18, lineSpacing: 1.1
+            }))
+        ])
+    ];
+
+    const outcomesBox = { x: box.x + cardWidth + 40, y: box.y, w: box.w - cardWidth - 40, h: box.h };
+    const outcomes = (data.outcomes || []).map(outcome => {
+        const color = getAccentColor(palette, PPTX_OUTCOME_COLORS[outcome.type], 'blue');
+        const paragraphs = [
+            pptxParagraph(deck, outcome.label, { size: 22, bold: true, caps: true, color, align: 'center', spaceAfter: 8 }),
+            pptxParagraph(deck, outcome.value, { size: 40, bold: true, color: palette.textDark, align: 'center', spaceAfter: 8 }),
+            outcome.detail && pptxParagraph(deck, outcome.detail, { size: 22, color: palette.textBody, align: 'center' })
+        ].filter(Boolean);
+
+        return {
+            estimate: estimateTextHeight(paragraphs, outcomesBox.w - 48) + 48,
+            build: cell => [pptxText(cell, paragraphs, {
+                fill: mixColor(color, 0.88), line: { color, width: 2 }, radius: 16, anchor: 'middle', inset: 24
+            })]
+        };
+    });
+
+    if (outcomes.length > 0) {
+        shapes.push(...stackBlocks(outcomesBox, outcomes));
+    }
+    return shapes;
+}
+
+function buildPptxPaycheck(data, box, deck) {
+    const { palette, context } = deck;
+    const scenario = data.scenario || {};
+    const width = (box.w - 48) / 2;
+    const card = { x: box.x, y: box.y, w: Math.round(width), h: box.h };
+    const lines = [
+        ['gross', '{{GROSS_INCOME_LABEL}}', scenario.grossIncome],
+        ...(scenario.deductions || []).map(deduction => ['deduction', deduction.label, deduction.amount]),
+        ['net', '{{NET_INCOME_LABEL}}', scenario.netIncome]
+    ];
+    const rowHeight = Math.min(80, Math.floor((card.h - 140) / lines.length));
+    const lineColors = { gross: palette.green, deduction: palette.rose, net: palette.blue };
+
+    const rows = lines.map(([lineClass, label, amount]) => {
+        const style = { size: 26, bold: lineClass !== 'deduction', color: palette.textDark };
+        const fill = lineClass === 'net' ? mixColor(palette.blue, 0.85) : palette.white;
+        return [
+            { paragraphs: [pptxParagraph(deck, label, style)], fill, height: rowHeight, borderColor: palette.border },
+            {
+                paragraphs: [{ ...style, bold: true, color: lineColors[lineClass], align: 'right', runs: htmlToRuns(formatPaycheckAmount(lineClass, amount, context)) }],
+                fill, height: rowHeight, borderColor: palette.border
+            }
+        ];
+    });
+
+    return [
+        pptxRect(card, palette.bgLight, { radius: 16 }),
+        pptxText({ x: card.x + 32, y: card.y + 24, w: card.w - 64, h: 80 }, [
+            pptxParagraph(deck, scenario.title || 'Monthly Paycheck Breakdown', { size: 34, bold: true, color: palette.textDark })
+        ], { anchor: 'middle' }),
+        {
+            type: 'table', x: card.x + 32, y: card.y + 120, w: card.w - 64,
+            columns: [Math.round((card.w - 64) * 0.62), Math.round((card.w - 64) * 0.38)], rows
+        },
+        ...buildPptxPanel(data.insights, { x: Math.round(box.x + width + 48), y: box.y, w: Math.round(width), h: box.h }, deck)
+    ];
+}
+
+function buildPptxBulletList(data, box, deck) {
+    const { palette } = deck;
+    return [pptxText(box, [
+        data.title && pptxParagraph(deck, data.title, { size: 40, bold: true, color: palette.textDark, spaceAfter: 24 }),
+        ...(data.items || []).map(item => pptxParagraph(deck, item, {
+            size: 32, color: palette.textBody, bullet: 'dot', bulletColor: palette.primary, spaceAfter: 18
+        }))
+    ])];
+}
+
+function buildPptxBalanced(data, box, deck) {
+    const keyPoint = pptxKeyPointBlock(data.bottomKeyPoint, box.w, deck);
+    const panelsBox = keyPoint ? { ...box, h: box.h - keyPoint.estimate - 32 } : box;
+    const width = Math.round((box.w - 48) / 2);
+    const shapes = [
+        ...buildPptxPanel(data.leftPanel, { ...panelsBox, w: width }, deck),
+        ...buildPptxPanel(data.rightPanel, { ...panelsBox, x: box.x + width + 48, w: width }, deck)
+    ];
+
+    if (keyPoint) {
+        shapes.push(...keyPoint.build({ x: box.x, y: box.y + box.h - keyPoint.estimate, w: box.w, h: keyPoint.estimate }));
+    }
+    return shapes;
+}
+
+// Panels mirror generatePanel: prose in one card, or a stack of stat cards,
+// info cards and a priority list
+function buildPptxPanel(panel, box, deck) {
+    if (!panel) {
+        return [];
+    }
+
+    const { palette } = deck;
+    const blocks = [];
+    const isContentPanel = Boolean(panel.title || panel.paragraphs || panel.bulletPoints);
+
+    if (isContentPanel) {
+        const accent = panel.color ? getAccentColor(palette, panel.color) : null;
+        const paragraphs = [
+            panel.title && pptxParagraph(deck, panel.title, { size: 34, bold: true, color: accent || palette.textDark, spaceAfter: 16 }),
+            ...(panel.paragraphs || []).map(paragraph => pptxParagraph(deck, paragraph, { size: 26, color: palette.textBody, spaceAfter: 14 })),
+            ...(panel.bulletPoints || []).map(point => pptxParagraph(deck, point, {
+                size: 26, color: palette.textBody, bullet: 'dot', bulletColor: accent || palette.teal, spaceAfter: 10
+            }))
+        ].filter(Boolean);
+
+        blocks.push({
+            estimate: estimateTextHeight(paragraphs, box.w - 64) + 64,
+            build: cell => [pptxText(cell, paragraphs, {
+                fill: accent ? mixColor(accent, 0.88) : palette.bgLight, radius: 16, inset: 32
+            })]
+        });
+    }
+
+    const customBlock = pptxCustomBlock(panel.customContent, box.w, deck);
+    if (customBlock) {
+        blocks.push(customBlock);
+    }
+
+    (panel.stats || []).forEach(stat => {
+        const accent = getAccentColor(palette, stat.color, 'teal');
+        blocks.push({
+            estimate: 150,
+            build: cell => [pptxText(cell, [
+                pptxParagraph(deck, stat.value, { size: 52, bold: true, color: palette.white, align: 'center' }),
+                pptxParagraph(deck, stat.label, { size: 24, color: palette.white, align: 'center' })
+            ], { fill: { gradient: [accent, mixColor(accent, -0.15)], angle: 135 }, radius: 16, anchor: 'middle', inset: 16 })]
+        });
+    });
+
+    const infoCards = panel.infoCards || (panel.infoCard ? [panel.infoCard] : []);
+    infoCards.forEach(card => {
+        const accent = getAccentColor(palette, card.color, 'amber');
+        const paragraphs = [
+            card.title && pptxParagraph(deck, card.title, { size: 28, bold: true, color: palette.textDark, spaceAfter: 10 }),
+            card.text && pptxParagraph(deck, card.text, { size: 24, color: palette.textBody, spaceAfter: 8 }),
+            ...(card.items || []).map(item => pptxParagraph(deck, item, {
+                size: 24, color: palette.textBody, bullet: 'dot', bulletColor: accent, spaceAfter: 6
+            }))
+        ].filter(Boolean);
+
+        blocks.push({
+            estimate: estimateTextHeight(paragraphs, box.w - 64) + 48,
+            build: cell => [
+                ...pptxCard(cell, { fill: mixColor(accent, 0.88), accent }),
+                pptxText({ x: cell.x + 32, y: cell.y + 20, w: cell.w - 56, h: cell.h - 40 }, paragraphs, { anchor: 'middle' })
+            ]
+        });
+    });
+
+    (panel.priorityList || []).forEach((item, index) => {
+        const accent = getAccentColor(palette, PPTX_RANK_COLORS[item.rankClass], 'purple');
+        const paragraphs = [
+            pptxParagraph(deck, item.title, { size: 28, bold: true, color: palette.textDark, spaceAfter: 6 }),
+            item.description && pptxParagraph(deck, item.description, { size: 22, color: palette.textBody })
+        ].filter(Boolean);
+
+        blocks.push({
+            estimate: Math.max(90, estimateTextHeight(paragraphs, box.w - 120) + 24),
+            build: cell => [
+                pptxBadge(cell.x, cell.y + Math.max(0, (cell.h - 64) / 2), 64, accent, item.rank || index + 1),
+                pptxText({ x: cell.x + 88, y: cell.y, w: cell.w - 88, h: cell.h }, paragraphs, { anchor: 'middle' })
+            ]
+        });
+    });
+
+    const highlight = panel.highlightBox;
+    if (highlight) {
+        const accent = getAccentColor(palette, highlight.color, 'amber');
+        const icon = highlight.icon ? `${escapeHTML(highlight.icon)} ` : '';
+        const paragraph = pptxParagraph(deck, icon + (highlight.text || ''), { size: 24, color: palette.textDark });
+        blocks.push({
+            estimate: estimateTextHeight([paragraph], box.w - 64) + 48,
+            build: cell => [
+                ...pptxCard(cell, { fill: mixColor(accent, 0.85), accent, radius: 12 }),
+                pptxText({ x: cell.x + 32, y: cell.y, w: cell.w - 56, h: cell.h }, [paragraph], { anchor: 'middle' })
+            ]
+        });
+    }
+
+    return blocks.length > 0 ? stackBlocks(box, blocks, 20) : [];
+}
+
+// keyPoint appears both as a plain string and as { text }
+function pptxKeyPointBlock(keyPoint, width, deck) {
+    const text = typeof keyPoint === 'string' ? keyPoint : keyPoint && keyPoint.text;
+    if (!text) {
+        return null;
+    }
+
+    const { palette } = deck;
+    const paragraph = pptxParagraph(deck, text, { size: 28, color: palette.textDark, highlight: palette.blue });
+    return {
+        estimate: Math.min(220, estimateTextHeight([paragraph], width - 80) + 56),
+        build: cell => [
+            ...pptxCard(cell, { fill: mixColor(palette.blue, 0.85), accent: palette.blue }),
+            pptxText({ x: cell.x + 40, y: cell.y, w: cell.w - 72, h: cell.h }, [paragraph], { anchor: 'middle' })
+        ]
+    };
+}
+
+// Structured blocks mirror generateCustomContent. Like pptxKeyPointBlock,
+// each returns { estimate, build(box) → shapes } for stackBlocks.
+function pptxCustomBlock(block, width, deck) {
+    switch (block && block.type) {
+        case 'table':
+            return pptxTableBlock(block, width, deck);
+        case 'house-edge-table':
+            return pptxHouseEdgeBlock(block, width, deck);
+        case 'benefit-badges':
+            return pptxBadgesBlock(block, width, deck);
+        case 'spectrum':
+            return pptxSpectrumBlock(block, width, deck);
+        case 'paced-model':
+            return pptxStepModelBlock(block, width, deck);
+        case 'info-grid':
+            return pptxInfoGridBlock(block, width, deck);
+        default:
+            return null;
+    }
+}
+
+// A striped table with a header row, like .data-table; each cell is a list
+// of paragraphs
+function pptxTable(headings, rows, caption, width, deck) {
+    const { palette } = deck;
+    const columnCount = Math.max(headings.length, ...rows.map(row => row.length), 1);
+    const columns = Array.from({ length: columnCount }, () => Math.round(width / columnCount));
+    const header = heading => ({
+        paragraphs: [pptxParagraph(deck, heading, { size: 22, bold: true, color: palette.white })],
+        fill: palette.primary,
+        height: 60
+    });
+
+    const tableRows = [];
+    if (headings.length > 0) {
+        tableRows.push(headings.map(header));
+    }
+    rows.forEach((row, index) => {
+        const fill = index % 2 === 0 ? palette.white : palette.bgLight;
+        const height = Math.max(56, ...row.map((paragraphs, column) => estimateTextHeight(paragraphs, columns[column] - 48) + 28));
+        tableRows.push(row.map(paragraphs => ({ paragraphs, fill, borderColor: palette.border, height })));
+    });
+
+    const captionParagraph = caption && pptxParagraph(deck, caption, { size: 24, bold: true, color: palette.textDark });
+    const captionHeight = captionParagraph ? 48 : 0;
+    return {
+        estimate: captionHeight + tableRows.reduce((sum, row) => sum + row[0].height, 0),
+        build: cell => [
+            ...(captionParagraph ? [pptxText({ ...cell, h: captionHeight }, [captionParagraph])] : []),
+            { type: 'table', x: cell.x, y: cell.y + captionHeight, w: cell.w, columns, rows: tableRows }
+        ]
+    };
+}
+
+function pptxTableBlock(block, width, deck) {
+    const { palette } = deck;
+    const rows = (block.rows || []).map(row => row.map(cell => [
+        pptxParagraph(deck, cell, { size: 22, color: palette.textBody })
+    ]));
+    return pptxTable(block.columns || [], rows, block.caption, width, deck);
+}
+
+function pptxHouseEdgeBlock(block, width, deck) {
+    const { palette } = deck;
+    const rows = (block.rows || []).map(row => {
+        const rating = HOUSE_EDGE_RATINGS[row.rating] || HOUSE_EDGE_RATINGS.medium;
+        return [
+            [pptxParagraph(deck, row.game, { size: 22, color: palette.textBody })],
+            [pptxParagraph(deck, row.edge, { size: 22, bold: true, color: getAccentColor(palette, rating.color) })]
+        ];
+    });
+    return pptxTable(block.columns || ['Game', 'House Edge'], rows, null, width, deck);
+}
+
+// Cards side by side in one row, each sized to the tallest
+function pptxCardRow(cards, width, deck, gap = 20) {
+    const cardWidth = (width - gap * Math.max(cards.length - 1, 0)) / Math.max(cards.length, 1);
+    return {
+        estimate: Math.max(0, ...cards.map(card => card.estimate(cardWidth))),
+        build: box => gridBoxes(box, cards.length, Math.max(cards.length, 1), gap)
+            .flatMap((cell, index) => cards[index].build(cell))
+    };
+}
+
+function pptxBadgesBlock(block, width, deck) {
+    const { palette } = deck;
+    return pptxCardRow((block.items || []).map(item => {
+        const description = item.description && pptxParagraph(deck, item.description, { size: 20, color: palette.textBody });
+        return {
+            estimate: cardWidth => 104 + (description ? estimateTextHeight([description], cardWidth - 40) : 0),
+            build: cell => [
+                pptxRect(cell, palette.white, { radius: 14, line: { color: palette.border } }),
+                pptxText({ x: cell.x + 20, y: cell.y + 20, w: Math.min(cell.w - 40, 240), h: 44 }, [
+                    pptxParagraph(deck, item.badge, { size: 22, bold: true, color: palette.white, align: 'center' })
+                ], { fill: palette.teal, radius: 22, anchor: 'middle' }),
+                ...(description ? [pptxText({ x: cell.x + 20, y: cell.y + 76, w: cell.w - 40, h: cell.h - 96 }, [description])] : [])
+            ]
+        };
+    }), width, deck);
+}
+
+function pptxSpectrumBlock(block, width, deck) {
+    const { palette } = deck;
+    return pptxCardRow((block.stages || []).map(stage => {
+        const accent = getAccentColor(palette, stage.color, 'blue');
+        const paragraphs = [
+            pptxParagraph(deck, stage.label, { size: 22, bold: true, color: accent, align: 'center', spaceAfter: 6 }),
+            stage.description && pptxParagraph(deck, stage.description, { size: 20, color: palette.textBody, align: 'center' })
+        ].filter(Boolean);
+        return {
+            estimate: cardWidth => 32 + estimateTextHeight(paragraphs, cardWidth),
+            build: cell => [
+                pptxRect({ ...cell, h: 16 }, accent),
+                pptxText({ ...cell, y: cell.y + 32, h: cell.h - 32 }, paragraphs)
+            ]
+        };
+    }), width, deck, 6);
+}
+
+function pptxStepModelBlock(block, width, deck) {
+    const { palette } = deck;
+    return pptxCardRow((block.steps || []).map(step => {
+        const accent = getAccentColor(palette, step.color);
+        const paragraphs = [
+            pptxParagraph(deck, step.title, { size: 24, bold: true, color: palette.textDark, align: 'center', spaceAfter: 8 }),
+            step.description && pptxParagraph(deck, step.description, { size: 20, color: palette.textBody, align: 'center' })
+        ].filter(Boolean);
+        return {
+            estimate: cardWidth => 128 + estimateTextHeight(paragraphs, cardWidth - 48),
+            build: cell => [
+                ...pptxCard(cell, { fill: palette.white, accent, edge: 'top' }),
+                pptxBadge(cell.x + (cell.w - 64) / 2, cell.y + 28, 64, accent, step.letter),
+                pptxText({ x: cell.x + 24, y: cell.y + 104, w: cell.w - 48, h: cell.h - 128 }, paragraphs)
+            ]
+        };
+    }), width, deck);
+}
+
+// Info cards two to a row, like .info-grid
+function pptxInfoGridBlock(block, width, deck) {
+    const { palette } = deck;
+    const cards = block.cards || [];
+    const cardWidth = (width - 24) / 2;
+    const cells = cards.map(card => {
+        const accent = getAccentColor(palette, card.color, 'amber');
+        const icon = card.icon ? `${escapeHTML(card.icon)} ` : '';
+        const paragraphs = [
+            card.title && pptxParagraph(deck, icon + card.title, { size: 26, bold: true, color: palette.textDark, spaceAfter: 8 }),
+            card.text && pptxParagraph(deck, card.text, { size: 22, color: palette.textBody, spaceAfter: 6 }),
+            ...(card.items || []).map(item => pptxParagraph(deck, item, {
+                size: 22, color: palette.textBody, bullet: 'dot', bulletColor: accent, spaceAfter: 4
+            }))
+        ].filter(Boolean);
+        return { accent, paragraphs, estimate: estimateTextHeight(paragraphs, cardWidth - 56) + 40 };
+    });
+    const rows = Math.ceil(cards.length / 2);
+    const rowHeight = Math.max(0, ...cells.map(cell => cell.estimate));
+
+    return {
+        estimate: rows * rowHeight + (rows - 1) * 24,
+        build: box => gridBoxes(box, cells.length, 2, 24).flatMap((cell, index) => [
+            ...pptxCard(cell, { fill: mixColor(cells[index].accent, 0.88), accent: cells[index].accent }),
+            pptxText({ x: cell.x + 32, y: cell.y + 20, w: cell.w - 56, h: cell.h - 40 }, cells[index].paragraphs, { anchor: 'middle' })
+        ])
+    };
+}
+
+function buildPptxConcept(data, box, deck) {
+    const { palette } = deck;
+    const paragraphs = [
+        data.title && pptxParagraph(deck, data.title, { size: 40, bold: true, color: palette.textDark, spaceAfter: 20 }),
+        ...(data.paragraphs || []).map(paragraph => pptxParagraph(deck, paragraph, {
+            size: 30, color: palette.textBody, spaceAfter: 18, lineSpacing: 1.1
+        })),
+        ...(data.bulletPoints || []).map(point => pptxParagraph(deck, point, {
+            size: 30, color: palette.textBody, bullet: 'dot', bulletColor: palette.primary, spaceAfter: 12
+        }))
+    ].filter(Boolean);
+
+    const keyPoint = pptxKeyPointBlock(data.keyPoint, box.w, deck);
+    const customBlock = pptxCustomBlock(data.customContent, box.w, deck);
+    if (!keyPoint && !customBlock) {
+        return [pptxText(box, paragraphs)];
+    }
+
+    // The structured block and key point keep their natural heights; the
+    // text takes what is left
+    const fixed = [customBlock, keyPoint].filter(Boolean);
+    const textHeight = box.h - fixed.reduce((sum, block) => sum + block.estimate + 32, 0);
+    const shapes = paragraphs.length > 0 ? [pptxText({ ...box, h: textHeight }, paragraphs)] : [];
+    let y = paragraphs.length > 0 ? box.y + textHeight + 32 : box.y;
+
+    fixed.forEach(block => {
+        shapes.push(...block.build({ x: box.x, y, w: box.w, h: block.estimate }));
+        y += block.estimate + 32;
+    });
+    return shapes;
+}
+
+function buildPptxActivity(data, box, deck) {
+    const { palette } = deck;
+    const main = data.main || {};
+    const mainWidth = Math.round(box.w * 0.45);
+    const card = { x: box.x, y: box.y, w: mainWidth, h: box.h };
+    const icon = main.icon ? `${escapeHTML(main.icon)} ` : '';
+
+    const shapes = [
+        ...pptxCard(card, { fill: mixColor(palette.primary, 0.9), accent: palette.primary }),
+        pptxText(insetBox({ ...card, x: card.x + 8, w: card.w - 8 }, 40), [
+            main.title && pptxParagraph(deck, icon + main.title, { size: 38, bold: true, color: palette.primaryDark, spaceAfter: 20 }),
+            main.description && pptxParagraph(deck, main.description, { size: 28, color: palette.textBody, lineSpacing: 1.1 })
+        ], { anchor: 'middle' })
+    ];
+
+    const stepsBox = { x: box.x + mainWidth + 48, y: box.y, w: box.w - mainWidth - 48, h: box.h };
+    const steps = (data.steps || []).map((step, index) => {
+        const number = typeof step === 'string' ? index + 1 : step.number || index + 1;
+        const text = typeof step === 'string' ? step : `<strong>${step.title}:</strong> ${step.description}`;
+        const paragraph = pptxParagraph(deck, text, { size: 26, color: palette.textBody });
+
+        return {
+            estimate: Math.max(72, estimateTextHeight([paragraph], stepsBox.w - 96)),
+            build: cell => [
+                pptxBadge(cell.x, cell.y + Math.max(0, (cell.h - 56) / 2), 56, palette.teal, number),
+                pptxText({ x: cell.x + 80, y: cell.y, w: cell.w - 80, h: cell.h }, [paragraph], { anchor: 'middle' })
+            ]
+        };
+    });
+
+    if (steps.length > 0) {
+        shapes.push(...stackBlocks(stepsBox, steps, 20));
+    }
+    return shapes;
+}
+
+function buildPptxCheck(data, box, deck) {
+    const { palette } = deck;
+    const questions = data.questions || [];
+
+    return gridBoxes(box, questions.length, 2).flatMap((cell, index) => {
+        const item = questions[index];
+        return [
+            ...pptxCard(cell, { fill: palette.bgLight, accent: palette.teal, edge: 'top' }),
+            pptxText(insetBox({ ...cell, y: cell.y + 8, h: cell.h - 8 }, 32), [
+                { runs: [{ text: `Question ${item.number || index + 1}` }], size: 22, bold: true, caps: true, color: palette.teal, spaceAfter: 12 },
+                pptxParagraph(deck, item.question, { size: 30, color: palette.textDark, lineSpacing: 1.1 })
+            ])
+        ];
+    });
+}
+
+function buildPptxColumns(columns, box, deck) {
+    const { palette } = deck;
+
+    return gridBoxes(box, columns.length, Math.min(3, Math.max(columns.length, 1))).flatMap((cell, index) => {
+        const column = columns[index];
+        const accent = getAccentColor(palette, column.color);
+        const icon = column.icon ? `${escapeHTML(column.icon)} ` : '';
+
+        return [
+            ...pptxCard(cell, { fill: palette.bgLight, accent, edge: 'top' }),
+            pptxText(insetBox({ ...cell, y: cell.y + 8, h: cell.h - 8 }, 32), [
+                column.title && pptxParagraph(deck, icon + column.title, { size: 32, bold: true, color: accent, spaceAfter: 16 }),
+                column.text && pptxParagraph(deck, column.text, { size: 26, color: palette.textBody, spaceAfter: 12 }),
+                ...(column.items || []).map(item => pptxParagraph(deck, item, {
+                    size: 26, color: palette.textBody, bullet: 'dot', bulletColor: accent, spaceAfter: 10
+                }))
+            ])
+        ];
+    });
+}
+
+function buildPptxTools(data, box, deck) {
+    const { palette, context } = deck;
+    const tools = data.tools || [];
+
+    return gridBoxes(box, tools.length, Math.min(3, Math.max(tools.length, 1))).flatMap((cell, index) => {
+        const tool = tools[index];
+        const rating = Math.max(0, Math.min(5, parseInt(tool.rating) || 0));
+        const url = tool.url ? interpolateURL(tool.url, context) : '';
+
+        return [
+            ...pptxCard(cell, { fill: palette.bgLight, accent: palette.primary, edge: 'top' }),
+            pptxText(insetBox({ ...cell, y: cell.y + 8, h: cell.h - 8 }, 32), [
+                pptxParagraph(deck, tool.name, { size: 32, bold: true, color: palette.textDark, spaceAfter: 8 }),
+                url && { runs: htmlToRuns(url), size: 22, color: palette.blue, spaceAfter: 16 },
+                pptxParagraph(deck, tool.description, { size: 26, color: palette.textBody, spaceAfter: 16 }),
+                rating > 0 && { runs: [{ text: '★'.repeat(rating) + '☆'.repeat(5 - rating) }], size: 30, color: palette.amber }
+            ])
+        ];
+    });
+}
+
+// Mirrors generateGenericLayout: paragraphs as bullets, lists as column cards
+function buildPptxGeneric(data, box, deck) {
+    const paragraphs = (data.paragraphs || []).filter(Boolean);
+    const lists = (data.lists || []).filter(list => list.length > 0);
+    const columns = lists.map(items => ({ items }));
+
+    if (paragraphs.length > 0 && lists.length > 0) {
+        const listHeight = Math.round(box.h * 0.45);
+        return [
+            ...buildPptxBulletList({ items: paragraphs }, { ...box, h: box.h - listHeight - 32 }, deck),
+            ...buildPptxColumns(columns, { ...box, y: box.y + box.h - listHeight, h: listHeight }, deck)
+        ];
+    }
+    if (lists.length > 0) {
+        return buildPptxColumns(columns, box, deck);
+    }
+    return buildPptxBulletList({ items: paragraphs }, box, deck);
+}
+
+// Builds the .pptx file for a deck's slides; returns a Buffer
+function generatePresentation(slides, context, template, theme = null) {
+    const deck = { context, theme, palette: loadPalette(template) };
+    return createPresentation({
+        title: fillPlaceholders('{{CHAPTER_ID}}: {{CHAPTER_TITLE}}', context, String),
+        author: 'PFL Academy',
+        language: context.LOCALE,
+        palette: deck.palette,
+        slides: slides.map((slide, index) => buildPptxSlide({ ...slide, number: index + 1 }, deck))
+    });
+}
+
+// ============================================================================
+// BUILD MANIFEST
+// ============================================================================
+
+// output/build-manifest.json records, for every generated deck, the hashes of
+// the files it was built from and the details the index pages list. A deck is
+// rebuilt only when one of them changes.
+const MANIFEST_VERSION = 2;
+
+const DECK_INPUT_LABELS = {
+    generator: 'generator script',
+    template: 'template',
+    content: 'content JSON',
+    state: 'state data',
+    mapping: 'chapter mapping',
+    writer: 'PowerPoint writer',
+    theme: 'theme',
+    translation: 'translation'
+};
+
+function loadBuildManifest() {
+    try {
+        const manifest = JSON.parse(fs.readFileSync(CONFIG.manifestPath, 'utf8'));
+        if (manifest.version === MANIFEST_VERSION && manifest.decks) {
+            return manifest;
+        }
+    } catch (error) {
+        // Missing or unreadable manifest: everything is rebuilt
+    }
+
+    return { version: MANIFEST_VERSION, decks: {} };
+}
+
+function saveBuildManifest(manifest) {
+    const decks = {};
+    Object.keys(manifest.decks).sort().forEach(key => {
+        decks[key] = manifest.decks[key];
+    });
+
+    fs.mkdirSync(path.dirname(CONFIG.manifestPath), { recursive: true });
+    fs.writeFileSync(CONFIG.manifestPath, JSON.stringify({ version: MANIFEST_VERSION, decks }, null, 2) + '\n', 'utf8');
+}
+
+// HTML decks are keyed state/chapter, other formats state/chapter/format,
+// and decks in another locale state/chapter/format/locale
+function getDeckKey(state, lChapter, format = 'html', locale = SOURCE_LOCALE) {
+    if (locale !== SOURCE_LOCALE) {
+        return `${state}/${lChapter}/${format}/${locale}`;
+    }
+    return format === 'html' ? `${state}/${lChapter}` : `${state}/${lChapter}/${format}`;
+}
+
+function hashFile(filePath) {
+    return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+// A chapter's content hash covers the partials and chapters its slide
+// references read, so editing a partial rebuilds every deck that uses it
+function hashContentFiles(lChapter) {
+    const contentPath = path.join(CONFIG.contentDir, `${lChapter}.json`);
+    const files = new Set();
+    resolveSlideRefs(migrateContent(JSON.parse(fs.readFileSync(contentPath, 'utf8'))).data, `${lChapter}.json`, files);
+
+    const hash = crypto.createHash('sha256').update(fs.readFileSync(contentPath));
+    [...files].sort().forEach(file => {
+        hash.update(path.relative(CONFIG.contentDir, file)).update(fs.readFileSync(file));
+    });
+    return hash.digest('hex');
+}
+
+function hashDeckInputs(state, lChapter, format = 'html', theme = null, locale = SOURCE_LOCALE, draft = false) {
+    const inputs = {
+        generator: hashFile(__filename),
+        template: hashFile(CONFIG.templatePath),
+        content: hashContentFiles(lChapter),
+        state: hashFile(path.join(CONFIG.stateDataDir, `${state}.json`)),
+        mapping: hashFile(findChapterMappingPath(state))
+    };
+    if (format === 'pptx') {
+        inputs.writer = hashFile(CONFIG.pptxWriterPath);
+    }
+    if (theme) {
+        inputs.theme = hashThemeFiles(theme);
+    }
+    if (!isSourceLanguage(locale)) {
+        inputs.translation = hashTranslation(lChapter, locale, draft);
+    }
+    return inputs;
+}
+
+// Covers the chapter's overlay and the locale's labels, where they exist,
+// and whether untranslated strings are marked
+function hashTranslation(lChapter, locale, draft) {
+    const hash = crypto.createHash('sha256').update(draft ? 'draft' : 'final');
+    [getLocaleOverlayPath(lChapter, locale), getLocaleLabelsPath(locale)].forEach(filePath => {
+        hash.update(filePath && fs.existsSync(filePath) ? fs.readFileSync(filePath) : '-');
+    });
+    return hash.digest('hex');
+}
+
+// Returns why a deck needs rebuilding, or null when its output is current
+function getStaleReason(entry, inputs, output) {
+    if (!entry) {
+        return 'not built yet';
+    }
+
+    if (entry.output !== output) {
+        return 'output renamed';
+    }
+
+    if (!fs.existsSync(path.join(CONFIG.outputDir, entry.output))) {
+        return 'output missing';
+    }
+
+    // Both sides' keys, so dropping a theme also counts as a change
+    const names = new Set([...Object.keys(inputs), ...Object.keys(entry.inputs)]);
+    const changed = [...names].filter(name => entry.inputs[name] !== inputs[name]);
+    if (changed.length > 0) {
+        return `${changed.map(name => DECK_INPUT_LABELS[name]).join(', ')} changed`;
+    }
+
+    return null;
+}
+
+// Drops manifest entries (and their output files) for states or chapters
+// whose source file no longer exists
+function pruneBuildManifest(manifest, dryRun = false) {
+    const states = new Set(listStateNames());
+    const chapters = new Set(listChapterIds());
+    const pruned = [];
+
+    Object.entries(manifest.decks).forEach(([key, entry]) => {
+        const [state, chapter] = key.split('/');
+        let reason = null;
+
+        if (!states.has(state)) {
+            reason = 'state removed';
+        } else if (!chapters.has(chapter)) {
+            reason = 'chapter removed';
+        }
+
+        if (!reason) {
+            return;
+        }
+
+        pruned.push({ state, chapter, status: 'pruned', reason });
+        if (!dryRun) {
+            const outputPath = path.join(CONFIG.outputDir, entry.output);
+            fs.rmSync(outputPath, { force: true });
+            delete manifest.decks[key];
+
+            // Remove the state's folder once its last deck is gone
+            const stateDir = path.dirname(outputPath);
+            if (fs.existsSync(stateDir) && fs.readdirSync(stateDir).length === 0) {
+                fs.rmdirSync(stateDir);
+            }
+        }
+    });
+
+    return pruned;
+}
+
+// ============================================================================
+// OUTPUT FILES & INDEX PAGES
+// ============================================================================
+
+// Tokens for output file name patterns (--output-pattern)
+const OUTPUT_PATTERN_TOKENS = {
+    chapter: deck => deck.chapterId.replace(/\./g, '-'),   // 1-1, 4-6-4-7
+    slug: deck => slugify(deck.title),                       // jobs-vs-careers
+    lChapter: deck => deck.contentId.toLowerCase(),          // l-01
+    state: deck => deck.state                                // oklahoma
+};
+
+// "Tax Planning & Compliance" → "tax-planning-and-compliance"
+function slugify(text) {
+    return String(text)
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/<[^>]*>/g, '')
+        .replace(/&(amp;)?/gi, ' and ')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+// Returns why a pattern cannot name every deck uniquely, or null
+function getOutputPatternError(pattern) {
+    const unknown = [...pattern.matchAll(/\{([^}]*)\}/g)].map(match => match[1]).filter(token => !(token in OUTPUT_PATTERN_TOKENS));
+    if (unknown.length > 0) {
+        return `unknown token {${unknown[0]}} (use ${Object.keys(OUTPUT_PATTERN_TOKENS).map(token => `{${token}}`).join(', ')})`;
+    }
+    if (!pattern.includes('{chapter}') && !pattern.includes('{lChapter}')) {
+        return 'must contain {chapter} or {lChapter}';
+    }
+    if (/[\/\\]/.test(pattern) || !pattern.endsWith('.html') || pattern === 'index.html') {
+        return 'must be a file name ending in .html';
+    }
+    return null;
+}
+
+function getOutputFileName(pattern, deck) {
+    return pattern.replace(/\{([^}]*)\}/g, (match, token) => OUTPUT_PATTERN_TOKENS[token](deck));
+}
+
+// Orders chapter IDs numerically: 1.2 < 1.10 < 4.6-4.7 < 4.8
+function compareChapterIds(a, b) {
+    const partsA = a.split(/[.-]/).map(Number);
+    const partsB = b.split(/[.-]/).map(Number);
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+        const difference = (partsA[i] ?? -1) - (partsB[i] ?? -1);
+        if (difference !== 0) {
+            return difference;
+        }
+    }
+    return 0;
+}
+
+function loadIndexTemplate() {
+    try {
+        return fs.readFileSync(CONFIG.indexTemplatePath, 'utf8');
+    } catch (error) {
+        throw new Error(`Error loading index template: ${error.message}`);
+    }
+}
+
+function renderIndexPage(template, { title, summary, breadcrumb, content }) {
+    return template
+        .replace('{{BREADCRUMB}}', breadcrumb ? `        <nav class="breadcrumb">${breadcrumb}</nav>` : '')
+        .replace('{{INDEX_CONTENT}}', content)
+        .replace(/\{\{PAGE_TITLE\}\}/g, escapeHTML(title))
+        .replace('{{PAGE_SUMMARY}}', escapeHTML(summary));
+}
+
+// Lists a state's decks grouped by standard. Links are relative, so the
+// state's folder works on its own.
+function generateStateIndex(template, decks) {
+    const standards = new Map();
+    [...decks]
+        .sort((a, b) => compareChapterIds(a.chapterId, b.chapterId))
+        .forEach(deck => {
+            standards.set(deck.standardName, [...(standards.get(deck.standardName) || []), deck]);
+        });
+
+    let html = '';
+    standards.forEach((standardDecks, standardName) => {
+        html += `      <section class="standard">\n`;
+        html += `        <h2>${escapeHTML(standardName || 'Other Chapters')}</h2>\n`;
+        html += `        <ul class="deck-list">\n`;
+        standardDecks.forEach(deck => {
+            // The card opens the HTML deck; a .pptx gets its own download link
+            const link = deck.files.html || deck.files.pptx;
+            const lang = deck.locale ? ` lang="${escapeAttribute(deck.locale)}"` : '';
+            html += `          <li><a class="deck-link" href="${escapeAttribute(encodeURI(link))}">\n`;
+            html += `            <span class="chapter-id">${escapeHTML(deck.chapterId)}</span>\n`;
+            html += `            <span${lang}><span class="title">${escapeHTML(deck.title)}</span><br>`;
+            html += `<span class="subtitle">${escapeHTML(deck.subtitle)}</span></span>\n`;
+            html += `            <span class="count">${deck.slides} slides${deck.locale ? ` · ${escapeHTML(deck.locale)}` : ''}</span>\n`;
+            html += `          </a>`;
+            if (deck.files.html && deck.files.pptx) {
+                html += `<a class="download" href="${escapeAttribute(encodeURI(deck.files.pptx))}" download>PowerPoint (.pptx)</a>`;
+            }
+            html += `</li>\n`;
+        });
+        html += `        </ul>\n`;
+        html += `      </section>\n`;
+    });
+
+    const stateName = decks[0].stateName || decks[0].state;
+    return renderIndexPage(template, {
+        title: `${stateName} Slide Decks`,
+        summary: `${decks.length} deck${decks.length === 1 ? '' : 's'} across ${standards.size} standard${standards.size === 1 ? '' : 's'}`,
+        breadcrumb: '<a href="../index.html">All states</a>',
+        content: html
+    });
+}
+
+function generateTopIndex(template, decksByState) {
+    let html = `      <section class="standard">\n`;
+    html += `        <h2>States</h2>\n`;
+    html += `        <ul class="deck-list">\n`;
+    [...decksByState.keys()].sort().forEach(state => {
+        const decks = decksByState.get(state);
+        const standards = new Set(decks.map(deck => deck.standardName));
+        html += `          <li><a class="deck-link" href="${escapeAttribute(encodeURIComponent(state))}/index.html">\n`;
+        html += `            <span class="chapter-id">${escapeHTML(decks[0].stateAbbreviation || '')}</span>\n`;
+        html += `            <span class="title">${escapeHTML(decks[0].stateName || state)}</span>\n`;
+        html += `            <span class="count">${decks.length} deck${decks.length === 1 ? '' : 's'} · ${standards.size} standard${standards.size === 1 ? '' : 's'}</span>\n`;
+        html += `          </a></li>\n`;
+    });
+    html += `        </ul>\n`;
+    html += `      </section>\n`;
+
+    return renderIndexPage(template, {
+        title: 'PFL Academy Slide Decks',
+        summary: `${decksByState.size} state${decksByState.size === 1 ? '' : 's'}`,
+        breadcrumb: '',
+        content: html
+    });
+}
+
+// Rewrites output/index.html and each state's index.html from the manifest.
+// A state folder left with only its index is removed.
+function writeIndexPages(manifest) {
+    const template = loadIndexTemplate();
+    const decksByState = new Map();
+
+    // One listing per chapter and locale, whichever formats it was built in
+    const decks = new Map();
+    Object.entries(manifest.decks).forEach(([key, entry]) => {
+        const [state, chapter, format = 'html', locale] = key.split('/');
+        const deckKey = getDeckKey(state, chapter, 'html', locale);
+        const deck = decks.get(deckKey) || { ...entry.deck, state, files: {} };
+        deck.files[format] = path.basename(entry.output);
+        decks.set(deckKey, deck);
+    });
+
+    decks.forEach(deck => {
+        decksByState.set(deck.state, [...(decksByState.get(deck.state) || []), deck]);
+    });
+
+    decksByState.forEach((decks, state) => {
+        fs.writeFileSync(path.join(CONFIG.outputDir, state, 'index.html'), generateStateIndex(template, decks), 'utf8');
+    });
+
+    fs.readdirSync(CONFIG.outputDir, { withFileTypes: true })
+        .filter(dirent => dirent.isDirectory() && !decksByState.has(dirent.name))
+        .forEach(dirent => {
+            const stateDir = path.join(CONFIG.outputDir, dirent.name);
+            fs.rmSync(path.join(stateDir, 'index.html'), { force: true });
+            if (fs.readdirSync(stateDir).length === 0) {
+                fs.rmdirSync(stateDir);
+            }
+        });
+
+    fs.writeFileSync(path.join(CONFIG.outputDir, 'index.html'), generateTopIndex(template, decksByState), 'utf8');
+}
+
+// ============================================================================
+// MAIN GENERATION FUNCTION
+// ============================================================================
+
+// Builds the deck's HTML page, renumbering slides after any were left out.
+// options.theme supplies the title and closing slide logos.
+function renderDeckHTML(slides, context, template, options = {}) {
+    const log = options.quiet ? () => {} : console.log;
+    let slidesHTML = '';
+
+    slides.forEach((slide, index) => {
+        slidesHTML += labelIcons(generateSlideHTML({ ...slide, number: index + 1 }, context, options.theme));
+        if (!options.quiet) {
+            process.stdout.write(`   Slide ${index + 1}/${slides.length}\r`);
+        }
+    });
+
+    log(`\n✓ All slides generated`);
+
+    // Replace template placeholders
+    log('\n🔄 Interpolating variables...');
+    const html = template
+        .replace('{{SLIDES_CONTENT}}', () => slidesHTML)
+        .replace('{{SPEAKER_NOTES}}', () => generateNotesData(slides, context));
+    return fillPlaceholders(html, context, escapeHTML);
+}
+
+// Generates one deck unless the manifest shows it is up to date. Options:
+//   quiet    - suppress progress logging (batch workers)
+//   force    - rebuild even when the inputs are unchanged
+//   dryRun   - report whether the deck would be rebuilt without writing
+//   strict   - throw instead of rendering [MISSING: NAME] for unresolved
+//              placeholders
+//   manifest - shared manifest to update; when omitted the manifest on disk
+//              is loaded and saved, and the index pages are rewritten
+//   outputPattern - deck file name pattern (default: CONFIG.outputPattern)
+//   format   - 'html' (default) or 'pptx'; a .pptx deck is named by the
+//              pattern with its .html extension swapped
+//   content  - content data to render instead of slide-content/<chapter>.json
+//   theme    - theme name or theme file path; defaults to the state's entry
+//              in themes/states.json, then the template's own colors
+//   locale   - build for this locale (default: SOURCE_LOCALE) with the
+//              chapter's overlay from slide-content/<locale>/; the file name
+//              gets a .<locale> suffix
+//   draft    - mark strings the overlay leaves in English with [EN]
+//   write    - false renders the deck without writing it or touching the
+//              manifest; the HTML string or .pptx Buffer is returned as output
+// Returns { status: 'generated' | 'up-to-date' | 'would-build' | 'rendered', reason, outputPath, entry, missing, untranslated }
+function generateSlideDeck(state, lChapter, options = {}) {
+    const log = options.quiet ? () => {} : console.log;
+    const manifest = options.manifest || loadBuildManifest();
+    const format = options.format || 'html';
+    const locale = options.locale ? resolveLocale(options.locale) : SOURCE_LOCALE;
+    const key = getDeckKey(state, lChapter, format, locale);
+    const previous = manifest.decks[key];
+
+    log(`\n🎯 Generating ${format === 'pptx' ? 'PowerPoint ' : ''}slide deck for ${lChapter} - ${state}`);
+    log('─'.repeat(60));
+
+    // Load all required files
+    log('📂 Loading template...');
+    const themeName = getThemeName(state, options.theme);
+    const theme = themeName ? loadTheme(themeName, loadTemplate()) : null;
+    const template = applyTheme(loadTemplate(), theme);
+    if (theme) {
+        log(`🎨 Applying theme: ${theme.name}`);
+    }
+
+    // Callers checking converted content pass it in rather than reading slide-content/
+    let contentData;
+    if (options.content) {
+        log(`📂 Using supplied content for ${lChapter}...`);
+        contentData = resolveSlideRefs(migrateContent(structuredClone(options.content)).data, `${lChapter}.json`);
+    } else {
+        log(`📂 Loading content JSON (${lChapter}.json)...`);
+        contentData = loadContentJSON(lChapter);
+    }
+
+    // File names keep the English slug in every locale, so links and the manifest stay predictable
+    const sourceTitle = contentData.metadata.title || '';
+
+    let untranslated = [];
+    const { labels, untranslated: untranslatedLabels } = loadLocaleLabels(locale, options.draft);
+    if (!isSourceLanguage(locale)) {
+        log(`🌐 Translating to ${locale}...`);
+        untranslated = [
+            ...translateContent(contentData, loadLocaleOverlay(lChapter, locale), options.draft).untranslated,
+            ...untranslatedLabels.map(name => ({ slide: null, path: name, text: DECK_LABELS[name] }))
+        ];
+        if (untranslated.length > 0 && !options.quiet) {
+            console.warn(`⚠️  Warning: ${untranslated.length} strings have no ${locale} translation; ` +
+                `${options.draft ? `marked ${UNTRANSLATED_MARKER.trim()}` : 'left in English'}`);
+        }
+    }
+
+    log(`📂 Loading state data (${state}.json)...`);
+    const stateVars = loadStateVariables(state);
+
+    log(`📂 Loading chapter mapping for ${state}...`);
+    const mapping = getChapterMapping(getChapterMap(state), lChapter);
+    if (!mapping) {
+        throw new Error(`${lChapter} is not in the ${state} chapter mapping`);
+    }
+
+    log(`✓ Mapped to state chapter: ${mapping.stateChapter}`);
+
+    const context = buildVariableContext(stateVars, contentData, mapping, locale, labels);
+    const slides = selectSlides(contentData.slides, state, context);
+    const missing = findMissingVariables(slides, context);
+
+    if (slides.length < contentData.slides.length) {
+        log(`✓ ${contentData.slides.length - slides.length} slides left out for ${state}`);
+    }
+
+    if (missing.length > 0) {
+        const details = formatMissingVariables(missing);
+        if (options.strict) {
+            throw new Error(`Unresolved placeholders: ${details}`);
+        }
+        if (!options.quiet) {
+            console.warn(`⚠️  Warning: ${state} data has no value for ${details}; rendering [MISSING: ...]`);
+        }
+    }
+
+    // What the index pages list for this deck
+    const deck = {
+        chapterId: mapping.stateChapter,
+        contentId: lChapter,
+        title: context.CHAPTER_TITLE,
+        subtitle: fillPlaceholders(renderConditionals(context.CHAPTER_SUBTITLE, context), context, String),
+        slides: slides.length,
+        standardNumber: mapping.standardNumber,
+        standardName: mapping.standardName,
+        stateName: context.STATE_NAME,
+        stateAbbreviation: context.STATE_ABBREVIATION
+    };
+    if (locale !== SOURCE_LOCALE) {
+        deck.locale = locale;
+    }
+    const localeSuffix = locale === SOURCE_LOCALE ? '' : `.${locale}`;
+    const outputFileName = getOutputFileName(options.outputPattern || CONFIG.outputPattern, { ...deck, state, title: sourceTitle })
+        .replace(/\.html$/, `${localeSuffix}.${format}`);
+    const output = path.join(state, outputFileName);
+    context.TOTAL_SLIDES = slides.length;
+
+    // Render only: nothing is written and the build manifest is left alone
+    if (options.write === false) {
+        const rendered = format === 'pptx'
+            ? generatePresentation(slides, context, template, theme)
+            : renderDeckHTML(slides, context, template, { ...options, theme });
+        return { status: 'rendered', reason: 'not written', outputPath: null, output: rendered, deck, missing, untranslated };
+    }
+
+    // Skip the build when nothing it depends on has changed
+    const inputs = hashDeckInputs(state, lChapter, format, theme, locale, options.draft);
+    const staleReason = options.force ? 'forced' : getStaleReason(previous, inputs, output);
+
+    if (!staleReason) {
+        const outputPath = path.join(CONFIG.outputDir, previous.output);
+        log(`\n✓ Up to date: ${outputPath} (use --force to rebuild)`);
+        log('─'.repeat(60));
+        return { status: 'up-to-date', reason: 'up to date', outputPath, entry: previous, missing, untranslated };
+    }
+
+    if (options.dryRun) {
+        log(`\n🔁 Would rebuild: ${staleReason}`);
+        log('─'.repeat(60));
+        return { status: 'would-build', reason: staleReason, outputPath: null, entry: previous, missing, untranslated };
+    }
+
+    // Ensure output directory exists
+    const stateOutputDir = path.join(CONFIG.outputDir, state);
+    if (!fs.existsSync(stateOutputDir)) {
+        fs.mkdirSync(stateOutputDir, { recursive: true });
+    }
+
+    const outputPath = path.join(CONFIG.outputDir, output);
+    let size;
+
+    if (format === 'pptx') {
+        log(`\n🔨 Building ${slides.length} PowerPoint slides...`);
+        const presentation = generatePresentation(slides, context, template, theme);
+
+        log(`\n💾 Writing output file...`);
+        fs.writeFileSync(outputPath, presentation);
+        size = presentation.length;
+    } else {
+        log(`\n🔨 Generating ${slides.length} slides...`);
+        const finalHTML = renderDeckHTML(slides, context, template, { ...options, theme });
+
+        log(`\n💾 Writing output file...`);
+        fs.writeFileSync(outputPath, finalHTML, 'utf8');
+        size = Buffer.byteLength(finalHTML);
+    }
+
+    // A changed chapter ID, title or pattern renames the output; remove the old file
+    const entry = { output, inputs, deck };
+    if (previous && previous.output !== entry.output) {
+        fs.rmSync(path.join(CONFIG.outputDir, previous.output), { force: true });
+    }
+
+    manifest.decks[key] = entry;
+    if (!options.manifest) {
+        saveBuildManifest(manifest);
+        writeIndexPages(manifest);
+    }
+
+    log(`\n✅ Success!`);
+    log(`   Output: ${outputPath}`);
+    log(`   Size: ${(size / 1024).toFixed(2)} KB`);
+    log('─'.repeat(60));
+
+    return { status: 'generated', reason: staleReason, outputPath, entry, missing, untranslated };
+}
+
+// ============================================================================
+// BATCH GENERATION
+// ============================================================================
+
+// Generates every deck matching the filters (all states and/or all chapters
+// when a filter is null) on a pool of worker threads. Individual failures are
+// recorded and the run continues; resolves with one result per deck.
+// Options: concurrency, force, dryRun, strict, outputPattern, format, theme,
+// locale, draft (see generateSlideDeck).
+async function generateBatch(stateFilter, chapterFilter, options = {}) {
+    const {
+        concurrency = CONFIG.concurrency,
+        force = false,
+        dryRun = false,
+        strict = false,
+        outputPattern = CONFIG.outputPattern,
+        format = 'html',
+        theme = null,
+        draft = false
+    } = options;
+    const locale = options.locale ? resolveLocale(options.locale) : SOURCE_LOCALE;
+    const { jobs, results } = planBatch(stateFilter, chapterFilter);
+    const manifest = loadBuildManifest();
+
+    if (dryRun) {
+        console.log(`\n🔍 Checking ${jobs.length} slide decks (dry run)`);
+        console.log('─'.repeat(60));
+
+        jobs.forEach(job => {
+            try {
+                const result = generateSlideDeck(job.state, job.chapter, { quiet: true, force, dryRun, strict, outputPattern, format, theme, locale, draft, manifest });
+                results.push({ ...job, status: result.status, reason: result.reason, missing: result.missing, untranslated: result.untranslated });
+            } catch (error) {
+                results.push({ ...job, status: 'failed', reason: error.message });
+            }
+        });
+        results.push(...pruneBuildManifest(manifest, true));
+
+        printBatchSummary(results, true);
+        return results;
+    }
+
+    console.log(`\n🏭 Generating ${jobs.length} slide decks with ${Math.min(concurrency, jobs.length)} workers`);
+    console.log('─'.repeat(60));
+
+    const built = await runBatch(jobs, concurrency, { force, strict, outputPattern, format, theme, locale, draft });
+    built.forEach(({ state, chapter, status, entry }) => {
+        if (status === 'generated') {
+            manifest.decks[getDeckKey(state, chapter, format, locale)] = entry;
+        }
+    });
+
+    results.push(...built.map(({ entry, ...result }) => result));
+    results.push(...pruneBuildManifest(manifest));
+    saveBuildManifest(manifest);
+    writeIndexPages(manifest);
+
+    printBatchSummary(results);
+    return results;
+}
+
+// Expands the filters into deck jobs; chapters a state does not teach are
+// skipped and states whose mapping cannot be read fail up front
+function planBatch(stateFilter, chapterFilter) {
+    const states = stateFilter ? [stateFilter] : listStateNames();
+    const chapters = chapterFilter ? [chapterFilter] : listChapterIds();
+    const jobs = [];
+    const results = [];
+
+    for (const state of states) {
+        let chapterMap;
+        try {
+            chapterMap = getChapterMap(state);
+        } catch (error) {
+            chapters.forEach(chapter => results.push({ state, chapter, status: 'failed', reason: error.message }));
+            continue;
+        }
+
+        for (const chapter of chapters) {
+            if (getChapterMapping(chapterMap, chapter)) {
+                jobs.push({ state, chapter });
+            } else {
+                results.push({ state, chapter, status: 'skipped', reason: 'not in chapter mapping' });
+            }
+        }
+    }
+
+    return { jobs, results };
+}
+
+function runBatch(jobs, concurrency, deckOptions) {
+    return new Promise(resolve => {
+        const queue = [...jobs];
+        const results = [];
+        let activeWorkers = 0;
+
+        if (queue.length === 0) {
+            resolve(results);
+            return;
+        }
+
+        const record = (job, result) => {
+            results.push({ ...job, ...result });
+            process.stdout.write(`   Deck ${results.length}/${jobs.length}\r`);
+        };
+
+        const startWorker = () => {
+            const worker = new Worker(__filename, { workerData: deckOptions });
+            let current = null;
+            activeWorkers++;
+
+            const next = () => {
+                current = queue.shift() || null;
+                if (current) {
+                    worker.postMessage(current);
+                } else {
+                    worker.terminate();
+                }
+            };
+
+            worker.on('message', result => {
+                record(current, result);
+                next();
+            });
+
+            // A crashed worker fails only the deck it was on; a replacement
+            // picks up the rest of the queue
+            worker.on('error', error => {
+                if (current) {
+                    record(current, { status: 'failed', reason: `Worker crashed: ${error.message}` });
+                    current = null;
+                }
+            });
+
+            worker.on('exit', () => {
+                activeWorkers--;
+                if (queue.length > 0) {
+                    startWorker();
+                } else if (activeWorkers === 0) {
+                    process.stdout.write('\n');
+                    resolve(results);
+                }
+            });
+
+            next();
+        };
+
+        for (let i = 0; i < Math.min(concurrency, queue.length); i++) {
+            startWorker();
+        }
+    });
+}
+
+// Entry point for worker threads started by runBatch. Each worker checks
+// decks against the manifest as it was when the run started; the main thread
+// records the new entries and saves the manifest once at the end.
+function runWorker() {
+    const manifest = loadBuildManifest();
+
+    parentPort.on('message', ({ state, chapter }) => {
+        try {
+            const { status, reason, entry, missing, untranslated } = generateSlideDeck(state, chapter, {
+                ...workerData,
+                quiet: true,
+                manifest
+            });
+            parentPort.postMessage({ status, reason, entry, missing, untranslated });
+        } catch (error) {
+            parentPort.postMessage({ status: 'failed', reason: error.message });
+        }
+    });
+}
+
+// Summary table columns, in display order; only columns with decks are shown
+const BATCH_STATUS_COLUMNS = [
+    ['generated', 'Generated'],
+    ['would-build', 'Rebuild'],
+    ['up-to-date', 'Current'],
+    ['skipped', 'Skipped'],
+    ['failed', 'Failed'],
+    ['pruned', 'Pruned']
+];
+
+function printBatchSummary(results, dryRun = false) {
+    const states = [...new Set(results.map(r => r.state))].sort();
+    const columns = BATCH_STATUS_COLUMNS.filter(([status]) =>
+        status === 'failed' || results.some(r => r.status === status));
+    const countFor = (rows, status) => rows.filter(r => r.status === status).length;
+    const row = (label, rows) => console.log(
+        `   ${label.padEnd(24)}` +
+        columns.map(([status]) => String(countFor(rows, status)).padStart(10)).join('')
+    );
+
+    console.log(`\n📊 Batch Summary${dryRun ? ' (dry run, nothing written)' : ''}`);
+    console.log('─'.repeat(60));
+    console.log(`   ${'State'.padEnd(24)}${columns.map(([, label]) => label.padStart(10)).join('')}`);
+    states.forEach(state => row(state, results.filter(r => r.state === state)));
+    console.log(`   ${'─'.repeat(24 + columns.length * 10)}`);
+    row('Total', results);
+
+    printReasonGroups('🔁 Would rebuild', results.filter(r => r.status === 'would-build'));
+    printReasonGroups('⏭️  Skipped', results.filter(r => r.status === 'skipped'));
+    printReasonGroups('❌ Failed', results.filter(r => r.status === 'failed'));
+    printReasonGroups(dryRun ? '🗑️  Would prune' : '🗑️  Pruned', results.filter(r => r.status === 'pruned'));
+
+    const incomplete = results.filter(r => r.missing && r.missing.length > 0);
+    if (incomplete.length > 0) {
+        console.log(`\n⚠️  ${incomplete.length} decks contain [MISSING: ...] placeholders`);
+        console.log('   Run with --missing-report for details, or --strict to fail them');
+    }
+
+    const partial = results.filter(r => r.untranslated && r.untranslated.length > 0);
+    if (partial.length > 0) {
+        console.log(`\n🌐 ${partial.length} decks have untranslated strings`);
+        console.log('   Run with --translation-report for details, or --draft to mark them');
+    }
+    console.log('─'.repeat(60));
+}
+
+// Lists decks grouped by state and reason so one missing file reads as one line
+function printReasonGroups(heading, rows) {
+    if (rows.length === 0) {
+        return;
+    }
+
+    const groups = new Map();
+    rows.forEach(({ state, chapter, reason }) => {
+        const key = `${state}: ${reason}`;
+        groups.set(key, [...(groups.get(key) || []), chapter]);
+    });
+
+    console.log(`\n${heading}:`);
+    groups.forEach((chapters, key) => {
+        console.log(`   - ${key}`);
+        console.log(`     ${chapters.join(', ')}`);
+    });
+}
+
+// ============================================================================
+// VALIDATION FUNCTION
+// ============================================================================
+
+// Validates a value against the subset of JSON Schema draft-07 that
+// slide-content.schema.json uses. Errors are collected as "path: message".
+function validateAgainstSchema(value, schema, rootSchema, pointer = '', errors = []) {
+    const at = pointer || '/';
+
+    if (schema.$ref) {
+        return validateAgainstSchema(value, resolveSchemaRef(schema.$ref, rootSchema), rootSchema, pointer, errors);
+    }
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesSchemaType(value, type))) {
+            errors.push(`${at}: expected ${types.join(' or ')}`);
+            return errors;
+        }
+    }
+
+    if (schema.const !== undefined && value !== schema.const) {
+        errors.push(`${at}: must be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${at}: must be one of ${schema.enum.join(', ')} (got ${JSON.stringify(value)})`);
+    }
+
+    if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push(`${at}: does not match ${schema.pattern}`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${at}: must be >= ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${at}: must be <= ${schema.maximum}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${at}: must have at least ${schema.minItems} item(s)`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                validateAgainstSchema(item, schema.items, rootSchema, `${pointer}/${index}`, errors);
+            });
+        }
+    }
+
+    if (matchesSchemaType(value, 'object')) {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                errors.push(`${at}: missing required property "${key}"`);
+            }
+        });
+
+        const properties = schema.properties || {};
+        Object.keys(value).forEach(key => {
+            if (schema.propertyNames) {
+                validateAgainstSchema(key, schema.propertyNames, rootSchema, `${pointer}/${key}`, errors);
+            }
+
+            if (properties[key]) {
+                validateAgainstSchema(value[key], properties[key], rootSchema, `${pointer}/${key}`, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${at}: unknown property "${key}"`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                validateAgainstSchema(value[key], schema.additionalProperties, rootSchema, `${pointer}/${key}`, errors);
+            }
+        });
+    }
+
+    (schema.allOf || []).forEach(subschema => {
+        validateAgainstSchema(value, subschema, rootSchema, pointer, errors);
+    });
+
+    if (schema.anyOf && !schema.anyOf.some(sub => validateAgainstSchema(value, sub, rootSchema, pointer).length === 0)) {
+        errors.push(`${at}: does not match any allowed shape`);
+    }
+
+    if (schema.oneOf) {
+        const matches = schema.oneOf.filter(sub => validateAgainstSchema(value, sub, rootSchema, pointer).length === 0);
+        if (matches.length !== 1) {
+            errors.push(`${at}: must match exactly one allowed shape (matched ${matches.length})`);
+        }
+    }
+
+    if (schema.if) {
+        const passes = validateAgainstSchema(value, schema.if, rootSchema, pointer).length === 0;
+        const branch = passes ? schema.then : schema.else;
+        if (branch) {
+            validateAgainstSchema(value, branch, rootSchema, pointer, errors);
+        }
+    }
+
+    return errors;
+}
+
+function matchesSchemaType(value, type) {
+    switch (type) {
+        case 'object':
+            return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'array':
+            return Array.isArray(value);
+        case 'integer':
+            return Number.isInteger(value);
+        case 'null':
+            return value === null;
+        default:
+            return typeof value === type;
+    }
+}
+
+function resolveSchemaRef(ref, rootSchema) {
+    if (!ref.startsWith('#/')) {
+        throw new Error(`Unsupported schema reference: ${ref}`);
+    }
+
+    return ref.slice(2).split('/').reduce((node, key) => {
+        if (!node || node[key] === undefined) {
+            throw new Error(`Unresolved schema reference: ${ref}`);
+        }
+        return node[key];
+    }, rootSchema);
+}
+
+function validateContentJSON(filePath) {
+    if (filePath === 'all') {
+        const results = listContentFiles().map(file => validateContentJSON(file));
+        return results.every(Boolean);
+    }
+
+    console.log(`\n🔍 Validating: ${filePath}`);
+    console.log('─'.repeat(60));
+
+    try {
+        const content = fs.readFileSync(filePath, 'utf8');
+        let data = JSON.parse(content);
+
+        let errors = [];
         let warnings = [];
 
-        // Check metadata
-        if (!data.metadata) {
-            errors.push('Missing metadata object');
-        } else {
-            if (!data.metadata.lChapter) errors.push('Missing metadata.lChapter');
-            if (!data.metadata.title) errors.push('Missing metadata.title');
-            if (data.metadata.hasStateVariables === undefined) {
-                errors.push('Missing metadata.hasStateVariables');
-            }
+        // Older files are checked as they will look after --migrate
+        const fileVersion = getSchemaVersion(data);
+        if (fileVersion < CURRENT_SCHEMA_VERSION) {
+            warnings.push(`schemaVersion ${fileVersion} is out of date (current: ${CURRENT_SCHEMA_VERSION}); run --migrate`);
+            data = migrateContent(data).data;
+        } else if (fileVersion > CURRENT_SCHEMA_VERSION) {
+            errors.push(`schemaVersion ${fileVersion} is newer than this generator supports (${CURRENT_SCHEMA_VERSION})`);
+        }
+
+        // Slides that reference partials or other chapters are checked as
+        // they resolve; a broken reference is checked as written
+        if (Array.isArray(data.slides) && data.slides.some(isSlideRef)) {
+            try {
+                data = resolveSlideRefs(structuredClone(data), path.basename(filePath));
+            } catch (error) {
+                errors.push(error.message);
+            }
+        }
+
+        // Check structure against the published schema
+        errors.push(...validateAgainstSchema(data, loadContentSchema(), loadContentSchema()));
+
+        // Check slide numbering
+        if (Array.isArray(data.slides)) {
+            data.slides.forEach((slide, index) => {
+                if (slide.number !== index + 1) {
+                    warnings.push(`Slide ${index + 1}: numbered ${slide.number}`);
+                }
+            });
+
+            if (data.metadata && data.metadata.totalSlides !== undefined &&
+                data.metadata.totalSlides !== data.slides.length) {
+                warnings.push(`metadata.totalSlides is ${data.metadata.totalSlides} but there are ${data.slides.length} slides`);
+            }
+        }
+
+        // Check calculated variables
+        if (data.metadata && data.metadata.calculations) {
+            try {
+                planCalculations(data.metadata);
+            } catch (error) {
+                errors.push(error.message);
+            }
+        }
+
+        // Check placeholder filters
+        findPlaceholderExpressions(data).forEach(({ expression, filters }) => {
+            filters.forEach(filter => {
+                const error = getFilterError(filter);
+                if (error) {
+                    errors.push(`${expression}: ${error}`);
+                }
+            });
+        });
+
+        // Check {{#if}} syntax, then that every branch renders for some state
+        if (Array.isArray(data.slides)) {
+            const conditionalErrors = [];
+            collectStrings(data.slides, '/slides').forEach(({ text, pointer }) => {
+                if (/\{\{(#if|else\}|\/if\})/.test(text)) {
+                    try {
+                        parseConditionals(text);
+                    } catch (error) {
+                        conditionalErrors.push(`${pointer}: ${error.message}`);
+                    }
+                }
+            });
+            errors.push(...conditionalErrors);
+
+            // Markup outside the allowlist is escaped at render time; notes
+            // are markdown, where all HTML is escaped
+            collectStrings(data.slides, '/slides')
+                .filter(({ pointer }) => !pointer.endsWith('/notes'))
+                .forEach(({ text, pointer }) => {
+                    findDisallowedHTML(text).forEach(problem => warnings.push(`${pointer}: ${problem}`));
+                });
+
+            if (conditionalErrors.length === 0) {
+                try {
+                    errors.push(...findUncoveredBranches(data).problems);
+                } catch (error) {
+                    warnings.push(`Branch coverage not checked: ${error.message}`);
+                }
+            }
+        }
+
+        // Check for state variables if hasStateVariables is true
+        if (data.metadata && data.metadata.hasStateVariables) {
+            const foundVars = new Set([...findPlaceholders(data), ...findConditionNames(data)]);
+
+            if (foundVars.size === 0) {
+                warnings.push('hasStateVariables is true but no {{PLACEHOLDERS}} found');
+            }
+
+            const declaredVars = new Set(data.metadata.stateVariablesUsed || []);
+            const calculatedVars = new Set(Object.keys(data.metadata.calculations || {}));
+            foundVars.forEach(v => {
+                if (!declaredVars.has(v) && !calculatedVars.has(v)) {
+                    warnings.push(`Variable {{${v}}} used but not declared in stateVariablesUsed`);
+                }
+            });
+        }
+
+        // Print results
+        if (errors.length === 0 && warnings.length === 0) {
+            console.log('✅ Validation passed!');
+            console.log(`   Slides: ${data.slides.length}`);
+            console.log(`   State variables: ${data.metadata.hasStateVariables ? 'Yes' : 'No'}`);
+        } else {
+            if (errors.length > 0) {
+                console.log('\n❌ Errors:');
+                errors.forEach(err => console.log(`   - ${err}`));
+            }
+            if (warnings.length > 0) {
+                console.log('\n⚠️  Warnings:');
+                warnings.forEach(warn => console.log(`   - ${warn}`));
+            }
+        }
+
+        console.log('─'.repeat(60));
+        return errors.length === 0;
+
+    } catch (error) {
+        console.log(`❌ Validation failed: ${error.message}`);
+        console.log('─'.repeat(60));
+        return false;
+    }
+}
+
+// ============================================================================
+// ACCESSIBILITY AUDIT
+// ============================================================================
+
+// --audit-a11y reads generated HTML decks with JSDOM and reports, per slide:
+//   structure - each slide is a <section> with aria-roledescription and a
+//               label, inside a <main> landmark on a page with lang set
+//   headings  - the deck starts at h1, never skips a level, and every slide
+//               has a heading
+//   icons     - emoji and images have a text alternative
+//   contrast  - text meets WCAG AA against every stop of its background
+//   text size - text is at least MIN_TEXT_SIZE px on the 1920px canvas
+// Colors and sizes come from the deck's own stylesheet, so themes count. A
+// small cascade (selectors, specificity, inheritance, var()) resolves them;
+// @media blocks, which hold only the presenter runtime and print rules, are
+// left out.
+
+const A11Y_CHECKS = ['structure', 'headings', 'icons', 'contrast', 'text size'];
+
+// Smallest text that stays readable when a 1920px slide is projected
+const MIN_TEXT_SIZE = 18;
+
+// Browser defaults for elements the template does not size
+const DEFAULT_FONT_SIZES = { h1: '2em', h2: '1.5em', h3: '1.17em', h4: '1em', h5: '0.83em', h6: '0.67em', small: '0.83em' };
+const BOLD_ELEMENTS = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'strong', 'b', 'th'];
+
+const NAMED_COLORS = { white: [255, 255, 255, 1], black: [0, 0, 0, 1], transparent: [0, 0, 0, 0] };
+const CSS_COLOR_PATTERN = /#(?:[0-9a-fA-F]{6}|[0-9a-fA-F]{3})\b|rgba?\([^)]*\)|\b(?:white|black|transparent)\b/g;
+
+// Top-level rules of a stylesheet, one entry per selector; @-blocks are skipped
+function parseStyleRules(css) {
+    const text = css.replace(/\/\*[\s\S]*?\*\//g, '');
+    const rules = [];
+    let index = 0;
+
+    while (index < text.length) {
+        const open = text.indexOf('{', index);
+        if (open === -1) {
+            break;
+        }
+
+        let depth = 1;
+        let close = open + 1;
+        while (close < text.length && depth > 0) {
+            if (text[close] === '{') {
+                depth++;
+            } else if (text[close] === '}') {
+                depth--;
+            }
+            close++;
+        }
+
+        const prelude = text.slice(index, open).trim();
+        if (!prelude.startsWith('@')) {
+            const declarations = {};
+            text.slice(open + 1, close - 1).split(';').forEach(declaration => {
+                const colon = declaration.indexOf(':');
+                if (colon > 0) {
+                    declarations[declaration.slice(0, colon).trim().toLowerCase()] =
+                        declaration.slice(colon + 1).replace(/!important/, '').trim();
+                }
+            });
+            prelude.split(',').map(selector => selector.trim()).filter(Boolean).forEach(selector => {
+                rules.push({
+                    selector,
+                    declarations,
+                    specificity: getSpecificity(selector),
+                    keyClasses: getKeyClasses(selector),
+                    order: rules.length
+                });
+            });
+        }
+        index = close;
+    }
+
+    return rules;
+}
+
+// Selector specificity folded into one number: ids, then classes,
+// attributes and pseudo-classes, then element names
+function getSpecificity(selector) {
+    const ids = (selector.match(/#[\w-]+/g) || []).length;
+    const classes = (selector.match(/\.[\w-]+|\[[^\]]*\]|(?<!:):(?!:)(?!not\()[\w-]+/g) || []).length;
+    const types = (selector.replace(/\[[^\]]*\]|::?[\w-]+|[#.][\w-]+/g, '').match(/(?:^|[\s>+~(])[a-zA-Z][\w-]*/g) || []).length;
+    return ids * 10000 + classes * 100 + types;
+}
+
+// Classes an element needs to match the selector's last compound; a cheap
+// filter before element.matches()
+function getKeyClasses(selector) {
+    const compound = selector.replace(/:not\([^)]*\)/g, '').split(/[\s>+~]+/).pop();
+    return (compound.match(/\.[\w-]+/g) || []).map(name => name.slice(1));
+}
+
+function getMatchingRules(element, audit) {
+    if (!audit.matches.has(element)) {
+        const matching = audit.rules.filter(rule => {
+            if (!rule.keyClasses.every(name => element.classList.contains(name))) {
+                return false;
+            }
+            try {
+                return element.matches(rule.selector);
+            } catch (error) {
+                return false;
+            }
+        });
+        matching.sort((a, b) => a.specificity - b.specificity || a.order - b.order);
+        audit.matches.set(element, matching);
+    }
+    return audit.matches.get(element);
+}
+
+// The winning declaration of any of the properties on this element, with
+// var() resolved; null when no rule sets them
+function getDeclaredValue(element, properties, audit) {
+    let value = null;
+    getMatchingRules(element, audit).forEach(rule => {
+        properties.forEach(property => {
+            if (rule.declarations[property] !== undefined) {
+                value = rule.declarations[property];
+            }
+        });
+    });
+    return value === null || value === 'inherit' ? null : resolveCSSVariables(value, audit.variables);
+}
+
+function resolveCSSVariables(value, variables, depth = 0) {
+    if (depth > 10 || !value.includes('var(')) {
+        return value;
+    }
+    const resolved = value.replace(/var\(\s*--([\w-]+)\s*(?:,\s*([^()]*))?\)/g, (match, name, fallback) =>
+        variables[name] !== undefined ? variables[name] : (fallback || '').trim());
+    return resolveCSSVariables(resolved, variables, depth + 1);
+}
+
+// Colors in a CSS value, in order, as [r, g, b, alpha]
+function parseCSSColors(value) {
+    return (value.match(CSS_COLOR_PATTERN) || []).map(color => {
+        if (NAMED_COLORS[color]) {
+            return NAMED_COLORS[color];
+        }
+        if (color.startsWith('#')) {
+            const hex = normalizeHexColor(color);
+            return [0, 2, 4].map(offset => parseInt(hex.slice(offset, offset + 2), 16)).concat(1);
+        }
+        const [r, g, b, alpha = '1'] = color.replace(/rgba?\(|\)/g, '').split(',').map(part => part.trim());
+        return [Number(r), Number(g), Number(b), Number(alpha)];
+    });
+}
+
+function blendColor(top, base) {
+    const alpha = top[3];
+    return [0, 1, 2].map(channel => Math.round(top[channel] * alpha + base[channel] * (1 - alpha))).concat(1);
+}
+
+function toHexColor(color) {
+    return color.slice(0, 3).map(channel => channel.toString(16).padStart(2, '0')).join('').toUpperCase();
+}
+
+// The colors behind an element: the nearest background (every gradient
+// stop), with translucent layers blended onto what is under them
+function getBackgroundColors(element, audit) {
+    for (let node = element; node; node = node.parentElement) {
+        const value = getDeclaredValue(node, ['background', 'background-color'], audit);
+        const colors = value ? parseCSSColors(value).filter(color => color[3] > 0) : [];
+        if (colors.length === 0) {
+            continue;
+        }
+        if (colors.every(color => color[3] === 1)) {
+            return colors;
+        }
+        const below = getBackgroundColors(node.parentElement, audit);
+        return colors.flatMap(color => below.map(base => blendColor(color, base)));
+    }
+    return [NAMED_COLORS.white];
+}
+
+function getTextColor(element, audit) {
+    let opacity = 1;
+    for (let node = element; node; node = node.parentElement) {
+        const value = getDeclaredValue(node, ['opacity'], audit);
+        opacity *= value && !isNaN(value) ? Number(value) : 1;
+    }
+
+    for (let node = element; node; node = node.parentElement) {
+        const value = getDeclaredValue(node, ['color'], audit);
+        const [color] = value ? parseCSSColors(value) : [];
+        if (color) {
+            return [color[0], color[1], color[2], color[3] * opacity];
         }
+    }
+    return [0, 0, 0, opacity];
+}
 
-        // Check slides array
-        if (!data.slides || !Array.isArray(data.slides)) {
-            errors.push('Missing or invalid slides array');
-        } else {
-            data.slides.forEach((slide, index) => {
-                if (!slide.number) warnings.push(`Slide ${index}: missing number`);
-                if (!slide.type) warnings.push(`Slide ${index}: missing type`);
-                if (!slide.content) warnings.push(`Slide ${index}: missing content`);
-            });
+function getFontSize(element, audit) {
+    if (!element) {
+        return 16;
+    }
+
+    const value = getDeclaredValue(element, ['font-size'], audit) || DEFAULT_FONT_SIZES[element.tagName.toLowerCase()];
+    const match = value && value.match(/^([\d.]+)(px|rem|em|%)$/);
+    if (!match) {
+        return getFontSize(element.parentElement, audit);
+    }
+
+    const number = parseFloat(match[1]);
+    switch (match[2]) {
+        case 'px':
+            return number;
+        case 'rem':
+            return number * 16;
+        case 'em':
+            return number * getFontSize(element.parentElement, audit);
+        default:
+            return number / 100 * getFontSize(element.parentElement, audit);
+    }
+}
+
+function isBoldText(element, audit) {
+    for (let node = element; node; node = node.parentElement) {
+        const value = getDeclaredValue(node, ['font-weight'], audit);
+        if (value) {
+            return value === 'bold' || value === 'bolder' || parseInt(value, 10) >= 700;
+        }
+        if (BOLD_ELEMENTS.includes(node.tagName.toLowerCase())) {
+            return true;
         }
+    }
+    return false;
+}
 
-        // Check for state variables if hasStateVariables is true
-        if (data.metadata && data.metadata.hasStateVariables) {
-            const contentString = JSON.stringify(data);
-            const placeholderRegex = /\{\{([A-Z_]+)\}\}/g;
-            const foundVars = new Set();
-            let match;
+// The element's own text (not its children's), whitespace collapsed
+function getOwnText(element) {
+    return Array.from(element.childNodes)
+        .filter(node => node.nodeType === 3)
+        .map(node => node.textContent)
+        .join(' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function quoteText(text) {
+    return `"${text.length > 40 ? `${text.slice(0, 39)}…` : text}"`;
+}
 
-            while ((match = placeholderRegex.exec(contentString)) !== null) {
-                foundVars.add(match[1]);
+// Audits one deck's HTML; returns [{ slide, check, message }], slide 0
+// meaning the page as a whole
+function auditDeckHTML(html, JSDOM) {
+    const document = new JSDOM(html).window.document;
+    const rules = parseStyleRules(Array.from(document.querySelectorAll('style')).map(style => style.textContent).join('\n'));
+    const variables = {};
+    rules.filter(rule => rule.selector === ':root').forEach(rule => {
+        Object.entries(rule.declarations).forEach(([property, value]) => {
+            if (property.startsWith('--')) {
+                variables[property.slice(2)] = value;
             }
+        });
+    });
 
-            if (foundVars.size === 0) {
-                warnings.push('hasStateVariables is true but no {{PLACEHOLDERS}} found');
+    const audit = { rules, variables, matches: new Map() };
+    const issues = [];
+    const report = (slide, check, message) => issues.push({ slide, check, message });
+
+    if (!document.documentElement.getAttribute('lang')) {
+        report(0, 'structure', 'the <html> element has no lang attribute');
+    }
+    if (!document.querySelector('main')) {
+        report(0, 'structure', 'the slides are not inside a <main> landmark');
+    }
+
+    let previousLevel = 0;
+    document.querySelectorAll('.slide').forEach((slideElement, index) => {
+        const slide = index + 1;
+
+        if (slideElement.tagName.toLowerCase() !== 'section') {
+            report(slide, 'structure', `slide is a <${slideElement.tagName.toLowerCase()}>, not a <section>`);
+        }
+        if (!slideElement.getAttribute('aria-roledescription')) {
+            report(slide, 'structure', 'slide has no aria-roledescription');
+        }
+        if (!slideElement.getAttribute('aria-label') && !slideElement.getAttribute('aria-labelledby')) {
+            report(slide, 'structure', 'slide has no aria-label');
+        }
+
+        const headings = Array.from(slideElement.querySelectorAll('h1, h2, h3, h4, h5, h6'));
+        if (headings.length === 0) {
+            report(slide, 'headings', 'slide has no heading');
+        }
+        headings.forEach(heading => {
+            const level = Number(heading.tagName[1]);
+            const text = quoteText(heading.textContent.replace(/\s+/g, ' ').trim());
+            if (previousLevel === 0 && level !== 1) {
+                report(slide, 'headings', `the deck's first heading is h${level} ${text}, not h1`);
+            } else if (level > previousLevel + 1 && previousLevel > 0) {
+                report(slide, 'headings', `h${level} ${text} skips a level after h${previousLevel}`);
+            }
+            previousLevel = level;
+        });
+
+        slideElement.querySelectorAll('img').forEach(image => {
+            if (!image.hasAttribute('alt') && image.getAttribute('aria-hidden') !== 'true') {
+                report(slide, 'icons', `image ${(image.getAttribute('src') || '').slice(0, 40)} has no alt text`);
             }
+        });
 
-            const declaredVars = new Set(data.metadata.stateVariablesUsed || []);
-            foundVars.forEach(v => {
-                if (!declaredVars.has(v) && !CALCULATED_FIELDS[v]) {
-                    warnings.push(`Variable {{${v}}} used but not declared in stateVariablesUsed`);
+        [slideElement, ...slideElement.querySelectorAll('*')].forEach(element => {
+            const text = getOwnText(element);
+            if (!text) {
+                return;
+            }
+
+            const labelled = element.getAttribute('role') === 'img' && element.getAttribute('aria-label');
+            if (!labelled && !element.closest('[aria-hidden="true"]')) {
+                for (const [emoji] of text.matchAll(EMOJI_PATTERN)) {
+                    report(slide, 'icons', `${emoji} in ${quoteText(text)} has no text alternative`);
                 }
-            });
-        }
+            }
 
-        // Print results
-        if (errors.length === 0 && warnings.length === 0) {
-            console.log('✅ Validation passed!');
-            console.log(`   Slides: ${data.slides.length}`);
-            console.log(`   State variables: ${data.metadata.hasStateVariables ? 'Yes' : 'No'}`);
-        } else {
-            if (errors.length > 0) {
-                console.log('\n❌ Errors:');
-                errors.forEach(err => console.log(`   - ${err}`));
+            const size = getFontSize(element, audit);
+            if (size < MIN_TEXT_SIZE) {
+                report(slide, 'text size', `${quoteText(text)} is ${Math.round(size)}px (minimum ${MIN_TEXT_SIZE}px)`);
             }
-            if (warnings.length > 0) {
-                console.log('\n⚠️  Warnings:');
-                warnings.forEach(warn => console.log(`   - ${warn}`));
+
+            const large = size >= 24 || (size >= 18.66 && isBoldText(element, audit));
+            const minimum = large ? WCAG_AA_LARGE_TEXT : WCAG_AA_TEXT;
+            const color = getTextColor(element, audit);
+            const worst = getBackgroundColors(element, audit)
+                .map(background => ({ background, ratio: contrastRatio(toHexColor(blendColor(color, background)), toHexColor(background)) }))
+                .sort((a, b) => a.ratio - b.ratio)[0];
+            if (worst.ratio < minimum) {
+                report(slide, 'contrast', `${quoteText(text)} is ${worst.ratio.toFixed(2)}:1 on #${toHexColor(worst.background)} (needs ${minimum}:1)`);
             }
-        }
+        });
+    });
 
-        console.log('─'.repeat(60));
-        return errors.length === 0;
+    return issues;
+}
+
+// The HTML decks recorded in the build manifest, filtered like a batch run
+function listGeneratedDecks(stateFilter, chapterFilter) {
+    return Object.entries(loadBuildManifest().decks)
+        .filter(([key]) => {
+            const [state, chapter, format] = key.split('/');
+            return !format && (!stateFilter || state === stateFilter) && (!chapterFilter || chapter === chapterFilter);
+        })
+        .map(([, entry]) => path.join(CONFIG.outputDir, entry.output))
+        .filter(file => fs.existsSync(file))
+        .sort();
+}
 
+// --audit-a11y: one deck file, or every generated deck matching the
+// filters. Repeated issues on a slide are counted rather than listed.
+// Resolves false when any issue is found.
+async function auditAccessibility(target, stateFilter, chapterFilter) {
+    let JSDOM;
+    try {
+        ({ JSDOM } = await import('jsdom'));
     } catch (error) {
-        console.log(`❌ Validation failed: ${error.message}`);
-        console.log('─'.repeat(60));
-        return false;
+        throw new Error(`--audit-a11y needs jsdom (npm install): ${error.message}`);
+    }
+
+    const files = target === 'all' ? listGeneratedDecks(stateFilter, chapterFilter) : [path.resolve(target)];
+    if (files.length === 0) {
+        console.log('No generated HTML decks to audit; generate them first');
+        return true;
+    }
+
+    console.log(`\n♿ Accessibility audit: ${files.length} deck${files.length === 1 ? '' : 's'}`);
+    console.log('─'.repeat(60));
+
+    const totals = Object.fromEntries(A11Y_CHECKS.map(check => [check, 0]));
+    let failedDecks = 0;
+
+    files.forEach(file => {
+        const name = path.relative(CONFIG.outputDir, file).startsWith('..') ? file : path.relative(CONFIG.outputDir, file);
+        const issues = auditDeckHTML(fs.readFileSync(file, 'utf8'), JSDOM);
+
+        if (issues.length === 0) {
+            console.log(`✓ ${name}`);
+            return;
+        }
+
+        failedDecks++;
+        console.log(`\n❌ ${name} (${issues.length} issue${issues.length === 1 ? '' : 's'})`);
+
+        const grouped = new Map();
+        issues.forEach(issue => {
+            totals[issue.check]++;
+            const key = `${issue.slide}\t${issue.check}\t${issue.message}`;
+            grouped.set(key, (grouped.get(key) || 0) + 1);
+        });
+        grouped.forEach((count, key) => {
+            const [slide, check, message] = key.split('\t');
+            const where = slide === '0' ? 'Deck' : `Slide ${slide}`;
+            console.log(`   ${where.padEnd(9)} ${check.padEnd(10)} ${message}${count > 1 ? ` (×${count})` : ''}`);
+        });
+    });
+
+    console.log(`\n📊 ${failedDecks} of ${files.length} decks have issues`);
+    A11Y_CHECKS.forEach(check => console.log(`   ${check.padEnd(10)} ${totals[check]}`));
+    if (totals.contrast > 0) {
+        console.log('💡 Contrast comes from the palette; --theme=high-contrast meets WCAG AA, and --check-theme lists the colors below it');
     }
+    console.log('─'.repeat(60));
+
+    return failedDecks === 0;
 }
 
 // ============================================================================
@@ -601,11 +5715,7 @@ function listStates() {
     console.log('\n📍 Available States:\n');
 
     try {
-        const files = fs.readdirSync(CONFIG.stateDataDir);
-        const states = files
-            .filter(f => f.endsWith('.json'))
-            .map(f => f.replace('.json', ''))
-            .sort();
+        const states = listStateNames();
 
         states.forEach(state => {
             console.log(`   • ${state}`);
@@ -621,11 +5731,7 @@ function listChapters() {
     console.log('\n📚 Available Chapters:\n');
 
     try {
-        const files = fs.readdirSync(CONFIG.contentDir);
-        const chapters = files
-            .filter(f => f.endsWith('.json'))
-            .map(f => f.replace('.json', ''))
-            .sort();
+        const chapters = listChapterIds();
 
         chapters.forEach(chapter => {
             try {
@@ -644,6 +5750,234 @@ function listChapters() {
     }
 }
 
+// Prints a state's mapping grouped by standard, then any chapters the
+// mapping and the content directory disagree on
+function printChapterMapping(state) {
+    const chapterMap = getChapterMap(state);
+    const chapterIds = new Set(listChapterIds().map(toLChapter));
+    const { unmapped, withoutContent } = findMappingGaps(chapterMap);
+    let standardName = null;
+
+    console.log(`\n🗺️  Chapter mapping for ${state}:`);
+
+    Object.values(chapterMap).forEach(entry => {
+        if (entry.standardName !== standardName) {
+            standardName = entry.standardName;
+            console.log(`\n   ${standardName || '(no standard)'}`);
+        }
+        const marker = chapterIds.has(entry.lChapter) ? '✓' : ' ';
+        console.log(`   [${marker}] ${entry.lChapter.padEnd(10)} → ${entry.stateChapter.padEnd(8)} ${entry.title}`);
+    });
+
+    const combined = listChapterIds()
+        .filter(chapterId => toLChapter(chapterId).startsWith('LC-'))
+        .map(chapterId => ({ chapterId, mapping: getChapterMapping(chapterMap, chapterId) }))
+        .filter(({ mapping }) => mapping);
+    if (combined.length > 0) {
+        console.log('\n   Combined chapters');
+        combined.forEach(({ chapterId, mapping }) => {
+            const { metadata } = loadContentJSON(chapterId);
+            const title = metadata.title || mapping.title;
+            console.log(`   [✓] ${mapping.lChapter.padEnd(10)} → ${mapping.stateChapter.padEnd(8)} ${title}`);
+        });
+    }
+
+    console.log(`\n   Total: ${Object.keys(chapterMap).length} mapped chapters`);
+    console.log(`   [✓] = Has content\n`);
+
+    if (withoutContent.length > 0) {
+        console.log(`⚠️  Mapped but no content: ${withoutContent.join(', ')}`);
+    }
+    if (unmapped.length > 0) {
+        console.log(`⚠️  Content but no mapping: ${unmapped.join(', ')}`);
+    }
+
+    return withoutContent.length === 0 && unmapped.length === 0;
+}
+
+// --chapter accepts a content file name in any case, or the L-chapter of a
+// combined file: lc-36-37 → LC-36-37-combined-gambling
+function resolveChapterId(chapter) {
+    const chapterIds = listChapterIds();
+    const wanted = chapter.toUpperCase();
+    const matches = chapterIds.filter(chapterId => chapterId.toUpperCase() === wanted);
+    const byLChapter = chapterIds.filter(chapterId => toLChapter(chapterId).toUpperCase() === wanted);
+
+    if (matches.length === 1) {
+        return matches[0];
+    }
+    if (byLChapter.length === 1) {
+        return byLChapter[0];
+    }
+    throw new Error(`Unknown chapter ${chapter} (see --list-chapters)`);
+}
+
+function printVariableContext(state, lChapter) {
+    const contentData = loadContentJSON(lChapter);
+    const mapping = getChapterMapping(getChapterMap(state), lChapter);
+    if (!mapping) {
+        throw new Error(`${lChapter} is not in the ${state} chapter mapping`);
+    }
+    const context = buildVariableContext(loadStateVariables(state), contentData, mapping);
+    const used = new Set([...findPlaceholders(contentData), ...findConditionNames(contentData)]);
+    const names = Object.keys(context).sort();
+
+    console.log(`\n🧩 Variables for ${lChapter} - ${state}:\n`);
+
+    names.forEach(name => {
+        const marker = used.has(name) ? '✓' : ' ';
+        console.log(`   [${marker}] ${name.padEnd(36)} ${formatVariableValue(context[name])}`);
+    });
+
+    console.log(`\n   Total: ${names.length} variables`);
+    console.log(`   [✓] = Used by ${lChapter}`);
+
+    const unresolved = [...used].filter(name => !(name in context));
+    if (unresolved.length > 0) {
+        console.log(`\n⚠️  Used by ${lChapter} but not resolved:`);
+        unresolved.forEach(name => console.log(`   - {{${name}}}`));
+    }
+    console.log('');
+}
+
+// For each state, lists the variables its chapters use that the state data
+// cannot resolve, with the chapter and slides using each one. Returns true
+// when anything is missing.
+function printMissingVariableReport(stateFilter, chapterFilter) {
+    const states = stateFilter ? [stateFilter] : listStateNames();
+    const chapters = chapterFilter ? [chapterFilter] : listChapterIds();
+    const contentCache = new Map();
+    let missingCount = 0;
+
+    console.log('\n📋 Missing Variable Report');
+    console.log('─'.repeat(60));
+
+    for (const state of states) {
+        let stateVars;
+        let chapterMap;
+        try {
+            stateVars = loadStateVariables(state);
+            chapterMap = getChapterMap(state);
+        } catch (error) {
+            console.log(`\n❌ ${state}: ${error.message}`);
+            continue;
+        }
+
+        const usages = new Map();
+
+        chapters.filter(chapter => getChapterMapping(chapterMap, chapter)).forEach(chapter => {
+            if (!contentCache.has(chapter)) {
+                contentCache.set(chapter, loadContentJSON(chapter));
+            }
+            const contentData = contentCache.get(chapter);
+            const mapping = getChapterMapping(chapterMap, chapter);
+            const context = buildVariableContext(stateVars, contentData, mapping);
+
+            const slides = selectSlides(contentData.slides, state, context);
+            findMissingVariables(slides, context).forEach(({ name, slide }) => {
+                const slidesByChapter = usages.get(name) || new Map();
+                slidesByChapter.set(chapter, [...(slidesByChapter.get(chapter) || []), slide]);
+                usages.set(name, slidesByChapter);
+            });
+        });
+
+        if (usages.size === 0) {
+            console.log(`\n✅ ${state}: all variables resolved`);
+            continue;
+        }
+
+        missingCount += usages.size;
+        console.log(`\n⚠️  ${state}: ${usages.size} missing variables`);
+        [...usages.keys()].sort().forEach(name => {
+            console.log(`   - ${name}`);
+            usages.get(name).forEach((slides, chapter) => {
+                console.log(`     ${chapter}: slide${slides.length > 1 ? 's' : ''} ${slides.join(', ')}`);
+            });
+        });
+    }
+
+    console.log('─'.repeat(60));
+    return missingCount > 0;
+}
+
+// For each chapter, how much of it the locale's overlay translates: the
+// strings still in English, and overlay entries that match no string (the
+// English moved or changed after it was translated). Chapters without an
+// overlay get a count only. Returns true when anything is untranslated or
+// unmatched.
+function printTranslationReport(locale, chapterFilter) {
+    const chapters = chapterFilter ? [chapterFilter] : listChapterIds();
+    const percent = (part, whole) => whole === 0 ? 100 : Math.floor(part / whole * 100);
+    const where = slide => slide === null ? 'Metadata' : `Slide ${slide}`;
+    let totalStrings = 0;
+    let totalTranslated = 0;
+    let untranslatedChapters = 0;
+    let hasProblems = false;
+
+    console.log(`\n🌐 Translation coverage for ${locale}`);
+    console.log('─'.repeat(60));
+
+    try {
+        const { untranslated } = loadLocaleLabels(locale);
+        if (untranslated.length > 0) {
+            hasProblems = true;
+            console.log(`\n⚠️  ${LABELS_FILE}: ${untranslated.length} of ${Object.keys(DECK_LABELS).length} labels untranslated`);
+            untranslated.forEach(name => console.log(`   ${name}: ${quoteText(DECK_LABELS[name])}`));
+        } else {
+            console.log(`\n✅ ${LABELS_FILE}: all labels translated`);
+        }
+    } catch (error) {
+        console.log(`\n❌ ${error.message}`);
+        hasProblems = true;
+    }
+
+    chapters.forEach(chapter => {
+        let overlay;
+        let result;
+        try {
+            overlay = loadLocaleOverlay(chapter, locale);
+            result = translateContent(loadContentJSON(chapter), overlay);
+        } catch (error) {
+            console.log(`\n❌ ${chapter}: ${error.message}`);
+            hasProblems = true;
+            return;
+        }
+
+        const { untranslated, translated, unused } = result;
+        const total = translated + untranslated.length;
+        totalStrings += total;
+        totalTranslated += translated;
+
+        if (!overlay) {
+            untranslatedChapters++;
+            hasProblems = hasProblems || total > 0;
+            console.log(`\n❌ ${chapter}: no translation (${total} strings)`);
+            return;
+        }
+
+        if (untranslated.length === 0 && unused.length === 0) {
+            console.log(`\n✅ ${chapter}: ${translated}/${total} strings`);
+            return;
+        }
+
+        hasProblems = true;
+        console.log(`\n⚠️  ${chapter}: ${translated}/${total} strings (${percent(translated, total)}%)`);
+        untranslated.forEach(({ slide, path: fieldPath, text }) => {
+            console.log(`   ${where(slide).padEnd(9)} ${fieldPath}: ${quoteText(text.replace(/\s+/g, ' '))}`);
+        });
+        unused.forEach(({ slide, path: fieldPath }) => {
+            console.log(`   ${where(slide).padEnd(9)} ${fieldPath}: matches no string in ${chapter}.json`);
+        });
+    });
+
+    console.log(`\n📊 ${totalTranslated}/${totalStrings} strings translated (${percent(totalTranslated, totalStrings)}%)`);
+    if (untranslatedChapters > 0) {
+        console.log(`   ${untranslatedChapters} of ${chapters.length} chapters have no ${locale} translation`);
+    }
+    console.log('─'.repeat(60));
+    return hasProblems;
+}
+
 function showHelp() {
     console.log(`
 ╔════════════════════════════════════════════════════════════╗
@@ -655,23 +5989,100 @@ Usage:
 
 Options:
   --state=<name>           State name (lowercase, e.g., oklahoma)
-  --chapter=<id>           L-chapter ID (e.g., L-01, L-03)
+  --chapter=<id>           L-chapter ID (e.g., L-01, L-03, LC-36-37)
+  --concurrency=<n>        Worker threads for batch runs (default: ${CONFIG.concurrency})
+  --print-context          Show the resolved variables for --state and --chapter
+  --show-mapping           Show --state's chapter mapping and any gaps
+  --missing-report         List variables each state's data lacks, by chapter and slide
+  --strict                 Fail decks that contain unresolved placeholders
+  --force                  Rebuild decks even if their inputs are unchanged
+  --dry-run                List the decks that would be rebuilt or pruned
+  --output-pattern=<name>  Deck file names (default: ${CONFIG.outputPattern})
+                           Tokens: {chapter} 1-1, {slug} jobs-vs-careers,
+                           {lChapter} l-01, {state} oklahoma
+  --format=<html|pptx>     Output format (default: html); pptx decks get
+                           the same name ending in .pptx
+  --theme=<name|file>      Theme from themes/ or a theme file (default: the
+                           state's entry in themes/states.json); 'default'
+                           uses the template's own colors
+  --check-theme[=<name>]   Report WCAG AA contrast for a theme (all if omitted)
+  --locale=<tag>           Build decks in a locale, e.g. es or es-US, using
+                           the overlays in slide-content/<locale>/ and the
+                           locale's number formats (default: ${SOURCE_LOCALE})
+  --draft                  Mark strings left untranslated with ${UNTRANSLATED_MARKER.trim()}
+  --translation-report     List the strings and labels --locale's overlays
+                           do not translate, by chapter (--strict fails on any)
+  --audit-a11y [file]      Audit generated decks for headings, icon labels,
+                           contrast and text size (every deck in the build
+                           manifest matching --state/--chapter if omitted)
   --list-states            List all available states
   --list-chapters          List all available chapters
-  --validate <file>        Validate a content JSON file
+  --validate [file]        Validate a content JSON file (all files if omitted)
+  --migrate [file]         Upgrade content JSON to the current schemaVersion
+  --help                   Show this help
 
 Examples:
   Generate Oklahoma slides for Chapter L-03:
     node generate-slide-decks.js --state=oklahoma --chapter=L-03
 
+  Generate every chapter for Oklahoma:
+    node generate-slide-decks.js --state=oklahoma
+
+  Generate Chapter L-03 for every state on 4 workers:
+    node generate-slide-decks.js --chapter=L-03 --concurrency=4
+
+  Generate every chapter for every state:
+    node generate-slide-decks.js
+
+  Show the variables available to Oklahoma's L-03:
+    node generate-slide-decks.js --state=oklahoma --chapter=L-03 --print-context
+
+  Show Oklahoma's chapter mapping by standard:
+    node generate-slide-decks.js --show-mapping --state=oklahoma
+
+  Find variables missing from Oklahoma's state data:
+    node generate-slide-decks.js --missing-report --state=oklahoma
+
+  Export Oklahoma's L-03 as a PowerPoint file:
+    node generate-slide-decks.js --state=oklahoma --chapter=L-03 --format=pptx
+
+  Generate Oklahoma's L-03 in the print-friendly low-ink theme:
+    node generate-slide-decks.js --state=oklahoma --chapter=L-03 --theme=low-ink
+
+  Check every theme's contrast:
+    node generate-slide-decks.js --check-theme
+
+  Build Oklahoma's L-03 in Spanish, marking untranslated strings:
+    node generate-slide-decks.js --state=oklahoma --chapter=L-03 --locale=es-US --draft
+
+  Show which Spanish strings are still missing:
+    node generate-slide-decks.js --translation-report --locale=es
+
+  Audit Oklahoma's generated decks for accessibility:
+    node generate-slide-decks.js --audit-a11y --state=oklahoma
+
+  Show what a full run would rebuild:
+    node generate-slide-decks.js --dry-run
+
   List all states:
     node generate-slide-decks.js --list-states
 
   Validate content file:
     node generate-slide-decks.js --validate slide-content/L-03.json
 
+  Upgrade every content file to the current schema:
+    node generate-slide-decks.js --migrate
+
 Output:
-  Generated files are saved to: output/{state}/chapter-{X.X}-slides.html
+  Generated files are saved to: output/{state}/chapter-{X-X}-{title}-slides.html
+  (.pptx with --format=pptx, with speaker notes in the notes pane; other
+  locales add a suffix such as .es-US.html)
+  Each state folder gets an index.html listing its decks by standard, and
+  output/index.html links every state.
+  Placeholders the state data cannot fill render as [MISSING: VAR_NAME].
+  Input hashes for each deck are kept in output/build-manifest.json; decks
+  whose template, theme, content, translation, state data and mapping are
+  unchanged are skipped.
 `);
 }
 
@@ -683,6 +6094,11 @@ function main() {
     const options = parseArgs();
 
     // Handle utility commands
+    if (options.help) {
+        showHelp();
+        return;
+    }
+
     if (options.listStates) {
         listStates();
         return;
@@ -698,29 +6114,184 @@ function main() {
         process.exit(isValid ? 0 : 1);
     }
 
+    if (options.migrate) {
+        const isMigrated = migrateContentFiles(options.migrate);
+        process.exit(isMigrated ? 0 : 1);
+    }
+
+    if (options.checkTheme) {
+        const isAccessible = printThemeReport(options.checkTheme === 'all' ? null : options.checkTheme);
+        process.exit(isAccessible ? 0 : 1);
+    }
+
+    if (options.chapter) {
+        try {
+            options.chapter = resolveChapterId(options.chapter);
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        }
+    }
+
+    if (options.locale) {
+        try {
+            options.locale = resolveLocale(options.locale);
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        }
+    }
+
+    if (options.translationReport) {
+        if (!options.locale || isSourceLanguage(options.locale)) {
+            console.error('❌ --translation-report requires --locale for a translated language');
+            process.exit(1);
+        }
+        const hasUntranslated = printTranslationReport(options.locale, options.chapter);
+        process.exit(hasUntranslated && options.strict ? 1 : 0);
+    }
+
+    if (options.auditA11y) {
+        auditAccessibility(options.auditA11y, options.state, options.chapter)
+            .then(isAccessible => process.exit(isAccessible ? 0 : 1))
+            .catch(error => {
+                console.error(`❌ ${error.message}`);
+                process.exit(1);
+            });
+        return;
+    }
+
+    if (options.showMapping) {
+        if (!options.state) {
+            console.error('❌ --show-mapping requires --state');
+            process.exit(1);
+        }
+        try {
+            process.exit(printChapterMapping(options.state) ? 0 : 1);
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        }
+    }
+
+    if (options.printContext) {
+        if (!options.state || !options.chapter) {
+            console.error('❌ --print-context requires --state and --chapter');
+            process.exit(1);
+        }
+        try {
+            printVariableContext(options.state, options.chapter);
+            process.exit(0);
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        }
+    }
+
+    if (options.missingReport) {
+        try {
+            const hasMissing = printMissingVariableReport(options.state, options.chapter);
+            process.exit(hasMissing && options.strict ? 1 : 0);
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        }
+    }
+
+    if (options.outputPattern !== null && getOutputPatternError(options.outputPattern)) {
+        console.error(`❌ --output-pattern ${getOutputPatternError(options.outputPattern)}`);
+        process.exit(1);
+    }
+
+    if (!OUTPUT_FORMATS.includes(options.format)) {
+        console.error(`❌ --format must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+        process.exit(1);
+    }
+
+    if (options.concurrency !== null &&
+        (!Number.isInteger(options.concurrency) || options.concurrency < 1)) {
+        console.error('❌ --concurrency must be a positive integer');
+        process.exit(1);
+    }
+
+    // Check a --theme once up front rather than failing every deck with it
+    if (options.theme && options.theme !== 'default') {
+        try {
+            loadTheme(options.theme, loadTemplate());
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        }
+    }
+
     // Handle generation
     if (options.state && options.chapter) {
         try {
-            generateSlideDeck(options.state, options.chapter);
+            generateSlideDeck(options.state, options.chapter, {
+                force: options.force,
+                dryRun: options.dryRun,
+                strict: options.strict,
+                outputPattern: options.outputPattern || CONFIG.outputPattern,
+                format: options.format,
+                theme: options.theme,
+                locale: options.locale,
+                draft: options.draft
+            });
             process.exit(0);
         } catch (error) {
             console.error(`\n❌ Generation failed: ${error.message}`);
             console.error(error.stack);
             process.exit(1);
         }
-    } else {
-        // Show help if no valid options provided
-        showHelp();
     }
+
+    // Without both filters, generate the matching slice of the state × chapter matrix
+    generateBatch(options.state, options.chapter, {
+        concurrency: options.concurrency || CONFIG.concurrency,
+        force: options.force,
+        dryRun: options.dryRun,
+        strict: options.strict,
+        outputPattern: options.outputPattern || CONFIG.outputPattern,
+        format: options.format,
+        theme: options.theme,
+        locale: options.locale,
+        draft: options.draft
+    })
+        .then(results => {
+            process.exit(results.some(r => r.status === 'failed') ? 1 : 0);
+        })
+        .catch(error => {
+            console.error(`\n❌ Batch generation failed: ${error.message}`);
+            process.exit(1);
+        });
 }
 
-// Run main function
-main();
+// Worker threads re-load this file to generate decks; only run the CLI when
+// executed directly so the module can also be imported
+if (!isMainThread) {
+    runWorker();
+} else if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+    main();
+}
 
 // Export for testing
 export {
     generateSlideDeck,
+    generateBatch,
     validateContentJSON,
+    validateAgainstSchema,
+    migrateContent,
+    buildVariableContext,
     interpolateVariables,
-    parseChapterMapping
+    sanitizeContentHTML,
+    escapeHTML,
+    parseChapterMapping,
+    getChapterMapping,
+    flattenStateVariables,
+    collectStrings,
+    findPlaceholders,
+    loadLocaleOverlay,
+    translateContent,
+    listStateNames,
+    loadStateVariables
 };
@@ -6,16 +6,26 @@
  * Converts existing HTML slide deck files to the JSON format
  * expected by generate-slide-decks.js
  * 
+ * Every conversion is also kept in slide-content-base/. A content file that
+ * no longer matches its kept conversion has been edited by hand and is not
+ * overwritten; --merge folds the new conversion into it instead.
+ * 
  * Usage:
  *   node html-to-json-converter.js                    # Convert all
  *   node html-to-json-converter.js --chapter=L-02    # Convert single chapter
  *   node html-to-json-converter.js --test            # Test mode (L-02 only)
+ *   node html-to-json-converter.js --merge           # Keep hand edits, report conflicts
+ *   node html-to-json-converter.js --source=../decks --include='L-1*.html' --skip=L-12
+ *   node html-to-json-converter.js --verify          # Fidelity check (all chapters)
+ *   node html-to-json-converter.js --verify --chapter=L-02 --state=texas
+ *   node html-to-json-converter.js --help            # All options
  */
 
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { JSDOM } from 'jsdom';
+import { generateSlideDeck, escapeHTML, findPlaceholders, migrateContent } from './generate-slide-decks.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -24,25 +34,83 @@ const __dirname = path.dirname(__filename);
 // CONFIGURATION
 // ============================================================================
 
+// Defaults; converter.config.json (or --config=FILE) and then CLI flags
+// override them. Directories in a config file are relative to that file.
 const CONFIG = {
+    configPath: path.join(__dirname, 'converter.config.json'),
     sourceDir: path.join(__dirname, '..', 'slide-decks'),
     outputDir: path.join(__dirname, 'slide-content'),
-    // Skip L-01 and L-03 since they already exist
-    skipExisting: ['L-01', 'L-03']
+    // The last conversion of each chapter, the base for --merge
+    baseDir: path.join(__dirname, 'slide-content-base'),
+    conflictDir: path.join(__dirname, 'slide-content-conflicts'),
+    // Source file names to convert, as globs (* and ?)
+    include: ['L-*.html'],
+    exclude: [],
+    // Skip L-01 and L-03 since they were written by hand
+    skip: ['L-01', 'L-03'],
+    // --verify regenerates decks for this state and writes its report here
+    verifyState: 'oklahoma',
+    reportPath: path.join(__dirname, 'output', 'fidelity-report.html'),
+    // Chapters scoring below this need hand review
+    reviewThreshold: 95
 };
 
-// Known state variables that might appear in content
-const STATE_VARIABLES = [
-    'STATE_NAME', 'STATE_GRANT_PROGRAM', 'STATE_TUITION_PUBLIC', 'STATE_TUITION_COMMUNITY',
-    'MIN_WAGE', 'INCOME_TAX_RATE', 'SALES_TAX', 'LOCAL_SALES_TAX_MAX', 'COMBINED_SALES_TAX_MAX',
-    'PROPERTY_TAX_COUNTY_RATE', 'ASSESSMENT_PERCENTAGE', 'HOMESTEAD_EXEMPTION',
-    'MEDIAN_HOME_PRICE', 'MEDIAN_RENT', 'AVG_MORTGAGE_RATE_30YR',
-    'REGISTRATION_INITIAL', 'REGISTRATION_ANNUAL', 'GAS_PRICE_CURRENT', 'INSURANCE_AVG_TEEN',
-    'AVG_AUTO_LOAN_RATE_NEW', 'AVG_AUTO_LOAN_RATE_USED',
-    'UNEMPLOYMENT_RATE', 'MAJOR_INDUSTRIES', 'MAJOR_CITY', 'MAJOR_CITY_1', 'MAJOR_CITY_2',
-    'AVG_MONTHLY_FEE', 'AVG_OVERDRAFT_FEE', 'LOCAL_CREDIT_UNION_NAME',
-    'DMV_URL', 'TAX_AUTHORITY_URL', 'LABOR_DEPARTMENT_URL', 'CONSUMER_PROTECTION_URL'
-];
+// Keys a config file may set, and which of them are directories
+const CONFIG_FILE_KEYS = ['sourceDir', 'outputDir', 'baseDir', 'conflictDir', 'include', 'exclude', 'skip', 'verifyState', 'reportPath', 'reviewThreshold'];
+const CONFIG_PATH_KEYS = ['sourceDir', 'outputDir', 'baseDir', 'conflictDir', 'reportPath'];
+
+// Reads a converter config file; a missing default config is not an error
+function loadConfigFile(configPath, required) {
+    if (!fs.existsSync(configPath)) {
+        if (required) {
+            throw new Error(`Config file not found: ${configPath}`);
+        }
+        return {};
+    }
+    
+    let settings;
+    try {
+        settings = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Error reading ${configPath}: ${error.message}`);
+    }
+    
+    const unknown = Object.keys(settings).filter(key => !CONFIG_FILE_KEYS.includes(key));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown setting${unknown.length > 1 ? 's' : ''} in ${configPath}: ${unknown.join(', ')} (allowed: ${CONFIG_FILE_KEYS.join(', ')})`);
+    }
+    
+    CONFIG_PATH_KEYS.forEach(key => {
+        if (key in settings) {
+            settings[key] = path.resolve(path.dirname(configPath), settings[key]);
+        }
+    });
+    
+    return settings;
+}
+
+// Layers the config file and then the CLI settings over the defaults
+function applySettings(options) {
+    const configPath = options.settings.configPath || CONFIG.configPath;
+    Object.assign(CONFIG, loadConfigFile(configPath, Boolean(options.settings.configPath)), options.settings);
+}
+
+function globToRegExp(glob) {
+    const pattern = glob
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.');
+    return new RegExp(`^${pattern}$`);
+}
+
+function matchesAnyGlob(fileName, globs) {
+    return globs.some(glob => globToRegExp(glob).test(fileName));
+}
+
+// "L-01, L-03" or "L-1*.html,L-2*.html" → trimmed, non-empty items
+function splitList(value) {
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+}
 
 // ============================================================================
 // UTILITY FUNCTIONS
@@ -62,28 +130,10 @@ function extractInnerHTML(element) {
         .trim();
 }
 
+// Only real {{PLACEHOLDERS}} count; hard-coded state facts such as "$7.25"
+// are found by templatize-content.js
 function detectStateVariables(content) {
-    const found = [];
-    const contentStr = JSON.stringify(content);
-    
-    STATE_VARIABLES.forEach(varName => {
-        if (contentStr.includes(`{{${varName}}}`) || contentStr.includes(varName)) {
-            found.push(varName);
-        }
-    });
-    
-    // Also check for any {{VARIABLE}} pattern
-    const matches = contentStr.match(/\{\{([A-Z_]+)\}\}/g);
-    if (matches) {
-        matches.forEach(match => {
-            const varName = match.replace(/[{}]/g, '');
-            if (!found.includes(varName)) {
-                found.push(varName);
-            }
-        });
-    }
-    
-    return [...new Set(found)];
+    return [...findPlaceholders(content)];
 }
 
 function determineHeaderColor(headerElement) {
@@ -209,6 +259,9 @@ function detectLayout(bodyElement) {
     if (bodyElement.querySelector('.concept-full')) return 'concept-full';
     if (bodyElement.querySelector('.priority-list')) return 'priority-list';
     
+    // A table, scale or card grid with no known layout around it
+    if (findCustomBlock(bodyElement)) return 'concept-full';
+    
     return 'generic';
 }
 
@@ -297,7 +350,12 @@ function extractBalancedLayout(body) {
         const h3 = contentPanel.querySelector('h3');
         leftPanel.title = cleanText(h3?.textContent);
         
-        const paragraphs = contentPanel.querySelectorAll('p:not(.highlight-box p)');
+        const block = findCustomBlock(contentPanel);
+        if (block) {
+            leftPanel.customContent = extractCustomContent(block);
+        }
+        
+        const paragraphs = outsideBlock(contentPanel.querySelectorAll('p:not(.highlight-box p)'), block);
         paragraphs.forEach(p => {
             const text = extractInnerHTML(p);
             if (text && !text.includes('💡') && !text.includes('🎯') && !text.includes('📅')) {
@@ -309,11 +367,12 @@ function extractBalancedLayout(body) {
         if (highlightBox) {
             const highlightP = highlightBox.querySelector('p');
             const text = extractInnerHTML(highlightP);
-            // Try to extract icon from start of text
-            const iconMatch = text.match(/^([💡🎯📅🔄💰📊])\s*/);
+            // Try to extract icon from start of text; /u alternations match whole
+            // emoji rather than one half of a surrogate pair
+            const iconMatch = text.match(/^(💡|🎯|📅|🔄|💰|📊)\s*/u);
             leftPanel.highlightBox = {
                 icon: iconMatch ? iconMatch[1] : '💡',
-                text: text.replace(/^[💡🎯📅🔄💰📊]\s*/, '')
+                text: text.replace(/^(?:💡|🎯|📅|🔄|💰|📊)\s*/u, '')
             };
         }
     }
@@ -325,6 +384,11 @@ function extractBalancedLayout(body) {
     };
     
     if (statsPanel) {
+        const block = findCustomBlock(statsPanel);
+        if (block) {
+            rightPanel.customContent = extractCustomContent(block);
+        }
+        
         const statCards = statsPanel.querySelectorAll('.stat-card');
         statCards.forEach(card => {
             const number = card.querySelector('.number');
@@ -341,16 +405,16 @@ function extractBalancedLayout(body) {
             });
         });
         
-        const infoCard = statsPanel.querySelector('.info-card');
+        const infoCard = outsideBlock(statsPanel.querySelectorAll('.info-card'), block)[0];
         if (infoCard) {
-            const h4 = infoCard.querySelector('h4');
+            const heading = infoCard.querySelector('h3, h4');
             const items = infoCard.querySelectorAll('li');
             let color = 'amber';
             if (infoCard.classList.contains('blue')) color = 'blue';
             else if (infoCard.classList.contains('green')) color = 'green';
             
             rightPanel.infoCard = {
-                title: cleanText(h4?.textContent),
+                title: cleanText(heading?.textContent),
                 color: color,
                 items: Array.from(items).map(li => cleanText(li.textContent))
             };
@@ -372,7 +436,7 @@ function extractPriorityItems(list) {
     
     priorityItems.forEach((item, index) => {
         const rank = item.querySelector('.rank');
-        const h4 = item.querySelector('h4');
+        const heading = item.querySelector('h3, h4');
         const p = item.querySelector('p');
         
         let rankClass = 'first';
@@ -383,7 +447,7 @@ function extractPriorityItems(list) {
         items.push({
             rank: index + 1,
             rankClass: rankClass,
-            title: cleanText(h4?.textContent),
+            title: cleanText(heading?.textContent),
             description: cleanText(p?.textContent)
         });
     });
@@ -405,11 +469,11 @@ function extractComparisonLayout(body) {
         
         // Extract emoji from title
         const titleText = cleanText(h3?.textContent);
-        const iconMatch = titleText.match(/^([🎁💳📋🚀✓!])\s*/);
+        const iconMatch = titleText.match(/^(🎁|💳|📋|🚀|✓|!)\s*/u);
         
         return {
             icon: iconMatch ? iconMatch[1] : '',
-            title: titleText.replace(/^[🎁💳📋🚀]\s*/, ''),
+            title: titleText.replace(/^(?:🎁|💳|📋|🚀)\s*/u, ''),
             items: Array.from(items).map(li => cleanText(li.textContent))
         };
     }
@@ -477,12 +541,12 @@ function extractTakeawayLayout(body) {
     
     items.forEach((item, index) => {
         const number = item.querySelector('.number');
-        const h4 = item.querySelector('h4');
+        const heading = item.querySelector('h3, h4');
         const p = item.querySelector('p');
         
         takeaways.push({
             number: parseInt(number?.textContent) || (index + 1),
-            title: cleanText(h4?.textContent),
+            title: cleanText(heading?.textContent),
             description: cleanText(p?.textContent)
         });
     });
@@ -506,9 +570,9 @@ function extractActivityLayout(body) {
     if (mainDiv) {
         const h3 = mainDiv.querySelector('h3');
         const titleText = cleanText(h3?.textContent);
-        const iconMatch = titleText.match(/^([📋📝✍️📊])\s*/);
+        const iconMatch = titleText.match(/^(📋|📝|✍️|📊)\s*/u);
         main.icon = iconMatch ? iconMatch[1] : '📋';
-        main.title = titleText.replace(/^[📋📝✍️📊]\s*/, '');
+        main.title = titleText.replace(/^(?:📋|📝|✍️|📊)\s*/u, '');
         
         const paragraphs = mainDiv.querySelectorAll('p');
         main.description = Array.from(paragraphs).map(p => extractInnerHTML(p)).join(' ');
@@ -544,20 +608,26 @@ function extractCheckLayout(body) {
 }
 
 function extractConceptLayout(body) {
-    const concept = body.querySelector('.concept-full');
+    // Bodies holding only a structured block are read as concept-full too
+    const concept = body.querySelector('.concept-full') || (findCustomBlock(body) ? body : null);
     if (!concept) return {};
     
-    const h3 = concept.querySelector('h3');
-    const paragraphs = concept.querySelectorAll('p:not(.key-point p)');
-    const bulletItems = concept.querySelectorAll('li');
+    const block = findCustomBlock(concept);
+    const h3 = outsideBlock(concept.querySelectorAll('h3'), block)[0];
+    const paragraphs = outsideBlock(concept.querySelectorAll('p:not(.key-point p)'), block);
+    const bulletItems = outsideBlock(concept.querySelectorAll('li'), block);
     const keyPoint = concept.querySelector('.key-point');
     
     const result = {
         title: cleanText(h3?.textContent),
-        paragraphs: Array.from(paragraphs).map(p => extractInnerHTML(p)),
-        bulletPoints: Array.from(bulletItems).map(li => extractInnerHTML(li))
+        paragraphs: paragraphs.map(p => extractInnerHTML(p)),
+        bulletPoints: bulletItems.map(li => extractInnerHTML(li))
     };
     
+    if (block) {
+        result.customContent = extractCustomContent(block);
+    }
+    
     if (keyPoint) {
         const keyP = keyPoint.querySelector('p');
         result.keyPoint = {
@@ -590,6 +660,323 @@ function extractGenericLayout(body) {
     };
 }
 
+// ============================================================================
+// STRUCTURED BLOCK PARSERS
+// ============================================================================
+
+// Tables, badge rows, scales, step models and card grids become a
+// customContent block, which the generator renders with the same markup
+const CUSTOM_BLOCK_SELECTOR = 'table, .benefit-badges, .spectrum, .paced-model, .info-grid';
+
+const PALETTE_COLORS = ['purple', 'teal', 'blue', 'green', 'amber', 'rose'];
+
+// Older decks' color classes → palette colors (as in migrateContent)
+const COLOR_CLASS_ALIASES = { primary: 'purple', red: 'rose', orange: 'amber' };
+
+// House edge cells are colored by rating
+const EDGE_RATINGS = { green: 'low', low: 'low', amber: 'medium', medium: 'medium', rose: 'bad', bad: 'bad' };
+
+const LEADING_ICON = /^(\p{Extended_Pictographic}\uFE0F?)\s*/u;
+
+function getColorClass(element, fallback) {
+    for (const name of element.classList) {
+        const color = COLOR_CLASS_ALIASES[name] || name;
+        if (PALETTE_COLORS.includes(color)) return color;
+    }
+    return fallback;
+}
+
+function splitIcon(text) {
+    const match = text.match(LEADING_ICON);
+    return match
+        ? { icon: match[1], title: text.slice(match[0].length) }
+        : { icon: '', title: text };
+}
+
+// Elements that are not part of a structured block
+function outsideBlock(elements, block) {
+    return Array.from(elements).filter(element => !block || !block.contains(element));
+}
+
+// The first structured block in a container: a marked-up block, or
+// otherwise a grid of sibling cards that each have a heading and a list
+function findCustomBlock(container) {
+    if (!container) return null;
+    
+    const block = container.querySelector(CUSTOM_BLOCK_SELECTOR);
+    if (block) return block;
+    
+    return Array.from(container.querySelectorAll('*')).find(isCardGrid) || null;
+}
+
+function isCardGrid(element) {
+    const cards = Array.from(element.children);
+    return cards.length >= 2 && cards.every(card =>
+        card.querySelector(':scope > h3, :scope > h4') && card.querySelector(':scope > ul')
+    );
+}
+
+function extractCustomContent(block) {
+    if (block.matches('.house-edge-table')) return extractHouseEdgeBlock(block);
+    if (block.matches('table')) return extractTableBlock(block);
+    if (block.matches('.benefit-badges')) return extractBadgesBlock(block);
+    if (block.matches('.spectrum')) return extractSpectrumBlock(block);
+    if (block.matches('.paced-model')) return extractStepModelBlock(block);
+    return extractCardGrid(block);
+}
+
+function extractTableBlock(table) {
+    const caption = table.querySelector('caption');
+    const headerRow = table.querySelector('thead tr') || Array.from(table.rows).find(row => row.querySelector('th'));
+    const rows = Array.from(table.querySelectorAll('tr')).filter(row => row !== headerRow);
+    
+    const result = {
+        type: 'table',
+        columns: headerRow ? Array.from(headerRow.cells).map(cell => extractInnerHTML(cell)) : [],
+        rows: rows.map(row => Array.from(row.cells).map(cell => extractInnerHTML(cell)))
+    };
+    
+    if (caption) {
+        result.caption = extractInnerHTML(caption);
+    }
+    
+    return result;
+}
+
+function extractHouseEdgeBlock(table) {
+    const headerRow = table.querySelector('thead tr');
+    const rows = Array.from(table.querySelectorAll('tbody tr'));
+    const columns = headerRow ? Array.from(headerRow.cells).map(cell => cleanText(cell.textContent)) : [];
+    
+    const result = {
+        type: 'house-edge-table',
+        rows: rows.map(row => {
+            const [game, edge] = row.cells;
+            const rating = edge ? Array.from(edge.classList).map(name => EDGE_RATINGS[COLOR_CLASS_ALIASES[name] || name]).find(Boolean) : null;
+            return {
+                game: extractInnerHTML(game),
+                edge: extractInnerHTML(edge),
+                rating: rating || 'medium'
+            };
+        })
+    };
+    
+    // The generator's default headings are left out
+    if (columns.length === 2 && (columns[0] !== 'Game' || columns[1] !== 'House Edge')) {
+        result.columns = columns;
+    }
+    
+    return result;
+}
+
+function extractBadgesBlock(block) {
+    const badges = block.querySelectorAll('.benefit-badge');
+    
+    return {
+        type: 'benefit-badges',
+        items: Array.from(badges).map(badge => {
+            const label = badge.querySelector('.badge');
+            const p = badge.querySelector('p');
+            const item = { badge: extractInnerHTML(label) };
+            if (p) item.description = extractInnerHTML(p);
+            return item;
+        })
+    };
+}
+
+function extractSpectrumBlock(block) {
+    const stages = block.querySelectorAll('.spectrum-stage');
+    
+    return {
+        type: 'spectrum',
+        stages: Array.from(stages).map(stage => {
+            const label = stage.querySelector('.stage-label');
+            const p = stage.querySelector('p');
+            const result = { label: extractInnerHTML(label), color: getColorClass(stage, 'blue') };
+            if (p) result.description = extractInnerHTML(p);
+            return result;
+        })
+    };
+}
+
+function extractStepModelBlock(block) {
+    const steps = block.querySelectorAll('.paced-step');
+    
+    return {
+        type: 'paced-model',
+        steps: Array.from(steps).map(step => {
+            const letter = step.querySelector('.step-letter');
+            const heading = step.querySelector('h3, h4');
+            const p = step.querySelector('p');
+            const result = {
+                letter: cleanText(letter?.textContent),
+                title: extractInnerHTML(heading),
+                color: getColorClass(step, 'purple')
+            };
+            if (p) result.description = extractInnerHTML(p);
+            return result;
+        })
+    };
+}
+
+// .info-grid, or any grid of cards with a heading and a list each
+function extractCardGrid(grid) {
+    return {
+        type: 'info-grid',
+        cards: Array.from(grid.children).map(card => {
+            const heading = card.querySelector(':scope > h3, :scope > h4');
+            const p = card.querySelector(':scope > p');
+            const items = card.querySelectorAll('li');
+            const { icon, title } = splitIcon(extractInnerHTML(heading));
+            
+            const result = { title, color: getColorClass(card, 'amber') };
+            if (icon) result.icon = icon;
+            if (p) result.text = extractInnerHTML(p);
+            if (items.length > 0) result.items = Array.from(items).map(li => extractInnerHTML(li));
+            return result;
+        })
+    };
+}
+
+// ============================================================================
+// THREE-WAY MERGE
+// ============================================================================
+
+// Merges a new conversion into a hand-edited content file. The previous
+// conversion (the base) shows what each side changed: a value only the
+// converter changed takes the new conversion, a value only the editor
+// changed keeps the edit, and a value both changed differently keeps the
+// edit and is reported as a conflict. Objects merge key by key and arrays
+// item by item while all three have the same length; otherwise a changed
+// array is one conflict.
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isEqual(a, b) {
+    if (a === b) return true;
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.length === b.length && a.every((item, i) => isEqual(item, b[i]));
+    }
+    if (isPlainObject(a) && isPlainObject(b)) {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every(key => key in b && isEqual(a[key], b[key]));
+    }
+    return false;
+}
+
+// Returns the merged value (undefined when the key should be removed) and
+// appends { pointer, previous, edited, converted } for each conflict
+function mergeValues(base, edited, converted, pointer, conflicts) {
+    if (isEqual(edited, converted) || isEqual(base, converted)) {
+        return edited;
+    }
+    if (isEqual(base, edited)) {
+        return converted;
+    }
+    
+    const baseAt = key => (base !== null && typeof base === 'object' ? base[key] : undefined);
+    
+    if (isPlainObject(edited) && isPlainObject(converted) && isPlainObject(base)) {
+        const merged = {};
+        // Edited key order first, then keys only the new conversion has
+        const keys = [...new Set([...Object.keys(edited), ...Object.keys(converted)])];
+        keys.forEach(key => {
+            const value = mergeValues(baseAt(key), edited[key], converted[key], `${pointer}/${key}`, conflicts);
+            if (value !== undefined) {
+                merged[key] = value;
+            }
+        });
+        return merged;
+    }
+    
+    if (Array.isArray(edited) && Array.isArray(converted) && edited.length === converted.length &&
+        Array.isArray(base) && base.length === edited.length) {
+        return edited.map((item, i) => mergeValues(baseAt(i), item, converted[i], `${pointer}/${i}`, conflicts));
+    }
+    
+    // undefined (a missing key) is reported as null
+    const orNull = value => (value === undefined ? null : value);
+    conflicts.push({ pointer: pointer || '/', previous: orNull(base), edited: orNull(edited), converted: orNull(converted) });
+    return edited;
+}
+
+// Content files are kept at the current schema version; conversions are
+// migrated before they are compared or written
+function toCurrentSchema(data) {
+    return migrateContent(structuredClone(data)).data;
+}
+
+function readJSONFile(filePath) {
+    return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : null;
+}
+
+function writeJSONFile(filePath, data) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(data, null, 2) + '\n', 'utf8');
+}
+
+// A chapter with conflicts gets a report; a stale report is removed
+function writeConflictReport(lChapter, htmlFile, conflicts) {
+    const reportPath = path.join(CONFIG.conflictDir, `${lChapter}.conflicts.json`);
+    if (conflicts.length === 0) {
+        fs.rmSync(reportPath, { force: true });
+        return null;
+    }
+    
+    writeJSONFile(reportPath, {
+        lChapter,
+        source: htmlFile,
+        note: 'The edited values were kept. Apply any converted value you want by hand, then delete this file.',
+        conflicts
+    });
+    return reportPath;
+}
+
+// Writes one conversion without losing hand edits. Returns
+// { status: 'written' | 'unchanged' | 'edited' | 'merged' | 'no-base', conflicts }.
+// A chapter with no base (a fresh clone, or converted before bases were
+// kept) cannot be merged: --merge leaves the file as it is and saves this
+// conversion as the base, so the next --merge only sees later changes.
+function saveConversion(lChapter, htmlFile, converted, options = {}) {
+    const outputPath = path.join(CONFIG.outputDir, `${lChapter}.json`);
+    const basePath = path.join(CONFIG.baseDir, `${lChapter}.json`);
+    const current = readJSONFile(outputPath);
+    const base = readJSONFile(basePath);
+    const next = toCurrentSchema(converted);
+    
+    // Without a base, every difference from the new conversion counts as a hand edit
+    const previous = base ? toCurrentSchema(base) : next;
+    const edited = current !== null && !isEqual(current, previous);
+    
+    if (current !== null && edited && !options.force) {
+        if (!options.merge) {
+            return { status: 'edited', conflicts: [] };
+        }
+        
+        if (!base) {
+            writeJSONFile(basePath, converted);
+            return { status: 'no-base', conflicts: [] };
+        }
+        
+        const conflicts = [];
+        const merged = mergeValues(previous, current, next, '', conflicts);
+        writeJSONFile(outputPath, merged);
+        writeJSONFile(basePath, converted);
+        writeConflictReport(lChapter, htmlFile, conflicts);
+        return { status: 'merged', conflicts };
+    }
+    
+    writeJSONFile(basePath, converted);
+    writeConflictReport(lChapter, htmlFile, []);
+    if (current !== null && isEqual(current, next)) {
+        return { status: 'unchanged', conflicts: [] };
+    }
+    writeJSONFile(outputPath, next);
+    return { status: 'written', conflicts: [] };
+}
+
 // ============================================================================
 // MAIN CONVERSION FUNCTION
 // ============================================================================
@@ -673,6 +1060,15 @@ function convertHtmlToJson(htmlFilePath) {
     return jsonOutput;
 }
 
+// Source decks matching the include globs and none of the exclude globs,
+// with the L-chapter taken from the file name
+function listSourceDecks() {
+    return fs.readdirSync(CONFIG.sourceDir)
+        .filter(f => /^L-\d+/.test(f) && matchesAnyGlob(f, CONFIG.include) && !matchesAnyGlob(f, CONFIG.exclude))
+        .sort()
+        .map(htmlFile => ({ htmlFile, lChapter: htmlFile.match(/^(L-\d+)/)[1] }));
+}
+
 function processAllFiles(options = {}) {
     console.log('\n' + '═'.repeat(60));
     console.log('  HTML to JSON Slide Deck Converter');
@@ -683,32 +1079,26 @@ function processAllFiles(options = {}) {
         fs.mkdirSync(CONFIG.outputDir, { recursive: true });
     }
     
-    // Get list of HTML files
-    const htmlFiles = fs.readdirSync(CONFIG.sourceDir)
-        .filter(f => f.endsWith('.html') && f.startsWith('L-'))
-        .sort();
+    const htmlFiles = listSourceDecks();
     
     console.log(`\n📂 Found ${htmlFiles.length} HTML files in ${CONFIG.sourceDir}`);
     
     let processed = 0;
     let skipped = 0;
+    let edited = 0;
+    let conflicted = 0;
+    let noBase = 0;
     let errors = 0;
     
-    for (const htmlFile of htmlFiles) {
-        // Extract L-chapter from filename
-        const match = htmlFile.match(/^(L-\d+)/);
-        if (!match) continue;
-        
-        const lChapter = match[1];
-        
+    for (const { htmlFile, lChapter } of htmlFiles) {
         // Check if should process
         if (options.chapter && options.chapter !== lChapter) {
             continue;
         }
         
         // Check if should skip existing
-        if (CONFIG.skipExisting.includes(lChapter)) {
-            console.log(`\n⏭️  Skipping ${lChapter} (already exists)`);
+        if (CONFIG.skip.includes(lChapter)) {
+            console.log(`\n⏭️  Skipping ${lChapter} (in the skip list)`);
             skipped++;
             continue;
         }
@@ -716,11 +1106,29 @@ function processAllFiles(options = {}) {
         try {
             const htmlPath = path.join(CONFIG.sourceDir, htmlFile);
             const jsonData = convertHtmlToJson(htmlPath);
+            const { status, conflicts } = saveConversion(lChapter, htmlFile, jsonData, options);
+            
+            if (status === 'edited') {
+                console.log(`   ✋ Kept ${lChapter}.json: edited by hand since it was converted (use --merge, or --force to overwrite)`);
+                edited++;
+                continue;
+            }
             
-            // Write output
-            const outputPath = path.join(CONFIG.outputDir, `${lChapter}.json`);
-            fs.writeFileSync(outputPath, JSON.stringify(jsonData, null, 2), 'utf8');
-            console.log(`   💾 Saved: ${lChapter}.json`);
+            if (status === 'no-base') {
+                console.log(`   📌 No base for ${lChapter} in ${CONFIG.baseDir}: kept ${lChapter}.json as it is and saved this conversion as its base`);
+                console.log(`      The next --merge merges source changes made from now on`);
+                noBase++;
+            } else if (status === 'merged') {
+                console.log(`   🔀 Merged into ${lChapter}.json, keeping hand edits`);
+                if (conflicts.length > 0) {
+                    console.log(`   ⚠️  ${conflicts.length} conflict${conflicts.length === 1 ? '' : 's'}: see ${path.join(CONFIG.conflictDir, `${lChapter}.conflicts.json`)}`);
+                    conflicted++;
+                }
+            } else if (status === 'unchanged') {
+                console.log(`   ✓ ${lChapter}.json is up to date`);
+            } else {
+                console.log(`   💾 Saved: ${lChapter}.json`);
+            }
             
             processed++;
         } catch (error) {
@@ -733,27 +1141,399 @@ function processAllFiles(options = {}) {
     console.log(`  COMPLETE`);
     console.log(`  ✓ Processed: ${processed}`);
     console.log(`  ⏭️  Skipped: ${skipped}`);
+    if (edited > 0) console.log(`  ✋ Kept hand-edited files: ${edited} (use --merge)`);
+    if (conflicted > 0) console.log(`  ⚠️  Chapters with merge conflicts: ${conflicted} (see ${CONFIG.conflictDir})`);
+    if (noBase > 0) console.log(`  📌 Chapters with no base to merge against: ${noBase} (kept as they are; base saved)`);
     if (errors > 0) console.log(`  ❌ Errors: ${errors}`);
+    if (processed > 0) console.log(`  Next: node templatize-content.js to find hard-coded state facts`);
     console.log('═'.repeat(60) + '\n');
+    
+    return errors === 0;
+}
+
+// ============================================================================
+// FIDELITY CHECK
+// ============================================================================
+
+// Converts each source deck, regenerates it with generateSlideDeck and
+// compares the two slide by slide, so converted chapters that lost content
+// can be found and reviewed by hand.
+
+const SLIDE_TYPE_CLASSES = ['slide-title', 'slide-hook', 'slide-discussion', 'slide-closing', 'slide-content'];
+
+// <b> and <i> count as the same emphasis as <strong> and <em>
+const EMPHASIS_TAGS = { STRONG: 'strong', B: 'strong', EM: 'em', I: 'em', MARK: 'mark', U: 'u' };
+
+function compactText(text) {
+    return (text || '').replace(/\s+/g, '');
+}
+
+function getSlideType(slideEl) {
+    return SLIDE_TYPE_CLASSES.find(type => slideEl.classList.contains(type)) || 'unknown';
+}
+
+function getOwnText(element) {
+    return Array.from(element.childNodes)
+        .filter(node => node.nodeType === 3)
+        .map(node => node.textContent)
+        .join(' ');
+}
+
+// Every element with text of its own, other than emphasis inside it
+function collectTextBlocks(slideEl) {
+    return Array.from(slideEl.querySelectorAll('*'))
+        .filter(el => !EMPHASIS_TAGS[el.tagName] && cleanText(getOwnText(el)))
+        .map(el => cleanText(el.textContent));
+}
+
+function collectEmphasis(slideEl) {
+    return Array.from(slideEl.querySelectorAll(Object.keys(EMPHASIS_TAGS).join(', ')))
+        .map(el => ({ tag: EMPHASIS_TAGS[el.tagName], text: cleanText(el.textContent) }))
+        .filter(emphasis => emphasis.text);
+}
+
+// One line per element: tag, sorted classes and its own text, indented by depth
+function outlineSlide(slideEl) {
+    const lines = [];
+    
+    function walk(element, depth) {
+        const classes = Array.from(element.classList).sort().map(c => `.${c}`).join('');
+        const text = cleanText(getOwnText(element));
+        lines.push(`${'  '.repeat(depth)}${element.tagName.toLowerCase()}${classes}${text ? ` "${text}"` : ''}`);
+        Array.from(element.children).forEach(child => walk(child, depth + 1));
+    }
+    
+    walk(slideEl, 0);
+    return lines;
+}
+
+// Line diff by longest common subsequence: [{ op: 'same' | 'del' | 'ins', line }]
+function diffLines(before, after) {
+    const lengths = Array.from({ length: before.length + 1 }, () => new Array(after.length + 1).fill(0));
+    
+    for (let i = before.length - 1; i >= 0; i--) {
+        for (let j = after.length - 1; j >= 0; j--) {
+            lengths[i][j] = before[i] === after[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+    
+    const diff = [];
+    let i = 0;
+    let j = 0;
+    while (i < before.length || j < after.length) {
+        if (i < before.length && j < after.length && before[i] === after[j]) {
+            diff.push({ op: 'same', line: before[i++] });
+            j++;
+        } else if (i < before.length && (j === after.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+            diff.push({ op: 'del', line: before[i++] });
+        } else {
+            diff.push({ op: 'ins', line: after[j++] });
+        }
+    }
+    
+    return diff;
+}
+
+// Scores one slide as the share of its text blocks, emphasis and structure
+// (slide type and layout) that survived the round trip
+function compareSlides(sourceEl, generatedEl) {
+    const issues = [];
+    const generatedText = compactText(generatedEl.textContent);
+    
+    const blocks = collectTextBlocks(sourceEl);
+    const dropped = blocks.filter(text => !generatedText.includes(compactText(text)));
+    dropped.forEach(text => issues.push({ kind: 'dropped-text', message: `Dropped text: "${text}"` }));
+    
+    const generatedEmphasis = collectEmphasis(generatedEl);
+    const emphasis = collectEmphasis(sourceEl);
+    const lost = emphasis.filter(source => !generatedEmphasis.some(generated =>
+        generated.tag === source.tag && compactText(generated.text) === compactText(source.text)));
+    lost.forEach(({ tag, text }) => issues.push({ kind: 'lost-emphasis', message: `Lost emphasis: <${tag}>${text}</${tag}>` }));
+    
+    const sourceType = getSlideType(sourceEl);
+    const generatedType = getSlideType(generatedEl);
+    let structureKept = true;
+    if (sourceType !== generatedType) {
+        structureKept = false;
+        issues.push({ kind: 'wrong-type', message: `Slide type: source is ${sourceType}, regenerated as ${generatedType}` });
+    } else if (sourceType === 'slide-content') {
+        const sourceLayout = detectLayout(sourceEl.querySelector('.slide-body'));
+        const generatedLayout = detectLayout(generatedEl.querySelector('.slide-body'));
+        if (sourceLayout !== generatedLayout) {
+            structureKept = false;
+            issues.push({ kind: 'wrong-layout', message: `Layout: source is ${sourceLayout}, regenerated as ${generatedLayout}` });
+        }
+    }
+    
+    const total = blocks.length + emphasis.length + 1;
+    const kept = total - dropped.length - lost.length - (structureKept ? 0 : 1);
+    
+    return {
+        score: kept / total,
+        issues,
+        diff: diffLines(outlineSlide(sourceEl), outlineSlide(generatedEl))
+    };
+}
+
+function verifyChapter(htmlPath, lChapter, state) {
+    const sourceDoc = new JSDOM(fs.readFileSync(htmlPath, 'utf8')).window.document;
+    const jsonData = convertHtmlToJson(htmlPath);
+    const { output } = generateSlideDeck(state, lChapter, { content: jsonData, write: false, quiet: true });
+    const generatedDoc = new JSDOM(output).window.document;
+    
+    const sourceSlides = Array.from(sourceDoc.querySelectorAll('.slide'));
+    const generatedSlides = Array.from(generatedDoc.querySelectorAll('.slide'));
+    const issues = [];
+    const slides = [];
+    
+    if (sourceSlides.length !== generatedSlides.length) {
+        issues.push({
+            kind: 'slide-count',
+            message: `Slide count: source has ${sourceSlides.length}, regenerated deck has ${generatedSlides.length}`
+        });
+    }
+    
+    // A slide missing from either side scores zero
+    const count = Math.max(sourceSlides.length, generatedSlides.length);
+    for (let i = 0; i < count; i++) {
+        const sourceEl = sourceSlides[i];
+        const generatedEl = generatedSlides[i];
+        if (sourceEl && generatedEl) {
+            slides.push({ number: i + 1, ...compareSlides(sourceEl, generatedEl) });
+        } else {
+            slides.push({
+                number: i + 1,
+                score: 0,
+                issues: [{ kind: 'slide-count', message: sourceEl ? 'Missing from the regenerated deck' : 'Not in the source deck' }],
+                diff: diffLines(sourceEl ? outlineSlide(sourceEl) : [], generatedEl ? outlineSlide(generatedEl) : [])
+            });
+        }
+    }
+    
+    const score = count > 0 ? slides.reduce((sum, slide) => sum + slide.score, 0) / count : 1;
+    
+    return {
+        lChapter,
+        sourceSlides: sourceSlides.length,
+        generatedSlides: generatedSlides.length,
+        score: Math.floor(score * 100),
+        issues,
+        slides
+    };
+}
+
+function renderDiff(diff) {
+    const marks = { same: ' ', del: '-', ins: '+' };
+    return diff
+        .map(({ op, line }) => `<span class="${op}">${marks[op]} ${escapeHTML(line)}</span>`)
+        .join('\n');
+}
+
+function renderFidelityReport(results, state) {
+    const rows = [...results]
+        .sort((a, b) => (a.error ? -1 : a.score) - (b.error ? -1 : b.score))
+        .map(result => {
+            if (result.error) {
+                return `<tr class="review"><td><a href="#${result.lChapter}">${result.lChapter}</a></td><td>—</td><td colspan="2">${escapeHTML(result.error)}</td></tr>`;
+            }
+            const issueCount = result.issues.length + result.slides.reduce((sum, slide) => sum + slide.issues.length, 0);
+            const review = result.score < CONFIG.reviewThreshold ? ' class="review"' : '';
+            return `<tr${review}><td><a href="#${result.lChapter}">${result.lChapter}</a></td><td>${result.score}%</td>` +
+                `<td>${result.sourceSlides} → ${result.generatedSlides}</td><td>${issueCount}</td></tr>`;
+        });
+    
+    const chapters = results.map(result => {
+        let html = `<section id="${result.lChapter}">\n<h2>${result.lChapter}`;
+        if (result.error) {
+            return html + `</h2>\n<p class="issue">${escapeHTML(result.error)}</p>\n</section>`;
+        }
+        html += ` — ${result.score}%</h2>\n`;
+        result.issues.forEach(issue => {
+            html += `<p class="issue">${escapeHTML(issue.message)}</p>\n`;
+        });
+        result.slides.forEach(slide => {
+            const changed = slide.issues.length > 0 || slide.diff.some(line => line.op !== 'same');
+            if (!changed) return;
+            html += `<details${slide.issues.length > 0 ? ' open' : ''}>\n`;
+            html += `<summary>Slide ${slide.number} — ${Math.floor(slide.score * 100)}%</summary>\n`;
+            if (slide.issues.length > 0) {
+                html += `<ul>${slide.issues.map(issue => `<li class="issue">${escapeHTML(issue.message)}</li>`).join('')}</ul>\n`;
+            }
+            html += `<pre class="diff">${renderDiff(slide.diff)}</pre>\n</details>\n`;
+        });
+        return html + '</section>';
+    });
+    
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Converter Fidelity Report</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 32px; color: #1e293b; }
+table { border-collapse: collapse; margin-bottom: 32px; }
+th, td { border: 1px solid #e2e8f0; padding: 6px 12px; text-align: left; }
+tr.review td { background: #fff1f2; }
+.issue { color: #be123c; }
+details { margin: 8px 0; }
+summary { cursor: pointer; font-weight: 600; }
+pre.diff { background: #f8fafc; padding: 12px; overflow-x: auto; font-size: 13px; }
+pre.diff .del { background: #ffe4e6; display: block; }
+pre.diff .ins { background: #dcfce7; display: block; }
+pre.diff .same { color: #64748b; display: block; }
+</style>
+</head>
+<body>
+<h1>Converter Fidelity Report</h1>
+<p>Source decks from ${escapeHTML(CONFIG.sourceDir)} converted and regenerated for ${escapeHTML(state)}. ` +
+`Chapters below ${CONFIG.reviewThreshold}% are highlighted for hand review. ` +
+`In the diffs, <code>-</code> lines are only in the source deck and <code>+</code> lines only in the regenerated one.</p>
+<table>
+<tr><th>Chapter</th><th>Score</th><th>Slides</th><th>Issues</th></tr>
+${rows.join('\n')}
+</table>
+${chapters.join('\n')}
+</body>
+</html>
+`;
+}
+
+function verifyAllFiles(options = {}) {
+    const state = options.state || CONFIG.verifyState;
+    
+    console.log('\n' + '═'.repeat(60));
+    console.log('  Converter Fidelity Check');
+    console.log('═'.repeat(60));
+    
+    // A chapter named with --chapter is checked even if it is in the skip list
+    const decks = listSourceDecks().filter(({ lChapter }) => options.chapter
+        ? options.chapter === lChapter
+        : !CONFIG.skip.includes(lChapter));
+    const results = [];
+    
+    for (const { htmlFile, lChapter } of decks) {
+        try {
+            results.push(verifyChapter(path.join(CONFIG.sourceDir, htmlFile), lChapter, state));
+        } catch (error) {
+            console.error(`   ❌ Error checking ${htmlFile}: ${error.message}`);
+            results.push({ lChapter, error: error.message });
+        }
+    }
+    
+    fs.mkdirSync(path.dirname(CONFIG.reportPath), { recursive: true });
+    fs.writeFileSync(CONFIG.reportPath, renderFidelityReport(results, state), 'utf8');
+    
+    const review = results.filter(result => result.error || result.score < CONFIG.reviewThreshold);
+    
+    console.log('\n' + '═'.repeat(60));
+    results.forEach(result => {
+        if (result.error) return;
+        const icon = result.score < CONFIG.reviewThreshold ? '⚠️ ' : '✓';
+        console.log(`  ${icon} ${result.lChapter}: ${result.score}% (${result.sourceSlides} → ${result.generatedSlides} slides)`);
+    });
+    console.log(`\n  ${review.length} of ${results.length} chapters need hand review`);
+    console.log(`  📄 Report: ${CONFIG.reportPath}`);
+    console.log('═'.repeat(60) + '\n');
+    
+    return results;
 }
 
 // ============================================================================
 // CLI
 // ============================================================================
 
+function showHelp() {
+    console.log(`
+Usage:
+  node html-to-json-converter.js [options]            Convert source decks to slide-content/*.json
+  node html-to-json-converter.js --verify [options]   Convert, regenerate and score fidelity
+
+Options:
+  --chapter=L-XX      Only this chapter (with --verify, even one in the skip list)
+  --test              Same as --chapter=L-02
+  --merge             Three-way merge into hand-edited files; conflicts keep the edit and
+                      are written to ${path.relative(__dirname, CONFIG.conflictDir)}/L-XX.conflicts.json
+  --force             Overwrite hand-edited files
+  --config=FILE       Settings file (default: converter.config.json, if present)
+  --source=DIR        Source deck directory (default: ../slide-decks)
+  --output=DIR        Content directory (default: slide-content)
+  --base=DIR          Previous conversions, the base for --merge (default: slide-content-base)
+  --include=GLOBS     Comma-separated source file globs (default: L-*.html)
+  --exclude=GLOBS     Comma-separated source file globs to leave out
+  --skip=L-01,L-03    Chapters never converted (default: L-01,L-03; --skip= for none)
+  --state=NAME        State to regenerate decks for with --verify (default: oklahoma)
+  --help              Show this help
+
+A config file sets the same things as JSON, with directories relative to
+the file: { "sourceDir": "../decks", "include": ["L-*.html"], "skip": ["L-01"] }
+`);
+}
+
 function main() {
     const args = process.argv.slice(2);
-    const options = {};
+    const options = { settings: {} };
+    const value = arg => arg.slice(arg.indexOf('=') + 1);
     
     args.forEach(arg => {
         if (arg.startsWith('--chapter=')) {
-            options.chapter = arg.split('=')[1].toUpperCase();
+            options.chapter = value(arg).toUpperCase();
+        } else if (arg.startsWith('--state=')) {
+            options.state = value(arg).toLowerCase();
         } else if (arg === '--test') {
             options.chapter = 'L-02';
+        } else if (arg === '--verify') {
+            options.verify = true;
+        } else if (arg === '--merge') {
+            options.merge = true;
+        } else if (arg === '--force') {
+            options.force = true;
+        } else if (arg.startsWith('--config=')) {
+            options.settings.configPath = path.resolve(value(arg));
+        } else if (arg.startsWith('--source=')) {
+            options.settings.sourceDir = path.resolve(value(arg));
+        } else if (arg.startsWith('--output=')) {
+            options.settings.outputDir = path.resolve(value(arg));
+        } else if (arg.startsWith('--base=')) {
+            options.settings.baseDir = path.resolve(value(arg));
+        } else if (arg.startsWith('--include=')) {
+            options.settings.include = splitList(value(arg));
+        } else if (arg.startsWith('--exclude=')) {
+            options.settings.exclude = splitList(value(arg));
+        } else if (arg.startsWith('--skip=')) {
+            options.settings.skip = splitList(value(arg)).map(chapter => chapter.toUpperCase());
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else {
+            console.error(`❌ Unknown option: ${arg}`);
+            options.help = true;
+            options.invalid = true;
         }
     });
     
-    processAllFiles(options);
+    if (options.help) {
+        showHelp();
+        process.exit(options.invalid ? 1 : 0);
+    }
+    
+    if (options.merge && options.force) {
+        console.error('❌ --merge and --force cannot be combined');
+        process.exit(1);
+    }
+    
+    try {
+        applySettings(options);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+    
+    if (options.verify) {
+        verifyAllFiles(options);
+    } else {
+        process.exit(processAllFiles(options) ? 0 : 1);
+    }
 }
 
 main();
@@ -0,0 +1,596 @@
+/**
+ * PowerPoint Package Writer
+ *
+ * Writes a .pptx (Office Open XML) file from a simple slide model, using
+ * only Node's zlib. generate-slide-decks.js maps slide content to the model;
+ * this module knows nothing about slide types or layouts.
+ *
+ * Model (all positions and sizes in px on a 1920x1080 canvas; colors are
+ * hex strings without '#'):
+ *
+ *   {
+ *     title, author, language (BCP 47 tag, default en-US),
+ *     slides: [{
+ *       background: { color } | { gradient: [from, to], angle },
+ *       shapes: [
+ *         { type: 'rect', x, y, w, h, fill, alpha, radius, line, shape },
+ *         { type: 'text', x, y, w, h, paragraphs, fill, alpha, radius,
+ *           anchor: 'top' | 'middle' | 'bottom', inset },
+ *         { type: 'table', x, y, w, columns: [px...], rows: [[cell...]] }
+ *       ],
+ *       notes: [paragraph...]
+ *     }]
+ *   }
+ *
+ *   paragraph = { runs, size, color, bold, caps, align, spaceAfter,
+ *                 lineSpacing, bullet: 'dot' | 'number', bulletColor, lang }
+ *   run       = { text, bold, italic, color, size } | { lineBreak: true }
+ *               | { field: 'slidenum' }
+ *   cell      = { paragraphs, fill, height, inset, borderColor }
+ */
+
+import zlib from 'zlib';
+
+// ============================================================================
+// UNITS & XML HELPERS
+// ============================================================================
+
+const CANVAS_WIDTH = 1920;
+const CANVAS_HEIGHT = 1080;
+
+// 13.333in x 7.5in (16:9), so 1px = 6350 EMU = 0.5pt
+const EMU_PER_PX = 6350;
+const SLIDE_WIDTH_EMU = CANVAS_WIDTH * EMU_PER_PX;
+const SLIDE_HEIGHT_EMU = CANVAS_HEIGHT * EMU_PER_PX;
+const NOTES_WIDTH_EMU = 6858000;
+const NOTES_HEIGHT_EMU = 9144000;
+
+const FONT_FACE = 'Inter';
+const DEFAULT_LANGUAGE = 'en-US';
+
+const NS = {
+    a: 'http://schemas.openxmlformats.org/drawingml/2006/main',
+    r: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+    p: 'http://schemas.openxmlformats.org/presentationml/2006/main',
+    rel: 'http://schemas.openxmlformats.org/package/2006/relationships',
+    ct: 'http://schemas.openxmlformats.org/package/2006/content-types'
+};
+
+const PRESENTATION_NS = `xmlns:a="${NS.a}" xmlns:r="${NS.r}" xmlns:p="${NS.p}"`;
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+const REL_TYPES = {
+    officeDocument: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument',
+    coreProperties: 'http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties',
+    extendedProperties: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/extended-properties',
+    slideMaster: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/slideMaster',
+    slideLayout: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/slideLayout',
+    slide: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/slide',
+    notesMaster: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/notesMaster',
+    notesSlide: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/notesSlide',
+    theme: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/theme',
+    presProps: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/presProps',
+    viewProps: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/viewProps',
+    tableStyles: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/tableStyles'
+};
+
+const CONTENT_TYPES = {
+    presentation: 'application/vnd.openxmlformats-officedocument.presentationml.presentation.main+xml',
+    slideMaster: 'application/vnd.openxmlformats-officedocument.presentationml.slideMaster+xml',
+    slideLayout: 'application/vnd.openxmlformats-officedocument.presentationml.slideLayout+xml',
+    slide: 'application/vnd.openxmlformats-officedocument.presentationml.slide+xml',
+    notesMaster: 'application/vnd.openxmlformats-officedocument.presentationml.notesMaster+xml',
+    notesSlide: 'application/vnd.openxmlformats-officedocument.presentationml.notesSlide+xml',
+    theme: 'application/vnd.openxmlformats-officedocument.theme+xml',
+    presProps: 'application/vnd.openxmlformats-officedocument.presentationml.presProps+xml',
+    viewProps: 'application/vnd.openxmlformats-officedocument.presentationml.viewProps+xml',
+    tableStyles: 'application/vnd.openxmlformats-officedocument.presentationml.tableStyles+xml',
+    coreProperties: 'application/vnd.openxmlformats-package.core-properties+xml',
+    extendedProperties: 'application/vnd.openxmlformats-officedocument.extended-properties+xml'
+};
+
+function emu(px) {
+    return Math.round(px * EMU_PER_PX);
+}
+
+// Font sizes are given in canvas px; DrawingML wants hundredths of a point
+function fontSize(px) {
+    return Math.round(px * 50);
+}
+
+function escapeXML(value) {
+    return String(value)
+        // Characters XML 1.0 cannot carry, including unpaired surrogates
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F￾￿]|[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function relationshipsXML(relationships) {
+    const items = relationships.map(({ id, type, target }) =>
+        `<Relationship Id="${id}" Type="${REL_TYPES[type]}" Target="${target}"/>`).join('');
+    return `${XML_HEADER}<Relationships xmlns="${NS.rel}">${items}</Relationships>`;
+}
+
+// ============================================================================
+// DRAWINGML: FILLS, TEXT, SHAPES
+// ============================================================================
+
+function colorXML(color, alpha) {
+    const alphaXML = alpha !== undefined && alpha < 1 ? `<a:alpha val="${Math.round(alpha * 100000)}"/>` : '';
+    return `<a:srgbClr val="${color}">${alphaXML}</a:srgbClr>`;
+}
+
+// CSS angles run clockwise from "to top"; DrawingML's from "to right"
+function fillXML(fill, alpha) {
+    if (!fill) {
+        return '<a:noFill/>';
+    }
+    if (fill.gradient) {
+        const [from, to] = fill.gradient;
+        const angle = (((fill.angle ?? 135) - 90) % 360 + 360) % 360;
+        return `<a:gradFill rotWithShape="1"><a:gsLst>` +
+            `<a:gs pos="0">${colorXML(from, alpha)}</a:gs>` +
+            `<a:gs pos="100000">${colorXML(to, alpha)}</a:gs>` +
+            `</a:gsLst><a:lin ang="${angle * 60000}" scaled="0"/></a:gradFill>`;
+    }
+    return `<a:solidFill>${colorXML(fill.color || fill, alpha)}</a:solidFill>`;
+}
+
+function lineXML(line) {
+    if (!line) {
+        return '<a:ln><a:noFill/></a:ln>';
+    }
+    return `<a:ln w="${emu(line.width || 2)}">${fillXML(line.color)}</a:ln>`;
+}
+
+function runPropertiesXML(run, paragraph, tag = 'a:rPr') {
+    const size = run.size || paragraph.size || 24;
+    const bold = run.bold ?? paragraph.bold;
+    const color = run.color || paragraph.color;
+    const attributes = [
+        `lang="${escapeXML(paragraph.lang || DEFAULT_LANGUAGE)}"`,
+        `sz="${fontSize(size)}"`,
+        bold ? 'b="1"' : '',
+        run.italic ? 'i="1"' : '',
+        paragraph.caps ? 'cap="all"' : '',
+        'dirty="0"'
+    ].filter(Boolean).join(' ');
+
+    const fill = color ? `<a:solidFill>${colorXML(color)}</a:solidFill>` : '';
+    return `<${tag} ${attributes}>${fill}<a:latin typeface="${FONT_FACE}"/><a:cs typeface="${FONT_FACE}"/></${tag}>`;
+}
+
+function paragraphXML(paragraph, slideNumber) {
+    const align = { center: 'ctr', right: 'r', left: 'l' }[paragraph.align] || 'l';
+    let properties = '';
+
+    if (paragraph.lineSpacing) {
+        properties += `<a:lnSpc><a:spcPct val="${Math.round(paragraph.lineSpacing * 100000)}"/></a:lnSpc>`;
+    }
+    if (paragraph.spaceAfter) {
+        properties += `<a:spcAft><a:spcPts val="${Math.round(paragraph.spaceAfter * 50)}"/></a:spcAft>`;
+    }
+
+    let indent = '';
+    if (paragraph.bullet === 'dot') {
+        const size = paragraph.size || 24;
+        indent = ` marL="${emu(size * 1.2)}" indent="${-emu(size * 1.2)}"`;
+        const bulletColor = paragraph.bulletColor ? `<a:buClr>${colorXML(paragraph.bulletColor)}</a:buClr>` : '';
+        properties += `${bulletColor}<a:buFont typeface="Arial"/><a:buChar char="•"/>`;
+    } else if (paragraph.bullet === 'number') {
+        const size = paragraph.size || 24;
+        indent = ` marL="${emu(size * 1.6)}" indent="${-emu(size * 1.6)}"`;
+        const bulletColor = paragraph.bulletColor ? `<a:buClr>${colorXML(paragraph.bulletColor)}</a:buClr>` : '';
+        properties += `${bulletColor}<a:buFont typeface="+mj-lt"/><a:buAutoNum type="arabicPeriod"/>`;
+    } else {
+        properties += '<a:buNone/>';
+    }
+
+    const runs = (paragraph.runs || []).map(run => {
+        if (run.lineBreak) {
+            return `<a:br>${runPropertiesXML(run, paragraph)}</a:br>`;
+        }
+        if (run.field === 'slidenum') {
+            return `<a:fld id="{B6F15528-21DE-4FAA-801E-634DDDAF4B2B}" type="slidenum">` +
+                `${runPropertiesXML(run, paragraph)}<a:t>${slideNumber}</a:t></a:fld>`;
+        }
+        return `<a:r>${runPropertiesXML(run, paragraph)}<a:t>${escapeXML(run.text)}</a:t></a:r>`;
+    }).join('');
+
+    return `<a:p><a:pPr algn="${align}"${indent}>${properties}</a:pPr>${runs}` +
+        `${runPropertiesXML({}, paragraph, 'a:endParaRPr')}</a:p>`;
+}
+
+function textBodyXML(shape, slideNumber, tag = 'p:txBody') {
+    const inset = emu(shape.inset ?? 0);
+    const anchor = { middle: 'ctr', bottom: 'b' }[shape.anchor] || 't';
+    const paragraphs = (shape.paragraphs || []).length > 0
+        ? shape.paragraphs.map(paragraph => paragraphXML(paragraph, slideNumber)).join('')
+        : '<a:p><a:endParaRPr lang="en-US" dirty="0"/></a:p>';
+
+    return `<${tag}><a:bodyPr wrap="square" lIns="${inset}" tIns="${inset}" rIns="${inset}" bIns="${inset}" ` +
+        `anchor="${anchor}" rtlCol="0"><a:normAutofit/></a:bodyPr><a:lstStyle/>${paragraphs}</${tag}>`;
+}
+
+function geometryXML(shape) {
+    if (shape.shape === 'ellipse') {
+        return '<a:prstGeom prst="ellipse"><a:avLst/></a:prstGeom>';
+    }
+    if (shape.radius) {
+        // roundRect's adjustment is the corner radius as a share of the shorter side
+        const share = Math.min(50000, Math.round(shape.radius / Math.min(shape.w, shape.h) * 100000));
+        return `<a:prstGeom prst="roundRect"><a:avLst><a:gd name="adj" fmla="val ${share}"/></a:avLst></a:prstGeom>`;
+    }
+    return '<a:prstGeom prst="rect"><a:avLst/></a:prstGeom>';
+}
+
+function transformXML(shape, tag = 'a:xfrm') {
+    return `<${tag}><a:off x="${emu(shape.x)}" y="${emu(shape.y)}"/>` +
+        `<a:ext cx="${emu(shape.w)}" cy="${emu(shape.h)}"/></${tag}>`;
+}
+
+function shapeXML(shape, id, slideNumber) {
+    if (shape.type === 'table') {
+        return tableXML(shape, id, slideNumber);
+    }
+
+    const isText = shape.type === 'text';
+    const name = isText ? `TextBox ${id}` : `Rectangle ${id}`;
+    const textBody = isText
+        ? textBodyXML(shape, slideNumber)
+        : '';
+
+    return `<p:sp><p:nvSpPr><p:cNvPr id="${id}" name="${name}"/><p:cNvSpPr${isText ? ' txBox="1"' : ''}/><p:nvPr/></p:nvSpPr>` +
+        `<p:spPr>${transformXML(shape)}${geometryXML(shape)}${fillXML(shape.fill, shape.alpha)}${lineXML(shape.line)}</p:spPr>` +
+        `${textBody}</p:sp>`;
+}
+
+function tableCellXML(cell, slideNumber) {
+    const margin = emu(cell.inset ?? 16);
+    const border = `<a:ln w="${emu(1)}"><a:solidFill>${colorXML(cell.borderColor || 'E2E8F0')}</a:solidFill></a:ln>`;
+    const borders = ['lnL', 'lnR', 'lnT', 'lnB'].map(side => border.replace(/a:ln\b/g, `a:${side}`)).join('');
+
+    return `<a:tc>${textBodyXML({ paragraphs: cell.paragraphs }, slideNumber, 'a:txBody')
+        .replace(/<a:bodyPr[^>]*>.*?<\/a:bodyPr>/, '<a:bodyPr/>')}` +
+        `<a:tcPr marL="${margin}" marR="${margin}" marT="${margin}" marB="${margin}" anchor="ctr">` +
+        `${borders}${cell.fill ? fillXML(cell.fill) : '<a:noFill/>'}</a:tcPr></a:tc>`;
+}
+
+function tableXML(table, id, slideNumber) {
+    const height = table.rows.reduce((sum, row) => sum + (row[0].height || 60), 0);
+    const grid = table.columns.map(width => `<a:gridCol w="${emu(width)}"/>`).join('');
+    const rows = table.rows.map(row =>
+        `<a:tr h="${emu(row[0].height || 60)}">${row.map(cell => tableCellXML(cell, slideNumber)).join('')}</a:tr>`).join('');
+
+    return `<p:graphicFrame><p:nvGraphicFramePr><p:cNvPr id="${id}" name="Table ${id}"/>` +
+        `<p:cNvGraphicFramePr><a:graphicFrameLocks noGrp="1"/></p:cNvGraphicFramePr><p:nvPr/></p:nvGraphicFramePr>` +
+        `${transformXML({ ...table, h: height }, 'p:xfrm')}` +
+        `<a:graphic><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/table">` +
+        `<a:tbl><a:tblPr firstRow="1" bandRow="1"/><a:tblGrid>${grid}</a:tblGrid>${rows}</a:tbl>` +
+        `</a:graphicData></a:graphic></p:graphicFrame>`;
+}
+
+const GROUP_HEADER = '<p:nvGrpSpPr><p:cNvPr id="1" name=""/><p:cNvGrpSpPr/><p:nvPr/></p:nvGrpSpPr>' +
+    '<p:grpSpPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="0" cy="0"/><a:chOff x="0" y="0"/><a:chExt cx="0" cy="0"/></a:xfrm></p:grpSpPr>';
+
+// ============================================================================
+// PACKAGE PARTS
+// ============================================================================
+
+function slideXML(slide, slideNumber) {
+    const background = slide.background
+        ? `<p:bg><p:bgPr>${fillXML(slide.background.gradient ? slide.background : slide.background.color)}<a:effectLst/></p:bgPr></p:bg>`
+        : '';
+    const shapes = (slide.shapes || []).map((shape, index) => shapeXML(shape, index + 2, slideNumber)).join('');
+
+    return `${XML_HEADER}<p:sld ${PRESENTATION_NS}><p:cSld>${background}<p:spTree>${GROUP_HEADER}${shapes}</p:spTree></p:cSld>` +
+        '<p:clrMapOvr><a:masterClrMapping/></p:clrMapOvr></p:sld>';
+}
+
+function notesSlideXML(notes, slideNumber) {
+    const body = textBodyXML({ paragraphs: notes }, slideNumber)
+        .replace(/<a:bodyPr[^>]*>.*?<\/a:bodyPr>/, '<a:bodyPr/>');
+
+    return `${XML_HEADER}<p:notes ${PRESENTATION_NS}><p:cSld><p:spTree>${GROUP_HEADER}` +
+        '<p:sp><p:nvSpPr><p:cNvPr id="2" name="Slide Image Placeholder 1"/>' +
+        '<p:cNvSpPr><a:spLocks noGrp="1" noRot="1" noChangeAspect="1"/></p:cNvSpPr>' +
+        '<p:nvPr><p:ph type="sldImg"/></p:nvPr></p:nvSpPr><p:spPr/></p:sp>' +
+        '<p:sp><p:nvSpPr><p:cNvPr id="3" name="Notes Placeholder 2"/>' +
+        '<p:cNvSpPr><a:spLocks noGrp="1"/></p:cNvSpPr>' +
+        `<p:nvPr><p:ph type="body" idx="1"/></p:nvPr></p:nvSpPr><p:spPr/>${body}</p:sp>` +
+        '</p:spTree></p:cSld><p:clrMapOvr><a:masterClrMapping/></p:clrMapOvr></p:notes>';
+}
+
+const CLR_MAP = '<p:clrMap bg1="lt1" tx1="dk1" bg2="lt2" tx2="dk2" accent1="accent1" accent2="accent2" ' +
+    'accent3="accent3" accent4="accent4" accent5="accent5" accent6="accent6" hlink="hlink" folHlink="folHlink"/>';
+
+function slideMasterXML() {
+    const level = size => `<a:lvl1pPr><a:defRPr sz="${size}"><a:latin typeface="+mn-lt"/></a:defRPr></a:lvl1pPr>`;
+    return `${XML_HEADER}<p:sldMaster ${PRESENTATION_NS}><p:cSld><p:bg><p:bgRef idx="1001"><a:schemeClr val="bg1"/></p:bgRef></p:bg>` +
+        `<p:spTree>${GROUP_HEADER}</p:spTree></p:cSld>${CLR_MAP}` +
+        '<p:sldLayoutIdLst><p:sldLayoutId id="2147483649" r:id="rId1"/></p:sldLayoutIdLst>' +
+        `<p:txStyles><p:titleStyle>${level(4400)}</p:titleStyle><p:bodyStyle>${level(2400)}</p:bodyStyle>` +
+        `<p:otherStyle>${level(1800)}</p:otherStyle></p:txStyles></p:sldMaster>`;
+}
+
+function slideLayoutXML() {
+    return `${XML_HEADER}<p:sldLayout ${PRESENTATION_NS} type="blank" preserve="1"><p:cSld name="Blank">` +
+        `<p:spTree>${GROUP_HEADER}</p:spTree></p:cSld><p:clrMapOvr><a:masterClrMapping/></p:clrMapOvr></p:sldLayout>`;
+}
+
+function notesMasterXML() {
+    const placeholder = (id, name, type, x, y, cx, cy, idx = '') =>
+        `<p:sp><p:nvSpPr><p:cNvPr id="${id}" name="${name}"/><p:cNvSpPr><a:spLocks noGrp="1"/></p:cNvSpPr>` +
+        `<p:nvPr><p:ph type="${type}"${idx}/></p:nvPr></p:nvSpPr>` +
+        `<p:spPr><a:xfrm><a:off x="${x}" y="${y}"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm>` +
+        '<a:prstGeom prst="rect"><a:avLst/></a:prstGeom></p:spPr>' +
+        (type === 'body' ? '<p:txBody><a:bodyPr/><a:lstStyle/><a:p><a:endParaRPr lang="en-US"/></a:p></p:txBody>' : '') +
+        '</p:sp>';
+
+    return `${XML_HEADER}<p:notesMaster ${PRESENTATION_NS}><p:cSld><p:bg><p:bgRef idx="1001"><a:schemeClr val="bg1"/></p:bgRef></p:bg>` +
+        `<p:spTree>${GROUP_HEADER}` +
+        placeholder(2, 'Slide Image Placeholder 1', 'sldImg', 381000, 685800, 6096000, 3429000) +
+        placeholder(3, 'Notes Placeholder 2', 'body', 685800, 4343400, 5486400, 4114800, ' idx="1"') +
+        `</p:spTree></p:cSld>${CLR_MAP}` +
+        '<p:notesStyle><a:lvl1pPr marL="0" algn="l"><a:defRPr sz="1200"><a:solidFill><a:schemeClr val="tx1"/></a:solidFill>' +
+        '<a:latin typeface="+mn-lt"/></a:defRPr></a:lvl1pPr></p:notesStyle></p:notesMaster>';
+}
+
+// The theme carries the palette so PowerPoint's color pickers offer it
+function themeXML(palette) {
+    const scheme = [
+        ['dk1', palette.textDark], ['lt1', 'FFFFFF'], ['dk2', palette.primaryDark], ['lt2', palette.bgSlate],
+        ['accent1', palette.primary], ['accent2', palette.teal], ['accent3', palette.blue],
+        ['accent4', palette.green], ['accent5', palette.amber], ['accent6', palette.rose],
+        ['hlink', palette.blue], ['folHlink', palette.primaryDark]
+    ].map(([name, color]) => `<a:${name}><a:srgbClr val="${color}"/></a:${name}>`).join('');
+
+    const font = `<a:latin typeface="${FONT_FACE}"/><a:ea typeface=""/><a:cs typeface=""/>`;
+    const solid = '<a:solidFill><a:schemeClr val="phClr"/></a:solidFill>';
+    const line = `<a:ln w="12700">${solid}</a:ln>`;
+    const effect = '<a:effectStyle><a:effectLst/></a:effectStyle>';
+
+    return `${XML_HEADER}<a:theme xmlns:a="${NS.a}" name="PFL Academy"><a:themeElements>` +
+        `<a:clrScheme name="PFL Academy">${scheme}</a:clrScheme>` +
+        `<a:fontScheme name="PFL Academy"><a:majorFont>${font}</a:majorFont><a:minorFont>${font}</a:minorFont></a:fontScheme>` +
+        `<a:fmtScheme name="PFL Academy"><a:fillStyleLst>${solid}${solid}${solid}</a:fillStyleLst>` +
+        `<a:lnStyleLst>${line}${line}${line}</a:lnStyleLst>` +
+        `<a:effectStyleLst>${effect}${effect}${effect}</a:effectStyleLst>` +
+        `<a:bgFillStyleLst>${solid}${solid}${solid}</a:bgFillStyleLst></a:fmtScheme>` +
+        '</a:themeElements><a:objectDefaults/><a:extraClrSchemeLst/></a:theme>';
+}
+
+function presentationXML(slideCount) {
+    const slideIds = Array.from({ length: slideCount }, (_, i) => `<p:sldId id="${256 + i}" r:id="rId${10 + i}"/>`).join('');
+    return `${XML_HEADER}<p:presentation ${PRESENTATION_NS} saveSubsetFonts="1">` +
+        '<p:sldMasterIdLst><p:sldMasterId id="2147483648" r:id="rId1"/></p:sldMasterIdLst>' +
+        '<p:notesMasterIdLst><p:notesMasterId r:id="rId2"/></p:notesMasterIdLst>' +
+        `<p:sldIdLst>${slideIds}</p:sldIdLst>` +
+        `<p:sldSz cx="${SLIDE_WIDTH_EMU}" cy="${SLIDE_HEIGHT_EMU}"/><p:notesSz cx="${NOTES_WIDTH_EMU}" cy="${NOTES_HEIGHT_EMU}"/>` +
+        '</p:presentation>';
+}
+
+function contentTypesXML(slideCount, notesNumbers) {
+    const override = (part, type) => `<Override PartName="${part}" ContentType="${CONTENT_TYPES[type]}"/>`;
+    let xml = `${XML_HEADER}<Types xmlns="${NS.ct}">` +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        override('/ppt/presentation.xml', 'presentation') +
+        override('/ppt/slideMasters/slideMaster1.xml', 'slideMaster') +
+        override('/ppt/slideLayouts/slideLayout1.xml', 'slideLayout') +
+        override('/ppt/notesMasters/notesMaster1.xml', 'notesMaster') +
+        override('/ppt/theme/theme1.xml', 'theme') +
+        override('/ppt/theme/theme2.xml', 'theme') +
+        override('/ppt/presProps.xml', 'presProps') +
+        override('/ppt/viewProps.xml', 'viewProps') +
+        override('/ppt/tableStyles.xml', 'tableStyles') +
+        override('/docProps/core.xml', 'coreProperties') +
+        override('/docProps/app.xml', 'extendedProperties');
+
+    for (let i = 1; i <= slideCount; i++) {
+        xml += override(`/ppt/slides/slide${i}.xml`, 'slide');
+    }
+    notesNumbers.forEach(i => {
+        xml += override(`/ppt/notesSlides/notesSlide${i}.xml`, 'notesSlide');
+    });
+
+    return `${xml}</Types>`;
+}
+
+function corePropertiesXML(title, author) {
+    return `${XML_HEADER}<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" ` +
+        'xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" ' +
+        'xmlns:dcmitype="http://purl.org/dc/dcmitype/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">' +
+        `<dc:title>${escapeXML(title)}</dc:title><dc:creator>${escapeXML(author)}</dc:creator></cp:coreProperties>`;
+}
+
+function appPropertiesXML(slideCount, notesCount) {
+    return `${XML_HEADER}<Properties xmlns="http://schemas.openxmlformats.org/officeDocument/2006/extended-properties" ` +
+        'xmlns:vt="http://schemas.openxmlformats.org/officeDocument/2006/docPropsVTypes">' +
+        `<Application>PFL Academy Slide Deck Generator</Application><PresentationFormat>Widescreen</PresentationFormat>` +
+        `<Slides>${slideCount}</Slides><Notes>${notesCount}</Notes></Properties>`;
+}
+
+// Normal view with the notes pane open
+function viewPropertiesXML() {
+    return `${XML_HEADER}<p:viewPr ${PRESENTATION_NS}><p:normalViewPr><p:restoredLeft sz="15620"/>` +
+        '<p:restoredTop sz="75000"/></p:normalViewPr><p:gridSpacing cx="76200" cy="76200"/></p:viewPr>';
+}
+
+// ============================================================================
+// ZIP CONTAINER
+// ============================================================================
+
+// Entries are deflated and stamped 1980-01-01 so identical input gives an
+// identical file
+function createZip(entries) {
+    const DOS_DATE = (0 << 9) | (1 << 5) | 1;
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    entries.forEach(({ name, data }) => {
+        const nameBuffer = Buffer.from(name, 'utf8');
+        const raw = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8');
+        const compressed = zlib.deflateRawSync(raw, { level: 9 });
+        const crc = zlib.crc32(raw);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);          // version needed
+        local.writeUInt16LE(0x0800, 6);      // UTF-8 names
+        local.writeUInt16LE(8, 8);           // deflate
+        local.writeUInt16LE(0, 10);          // time
+        local.writeUInt16LE(DOS_DATE, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(raw.length, 22);
+        local.writeUInt16LE(nameBuffer.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);        // version made by
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt16LE(0, 12);
+        central.writeUInt16LE(DOS_DATE, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(raw.length, 24);
+        central.writeUInt16LE(nameBuffer.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        localParts.push(local, nameBuffer, compressed);
+        centralParts.push(central, nameBuffer);
+        offset += local.length + nameBuffer.length + compressed.length;
+    });
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+// Paragraphs that do not set a lang take the presentation's language
+function setLanguage(paragraphs, language) {
+    return (paragraphs || []).map(paragraph => ({ lang: language, ...paragraph }));
+}
+
+function setSlideLanguage(slide, language) {
+    const shapes = (slide.shapes || []).map(shape => {
+        if (shape.type === 'table') {
+            return { ...shape, rows: shape.rows.map(row => row.map(cell => ({ ...cell, paragraphs: setLanguage(cell.paragraphs, language) }))) };
+        }
+        return shape.paragraphs ? { ...shape, paragraphs: setLanguage(shape.paragraphs, language) } : shape;
+    });
+    return { ...slide, shapes, notes: slide.notes && setLanguage(slide.notes, language) };
+}
+
+// Builds the .pptx file for a presentation model; returns a Buffer
+function createPresentation({ title = '', author = '', language = DEFAULT_LANGUAGE, palette, slides: modelSlides }) {
+    const slides = modelSlides.map(slide => setSlideLanguage(slide, language));
+    const slideCount = slides.length;
+    const notesNumbers = [];
+    slides.forEach((slide, index) => {
+        if (slide.notes && slide.notes.length > 0) {
+            notesNumbers.push(index + 1);
+        }
+    });
+
+    const presentationRels = [
+        { id: 'rId1', type: 'slideMaster', target: 'slideMasters/slideMaster1.xml' },
+        { id: 'rId2', type: 'notesMaster', target: 'notesMasters/notesMaster1.xml' },
+        { id: 'rId3', type: 'theme', target: 'theme/theme1.xml' },
+        { id: 'rId4', type: 'presProps', target: 'presProps.xml' },
+        { id: 'rId5', type: 'viewProps', target: 'viewProps.xml' },
+        { id: 'rId6', type: 'tableStyles', target: 'tableStyles.xml' },
+        ...slides.map((_, i) => ({ id: `rId${10 + i}`, type: 'slide', target: `slides/slide${i + 1}.xml` }))
+    ];
+
+    const entries = [
+        { name: '[Content_Types].xml', data: contentTypesXML(slideCount, notesNumbers) },
+        {
+            name: '_rels/.rels',
+            data: relationshipsXML([
+                { id: 'rId1', type: 'officeDocument', target: 'ppt/presentation.xml' },
+                { id: 'rId2', type: 'coreProperties', target: 'docProps/core.xml' },
+                { id: 'rId3', type: 'extendedProperties', target: 'docProps/app.xml' }
+            ])
+        },
+        { name: 'docProps/core.xml', data: corePropertiesXML(title, author) },
+        { name: 'docProps/app.xml', data: appPropertiesXML(slideCount, notesNumbers.length) },
+        { name: 'ppt/presentation.xml', data: presentationXML(slideCount) },
+        { name: 'ppt/_rels/presentation.xml.rels', data: relationshipsXML(presentationRels) },
+        { name: 'ppt/presProps.xml', data: `${XML_HEADER}<p:presentationPr ${PRESENTATION_NS}/>` },
+        { name: 'ppt/viewProps.xml', data: viewPropertiesXML() },
+        {
+            name: 'ppt/tableStyles.xml',
+            data: `${XML_HEADER}<a:tblStyleLst xmlns:a="${NS.a}" def="{5C22544A-7EE6-4342-B048-85BDC9FD1C3A}"/>`
+        },
+        { name: 'ppt/theme/theme1.xml', data: themeXML(palette) },
+        { name: 'ppt/theme/theme2.xml', data: themeXML(palette) },
+        { name: 'ppt/slideMasters/slideMaster1.xml', data: slideMasterXML() },
+        {
+            name: 'ppt/slideMasters/_rels/slideMaster1.xml.rels',
+            data: relationshipsXML([
+                { id: 'rId1', type: 'slideLayout', target: '../slideLayouts/slideLayout1.xml' },
+                { id: 'rId2', type: 'theme', target: '../theme/theme1.xml' }
+            ])
+        },
+        { name: 'ppt/slideLayouts/slideLayout1.xml', data: slideLayoutXML() },
+        {
+            name: 'ppt/slideLayouts/_rels/slideLayout1.xml.rels',
+            data: relationshipsXML([{ id: 'rId1', type: 'slideMaster', target: '../slideMasters/slideMaster1.xml' }])
+        },
+        { name: 'ppt/notesMasters/notesMaster1.xml', data: notesMasterXML() },
+        {
+            name: 'ppt/notesMasters/_rels/notesMaster1.xml.rels',
+            data: relationshipsXML([{ id: 'rId1', type: 'theme', target: '../theme/theme2.xml' }])
+        }
+    ];
+
+    slides.forEach((slide, index) => {
+        const number = index + 1;
+        const hasNotes = notesNumbers.includes(number);
+        const slideRels = [{ id: 'rId1', type: 'slideLayout', target: '../slideLayouts/slideLayout1.xml' }];
+        if (hasNotes) {
+            slideRels.push({ id: 'rId2', type: 'notesSlide', target: `../notesSlides/notesSlide${number}.xml` });
+        }
+
+        entries.push(
+            { name: `ppt/slides/slide${number}.xml`, data: slideXML(slide, number) },
+            { name: `ppt/slides/_rels/slide${number}.xml.rels`, data: relationshipsXML(slideRels) }
+        );
+
+        if (hasNotes) {
+            entries.push(
+                { name: `ppt/notesSlides/notesSlide${number}.xml`, data: notesSlideXML(slide.notes, number) },
+                {
+                    name: `ppt/notesSlides/_rels/notesSlide${number}.xml.rels`,
+                    data: relationshipsXML([
+                        { id: 'rId1', type: 'notesMaster', target: '../notesMasters/notesMaster1.xml' },
+                        { id: 'rId2', type: 'slide', target: `../slides/slide${number}.xml` }
+                    ])
+                }
+            );
+        }
+    });
+
+    return createZip(entries);
+}
+
+export { createPresentation };
@@ -0,0 +1,624 @@
+#!/usr/bin/env node
+
+/**
+ * Slide Markdown Compiler
+ *
+ * Converts between chapter content JSON (slide-content/L-XX.json) and a
+ * Markdown source format that is easier to write and review:
+ *
+ *   ---
+ *   schemaVersion: 2
+ *   lChapter: L-03
+ *   title: Income and Taxes
+ *   stateVariablesUsed:
+ *     - STATE_NAME
+ *   ---
+ *
+ *   ## Slide 2: content
+ *
+ *   headerColor: teal
+ *   headerTitle: Key Vocabulary
+ *
+ *   ::: vocab-container
+ *   terms:
+ *     - term: Gross Income
+ *       definition: Total pay before deductions
+ *   :::
+ *
+ * Front matter holds metadata. Each "## Slide N: type" section holds one
+ * slide: its own fields (headerColor, variant, notes, ...) and its content
+ * fields as "key: value" lines, with the layout as a "::: layout-name"
+ * block around its layoutData. Nested values are indented two spaces;
+ * multi-line text (speaker notes) goes in a ``` fence. A slide taken from
+ * a partial or another chapter has a bare "## Slide" heading, with number
+ * and $ref as fields and its overrides below them.
+ *
+ * Usage:
+ *   node slide-markdown.js --decompile              # every JSON file → slide-source/*.md
+ *   node slide-markdown.js --decompile L-03         # one chapter
+ *   node slide-markdown.js --compile                # every slide-source/*.md → slide-content/*.json
+ *   node slide-markdown.js --compile slide-source/L-03.md
+ *   node slide-markdown.js --check                  # round-trip every JSON file
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { validateAgainstSchema } from './generate-slide-decks.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+    contentDir: path.join(__dirname, 'slide-content'),
+    sourceDir: path.join(__dirname, 'slide-source'),
+    schemaPath: path.join(__dirname, 'slide-content.schema.json')
+};
+
+// Slide fields; everything else in a slide section belongs to its content
+const SLIDE_FIELDS = ['number', 'type', '$ref', 'headerColor', 'variant', 'includeWhen', 'excludeStates', 'notes'];
+
+const BARE_KEY_PATTERN = /^[A-Za-z_$][\w$-]*$/;
+const ENTRY_PATTERN = /^(?:"((?:[^"\\]|\\.)*)"|([A-Za-z_$][\w$-]*)):(?: (.*))?$/;
+const NUMBER_PATTERN = /^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?$/;
+const LAYOUT_NAME_PATTERN = /^[a-z][a-z0-9-]*$/;
+const SLIDE_HEADING_PATTERN = /^## Slide(?: (\d+): ([a-z][a-z0-9-]*))?$/;
+const SCALAR_LITERALS = { true: true, false: false, null: null, '[]': [], '{}': {} };
+
+// ============================================================================
+// SERIALIZING (JSON → MARKDOWN)
+// ============================================================================
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function formatKey(key) {
+    return BARE_KEY_PATTERN.test(key) ? key : JSON.stringify(key);
+}
+
+// Strings are written bare unless they could be read back as something else
+function isPlainString(value, inSequence) {
+    return value !== '' &&
+        value === value.trim() &&
+        !/[\u0000-\u001F\u007F]/.test(value) &&
+        !value.startsWith('"') &&
+        !(value in SCALAR_LITERALS) &&
+        !NUMBER_PATTERN.test(value) &&
+        !(inSequence && (ENTRY_PATTERN.test(value) || value === '-' || value.startsWith('- ')));
+}
+
+function formatScalar(value, inSequence = false) {
+    if (typeof value === 'string') {
+        return isPlainString(value, inSequence) ? value : JSON.stringify(value);
+    }
+    if (Array.isArray(value)) {
+        return '[]';
+    }
+    if (isPlainObject(value)) {
+        return '{}';
+    }
+    return JSON.stringify(value);
+}
+
+// Multi-line text goes in a fence; other values fit on their key's line
+// unless they are non-empty arrays or objects
+function isBlockValue(value) {
+    if (typeof value === 'string') {
+        return value.includes('\n') && !/[\u0000-\u0009\u000B-\u001F\u007F]/.test(value);
+    }
+    if (Array.isArray(value)) {
+        return value.length > 0;
+    }
+    return isPlainObject(value) && Object.keys(value).length > 0;
+}
+
+function serializeFence(text, indent) {
+    const pad = ' '.repeat(indent);
+    const longestRun = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(Math.max(3, longestRun + 1));
+    return [
+        pad + fence,
+        ...text.split('\n').map(line => line === '' ? '' : pad + line),
+        pad + fence
+    ];
+}
+
+// Lines for a value nested under a "key:" or "-" line
+function serializeBlock(value, indent) {
+    if (typeof value === 'string') {
+        return serializeFence(value, indent);
+    }
+    if (Array.isArray(value)) {
+        return value.flatMap(item => serializeSequenceItem(item, indent));
+    }
+    return Object.entries(value).flatMap(([key, item]) => serializeEntry(key, item, indent));
+}
+
+function serializeEntry(key, value, indent) {
+    const line = `${' '.repeat(indent)}${formatKey(key)}:`;
+    return isBlockValue(value)
+        ? [line, ...serializeBlock(value, indent + 2)]
+        : [`${line} ${formatScalar(value)}`];
+}
+
+function serializeSequenceItem(item, indent) {
+    const pad = ' '.repeat(indent);
+    if (!isBlockValue(item)) {
+        return [`${pad}- ${formatScalar(item, true)}`];
+    }
+    if (!isPlainObject(item)) {
+        return [`${pad}-`, ...serializeBlock(item, indent + 2)];
+    }
+
+    // An object's first entry shares the "- " line
+    const lines = serializeBlock(item, indent + 2);
+    lines[0] = `${pad}- ${lines[0].slice(indent + 2)}`;
+    return lines;
+}
+
+// The layout becomes a ::: block when layoutData directly follows it
+function hasLayoutBlock(content, keys, index) {
+    return keys[index] === 'layout' &&
+        keys[index + 1] === 'layoutData' &&
+        typeof content.layout === 'string' &&
+        LAYOUT_NAME_PATTERN.test(content.layout) &&
+        isPlainObject(content.layoutData);
+}
+
+function serializeSlide(slide) {
+    const keys = Object.keys(slide);
+    const hasHeading = keys[0] === 'number' && keys[1] === 'type' &&
+        Number.isInteger(slide.number) && slide.number >= 0 &&
+        typeof slide.type === 'string' && LAYOUT_NAME_PATTERN.test(slide.type);
+
+    const lines = [hasHeading ? `## Slide ${slide.number}: ${slide.type}` : '## Slide', ''];
+    const addBlankLine = () => {
+        if (lines[lines.length - 1] !== '') {
+            lines.push('');
+        }
+    };
+    const content = slide.content;
+    // Content fields are written inline unless one would be read as a slide field
+    const inlineContent = isPlainObject(content) && Object.keys(content).length > 0 &&
+        Object.keys(content).every(key => key !== 'content' && !SLIDE_FIELDS.includes(key));
+
+    keys.slice(hasHeading ? 2 : 0).forEach(key => {
+        if (key !== 'content' || !inlineContent) {
+            lines.push(...serializeEntry(key, slide[key], 0));
+            return;
+        }
+
+        const contentKeys = Object.keys(content);
+        for (let i = 0; i < contentKeys.length; i++) {
+            if (hasLayoutBlock(content, contentKeys, i)) {
+                addBlankLine();
+                lines.push(`::: ${content.layout}`, ...serializeBlock(content.layoutData, 0), ':::', '');
+                i++;
+            } else {
+                lines.push(...serializeEntry(contentKeys[i], content[contentKeys[i]], 0));
+            }
+        }
+    });
+
+    while (lines[lines.length - 1] === '') {
+        lines.pop();
+    }
+    return lines;
+}
+
+// Converts chapter content to Markdown source
+function contentToMarkdown(data) {
+    const lines = ['---', ...serializeBlock(data.metadata || {}, 0), '---'];
+    (data.slides || []).forEach(slide => {
+        lines.push('', ...serializeSlide(slide));
+    });
+    return lines.join('\n') + '\n';
+}
+
+// ============================================================================
+// PARSING (MARKDOWN → JSON)
+// ============================================================================
+
+class MarkdownSourceError extends Error {
+    constructor(lineIndex, message) {
+        super(`line ${lineIndex + 1}: ${message}`);
+        this.name = 'MarkdownSourceError';
+    }
+}
+
+function getIndent(line) {
+    return line.length - line.trimStart().length;
+}
+
+function parseScalar(text) {
+    if (text.startsWith('"')) {
+        return JSON.parse(text);
+    }
+    if (text in SCALAR_LITERALS) {
+        const literal = SCALAR_LITERALS[text];
+        return Array.isArray(literal) ? [] : isPlainObject(literal) ? {} : literal;
+    }
+    if (NUMBER_PATTERN.test(text)) {
+        return Number(text);
+    }
+    return text;
+}
+
+// Reads "key: value" lines (and anything nested under them) at one indent.
+// Stops at the first line that is not an entry at that indent.
+class SourceReader {
+    constructor(text) {
+        this.lines = text.replace(/\r\n/g, '\n').split('\n');
+        this.index = 0;
+    }
+
+    skipBlankLines() {
+        while (this.index < this.lines.length && this.lines[this.index].trim() === '') {
+            this.index++;
+        }
+    }
+
+    peek() {
+        this.skipBlankLines();
+        return this.index < this.lines.length ? this.lines[this.index] : null;
+    }
+
+    error(message, index = this.index) {
+        return new MarkdownSourceError(index, message);
+    }
+
+    parseScalarText(text, index = this.index) {
+        try {
+            return parseScalar(text);
+        } catch (error) {
+            throw this.error(`invalid quoted string (${error.message})`, index);
+        }
+    }
+
+    // Adds entries at this indent to target until a line that is not one
+    readEntries(indent, target, onEntry = (key, value) => { target[key] = value; }) {
+        for (let line = this.peek(); line !== null && getIndent(line) === indent; line = this.peek()) {
+            const match = line.slice(indent).match(ENTRY_PATTERN);
+            if (!match) {
+                break;
+            }
+
+            const lineIndex = this.index;
+            const key = match[1] !== undefined ? JSON.parse(`"${match[1]}"`) : match[2];
+            if (Object.prototype.hasOwnProperty.call(target, key)) {
+                throw this.error(`duplicate key "${key}"`, lineIndex);
+            }
+
+            this.index++;
+            const value = match[3] === undefined || match[3] === ''
+                ? this.readBlock(indent + 2, lineIndex)
+                : this.parseScalarText(match[3], lineIndex);
+            onEntry(key, value, lineIndex);
+        }
+        return target;
+    }
+
+    // A fence, sequence or mapping nested under the line at ownerIndex
+    readBlock(indent, ownerIndex) {
+        const line = this.peek();
+        if (line === null || getIndent(line) !== indent) {
+            throw this.error('expected an indented value or ``` fence', ownerIndex);
+        }
+
+        const text = line.slice(indent);
+        if (/^`{3,}$/.test(text)) {
+            return this.readFence(indent);
+        }
+        if (text === '-' || text.startsWith('- ')) {
+            return this.readSequence(indent);
+        }
+        return this.readEntries(indent, {});
+    }
+
+    readFence(indent) {
+        const pad = ' '.repeat(indent);
+        const fence = this.lines[this.index].trim();
+        const start = this.index;
+        const lines = [];
+
+        for (this.index++; this.index < this.lines.length; this.index++) {
+            const line = this.lines[this.index];
+            if (line === pad + fence) {
+                this.index++;
+                return lines.join('\n');
+            }
+            if (line !== '' && !line.startsWith(pad)) {
+                throw this.error(`fenced text must be indented ${indent} spaces`);
+            }
+            lines.push(line.slice(indent));
+        }
+        throw this.error('unclosed ``` fence', start);
+    }
+
+    readSequence(indent) {
+        const items = [];
+        for (let line = this.peek(); line !== null && getIndent(line) === indent; line = this.peek()) {
+            const text = line.slice(indent);
+            if (text !== '-' && !text.startsWith('- ')) {
+                break;
+            }
+
+            const lineIndex = this.index;
+            const rest = text.slice(2);
+            if (rest === '') {
+                this.index++;
+                items.push(this.readBlock(indent + 2, lineIndex));
+            } else if (ENTRY_PATTERN.test(rest)) {
+                // "- key: value" starts an object whose other keys sit under
+                // it; reading the line as "  key: value" lines them up
+                this.lines[this.index] = ' '.repeat(indent + 2) + rest;
+                items.push(this.readEntries(indent + 2, {}));
+            } else {
+                this.index++;
+                items.push(this.parseScalarText(rest, lineIndex));
+            }
+        }
+        return items;
+    }
+}
+
+function parseSlide(reader, heading) {
+    const match = heading.match(SLIDE_HEADING_PATTERN);
+    if (!match) {
+        throw reader.error('expected a "## Slide N: type" heading');
+    }
+    reader.index++;
+
+    const slide = match[1] !== undefined ? { number: Number(match[1]), type: match[2] } : {};
+    let content = null;
+
+    const addContent = (key, value, lineIndex) => {
+        if (!content) {
+            content = {};
+            if ('content' in slide) {
+                throw reader.error('content fields cannot follow a "content:" entry', lineIndex);
+            }
+            slide.content = content;
+        }
+        if (Object.prototype.hasOwnProperty.call(content, key)) {
+            throw reader.error(`duplicate key "${key}"`, lineIndex);
+        }
+        content[key] = value;
+    };
+
+    const addEntry = (key, value, lineIndex) => {
+        if (SLIDE_FIELDS.includes(key)) {
+            if (Object.prototype.hasOwnProperty.call(slide, key)) {
+                throw reader.error(`duplicate key "${key}"`, lineIndex);
+            }
+            slide[key] = value;
+        } else if (key === 'content') {
+            if (content || 'content' in slide) {
+                throw reader.error('"content:" cannot be combined with content fields', lineIndex);
+            }
+            slide.content = value;
+        } else {
+            addContent(key, value, lineIndex);
+        }
+    };
+
+    for (let line = reader.peek(); line !== null && !line.startsWith('## '); line = reader.peek()) {
+        const layout = line.match(/^::: ([a-z][a-z0-9-]*)$/);
+        if (layout) {
+            const start = reader.index;
+            reader.index++;
+            const layoutData = reader.readEntries(0, {});
+            if (reader.peek() !== ':::') {
+                throw reader.error(`expected ":::" to close the ${layout[1]} block opened on line ${start + 1}`);
+            }
+            reader.index++;
+            addContent('layout', layout[1], start);
+            addContent('layoutData', layoutData, start);
+            continue;
+        }
+
+        const before = reader.index;
+        reader.readEntries(0, {}, addEntry);
+        if (reader.index === before) {
+            throw reader.error(`unexpected line: ${line.trim()}`);
+        }
+    }
+
+    return slide;
+}
+
+// Converts Markdown source to chapter content
+function markdownToContent(markdown) {
+    const reader = new SourceReader(markdown);
+
+    if (reader.peek() !== '---') {
+        throw reader.error('expected "---" front matter with the chapter metadata');
+    }
+    reader.index++;
+    const metadata = reader.readEntries(0, {});
+    if (reader.peek() !== '---') {
+        throw reader.error('expected "---" to close the front matter');
+    }
+    reader.index++;
+
+    const slides = [];
+    for (let line = reader.peek(); line !== null; line = reader.peek()) {
+        slides.push(parseSlide(reader, line));
+    }
+
+    return { metadata, slides };
+}
+
+// ============================================================================
+// COMMANDS
+// ============================================================================
+
+function loadSchema() {
+    return JSON.parse(fs.readFileSync(CONFIG.schemaPath, 'utf8'));
+}
+
+function formatJSON(data) {
+    return JSON.stringify(data, null, 2) + '\n';
+}
+
+// L-03, L-03.json or a path → the content file path
+function resolveContentFile(target) {
+    if (fs.existsSync(target)) {
+        return target;
+    }
+    return path.join(CONFIG.contentDir, target.endsWith('.json') ? target : `${target}.json`);
+}
+
+function resolveSourceFile(target) {
+    if (fs.existsSync(target)) {
+        return target;
+    }
+    return path.join(CONFIG.sourceDir, target.endsWith('.md') ? target : `${target}.md`);
+}
+
+function listFiles(dir, extension) {
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+    return fs.readdirSync(dir)
+        .filter(file => file.endsWith(extension))
+        .sort()
+        .map(file => path.join(dir, file));
+}
+
+function decompileFile(jsonPath) {
+    const name = path.basename(jsonPath, '.json');
+    const outputPath = path.join(CONFIG.sourceDir, `${name}.md`);
+    const markdown = contentToMarkdown(JSON.parse(fs.readFileSync(jsonPath, 'utf8')));
+
+    fs.mkdirSync(CONFIG.sourceDir, { recursive: true });
+    fs.writeFileSync(outputPath, markdown, 'utf8');
+    console.log(`✓ ${path.relative(__dirname, jsonPath)} → ${path.relative(__dirname, outputPath)}`);
+}
+
+// Only schema-valid content is written
+function compileFile(markdownPath, schema) {
+    const name = path.basename(markdownPath, '.md');
+    const outputPath = path.join(CONFIG.contentDir, `${name}.json`);
+    const relativePath = path.relative(__dirname, markdownPath);
+
+    let data;
+    try {
+        data = markdownToContent(fs.readFileSync(markdownPath, 'utf8'));
+    } catch (error) {
+        console.error(`❌ ${relativePath}: ${error.message}`);
+        return false;
+    }
+
+    const errors = validateAgainstSchema(data, schema, schema);
+    if (errors.length > 0) {
+        console.error(`❌ ${relativePath} does not match the content schema:`);
+        errors.forEach(error => console.error(`   - ${error}`));
+        return false;
+    }
+
+    fs.writeFileSync(outputPath, formatJSON(data), 'utf8');
+    console.log(`✓ ${relativePath} → ${path.relative(__dirname, outputPath)}`);
+    return true;
+}
+
+// Decompiles and recompiles every content file in memory and reports any
+// whose JSON comes back different
+function checkRoundTrip() {
+    const files = listFiles(CONFIG.contentDir, '.json');
+    const failures = [];
+
+    files.forEach(jsonPath => {
+        const original = fs.readFileSync(jsonPath, 'utf8');
+        const name = path.basename(jsonPath);
+        try {
+            const roundTripped = formatJSON(markdownToContent(contentToMarkdown(JSON.parse(original))));
+            if (roundTripped !== formatJSON(JSON.parse(original))) {
+                const originalLines = formatJSON(JSON.parse(original)).split('\n');
+                const lines = roundTripped.split('\n');
+                const line = originalLines.findIndex((text, i) => text !== lines[i]);
+                failures.push(`${name}: differs at JSON line ${line + 1}`);
+            }
+        } catch (error) {
+            failures.push(`${name}: ${error.message}`);
+        }
+    });
+
+    console.log(`\n🔁 Round-tripped ${files.length} content files through Markdown`);
+    console.log('─'.repeat(60));
+    if (failures.length === 0) {
+        console.log(`✅ All ${files.length} files came back identical`);
+    } else {
+        failures.forEach(failure => console.log(`❌ ${failure}`));
+    }
+    return failures.length === 0;
+}
+
+function showHelp() {
+    console.log(`
+Usage:
+  node slide-markdown.js --decompile [chapter|file]   JSON → ${path.relative(__dirname, CONFIG.sourceDir)}/*.md (all if omitted)
+  node slide-markdown.js --compile [chapter|file]     Markdown → ${path.relative(__dirname, CONFIG.contentDir)}/*.json (all if omitted)
+  node slide-markdown.js --check                      Round-trip every content file and report differences
+  node slide-markdown.js --help                       Show this help
+
+Compiled files are checked against slide-content.schema.json and are only
+written when they match it.
+`);
+}
+
+// ============================================================================
+// MAIN EXECUTION
+// ============================================================================
+
+function main() {
+    const args = process.argv.slice(2);
+    const command = args.find(arg => arg.startsWith('--'));
+    const target = args.find(arg => !arg.startsWith('--')) || null;
+
+    if (command === '--check') {
+        process.exit(checkRoundTrip() ? 0 : 1);
+    }
+
+    if (command === '--decompile') {
+        const files = target ? [resolveContentFile(target)] : listFiles(CONFIG.contentDir, '.json');
+        try {
+            files.forEach(decompileFile);
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        }
+        process.exit(0);
+    }
+
+    if (command === '--compile') {
+        const files = target ? [resolveSourceFile(target)] : listFiles(CONFIG.sourceDir, '.md');
+        if (files.length === 0) {
+            console.error(`❌ No Markdown sources in ${path.relative(__dirname, CONFIG.sourceDir)}/ (run --decompile first)`);
+            process.exit(1);
+        }
+        const schema = loadSchema();
+        const results = files.map(file => {
+            if (!fs.existsSync(file)) {
+                console.error(`❌ ${file} not found`);
+                return false;
+            }
+            return compileFile(file, schema);
+        });
+        process.exit(results.every(Boolean) ? 0 : 1);
+    }
+
+    showHelp();
+    process.exit(command && command !== '--help' && command !== '-h' ? 1 : 0);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+    main();
+}
+
+export { contentToMarkdown, markdownToContent, MarkdownSourceError };
@@ -0,0 +1,507 @@
+#!/usr/bin/env node
+
+/**
+ * State Fact Finder
+ *
+ * Looks through chapter content for hard-coded state facts: text that
+ * matches a value in one of the state data files, such as "$7.25/hr",
+ * "Oklahoma City" or "4.75%". Each match is reported with the placeholder
+ * that would replace it:
+ *
+ *   "$7.25/hr"  →  "{{MIN_WAGE|currency:2}}/hr"
+ *
+ * A distinctive number (7.25, 4.75, 195,000) is "likely" when its slide
+ * talks about the variable's subject (a slide mentioning wages for
+ * MIN_WAGE) and "possible" otherwise. A round number (10, 7%) is only
+ * reported, as "possible", when the same sentence names the subject; zero
+ * is never reported. Names and URLs are "likely" unless the slide also
+ * names another state or already uses {{STATE_NAME}}, which usually means
+ * a comparison between states.
+ *
+ * Usage:
+ *   node templatize-content.js                  # report every chapter
+ *   node templatize-content.js L-01             # one chapter
+ *   node templatize-content.js --apply          # rewrite likely matches
+ *   node templatize-content.js --interactive    # confirm each match
+ */
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline/promises';
+import { fileURLToPath } from 'url';
+import {
+    flattenStateVariables,
+    collectStrings,
+    findPlaceholders,
+    listStateNames,
+    loadStateVariables
+} from './generate-slide-decks.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+    contentDir: path.join(__dirname, 'slide-content'),
+    // Shorter text values ("OK", "TX") match too many ordinary words
+    minTextLength: 4
+};
+
+// Variables holding percentages; other numbers are dollar amounts
+const PERCENT_VARIABLE_PATTERN = /RATE|TAX|PERCENTAGE/;
+
+// Name parts that say nothing about a variable's subject
+const GENERIC_NAME_PARTS = new Set([
+    'STATE', 'AVG', 'CURRENT', 'MAX', 'INITIAL', 'ANNUAL', 'NEW', 'USED', '30YR',
+    'RATE', 'COUNTY', 'LOCAL', 'MAJOR', 'PRICE', 'AMOUNT', 'MONTHLY'
+]);
+
+// Name parts spelled differently in prose
+const NAME_PART_WORDS = {
+    MIN: 'minimum',
+    AUTO: 'car'
+};
+
+// "$10K" and "$2.5M" are not the dollar amounts they start with
+const MONEY_PATTERN = /\$(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d+))?(?![\d.,]*[KkMB]\b)/g;
+const PERCENT_PATTERN = /(?<![\d.])(\d+)(?:\.(\d+))?%/g;
+
+const US_STATE_NAMES = [
+    'Alabama', 'Alaska', 'Arizona', 'Arkansas', 'California', 'Colorado', 'Connecticut', 'Delaware',
+    'Florida', 'Georgia', 'Hawaii', 'Idaho', 'Illinois', 'Indiana', 'Iowa', 'Kansas', 'Kentucky',
+    'Louisiana', 'Maine', 'Maryland', 'Massachusetts', 'Michigan', 'Minnesota', 'Mississippi',
+    'Missouri', 'Montana', 'Nebraska', 'Nevada', 'New Hampshire', 'New Jersey', 'New Mexico',
+    'New York', 'North Carolina', 'North Dakota', 'Ohio', 'Oklahoma', 'Oregon', 'Pennsylvania',
+    'Rhode Island', 'South Carolina', 'South Dakota', 'Tennessee', 'Texas', 'Utah', 'Vermont',
+    'Virginia', 'Washington', 'West Virginia', 'Wisconsin', 'Wyoming'
+];
+
+// The deck's own state, already templatized: {{STATE_NAME}}, {{STATE_NAME|possessive}}
+const STATE_NAME_PLACEHOLDER_PATTERN = /\{\{\s*STATE_NAME\s*[|}]/;
+
+// ============================================================================
+// STATE FACTS
+// ============================================================================
+
+// Every state's data file, as { oklahoma: {...}, texas: {...} }
+function loadAllStateData() {
+    return Object.fromEntries(listStateNames().map(state => [state, loadStateVariables(state)]));
+}
+
+// Every state value worth looking for, as
+// [{ name, kind: 'money' | 'percent' | 'text', value, states: [...] }].
+// stateData defaults to every state in the state data folder.
+function loadStateFacts(stateData = loadAllStateData()) {
+    const facts = new Map();
+
+    Object.entries(stateData).forEach(([state, data]) => {
+        const variables = {};
+        flattenStateVariables(data, [], variables);
+
+        Object.entries(variables).forEach(([name, value]) => {
+            let kind;
+            if (value === 0) {
+                return;
+            } else if (typeof value === 'number') {
+                kind = PERCENT_VARIABLE_PATTERN.test(name) ? 'percent' : 'money';
+            } else if (typeof value === 'string' && value.length >= CONFIG.minTextLength) {
+                kind = 'text';
+            } else {
+                return;
+            }
+
+            const key = `${name}=${value}`;
+            if (!facts.has(key)) {
+                facts.set(key, { name, kind, value, states: [] });
+            }
+            facts.get(key).states.push(state);
+        });
+    });
+
+    return [...facts.values()];
+}
+
+// Words a slide about this variable would likely use
+function getSubjectWords(name) {
+    return name.split('_')
+        .filter(part => !GENERIC_NAME_PARTS.has(part) && !/^\d+$/.test(part))
+        .map(part => NAME_PART_WORDS[part] || part.toLowerCase());
+}
+
+function mentionsSubject(name, text) {
+    const lower = text.toLowerCase();
+    return getSubjectWords(name).some(word => new RegExp(`\\b${word}`).test(lower));
+}
+
+// Whether the text names a US state other than the matched value. A
+// {{STATE_NAME}} placeholder counts: text that already says "your state"
+// and also names Texas is comparing the two.
+function mentionsOtherState(text, literal) {
+    return STATE_NAME_PLACEHOLDER_PATTERN.test(text) ||
+        US_STATE_NAMES.some(state => !literal.includes(state) && new RegExp(`\\b${state}\\b`).test(text));
+}
+
+// 7.25, 295 and 195000 are distinctive; 10, 96 and 1000 turn up everywhere
+function isDistinctiveNumber(value) {
+    if (!Number.isInteger(value)) {
+        return true;
+    }
+    return String(Math.abs(value)).replace(/0+$/, '').length >= 3;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// ============================================================================
+// MATCHING
+// ============================================================================
+
+// Character ranges of existing {{...}} tags, which are never rewritten
+function findTagRanges(text) {
+    return [...text.matchAll(/\{\{[^{}]*\}\}/g)].map(match => [match.index, match.index + match[0].length]);
+}
+
+// Numeric literals in text, as [{ start, end, literal, kind, number, decimals }]
+function findNumberLiterals(text) {
+    const literals = [];
+
+    [[MONEY_PATTERN, 'money'], [PERCENT_PATTERN, 'percent']].forEach(([pattern, kind]) => {
+        for (const match of text.matchAll(pattern)) {
+            const decimals = match[2] || '';
+            literals.push({
+                start: match.index,
+                end: match.index + match[0].length,
+                literal: match[0],
+                kind,
+                number: Number(`${match[1].replace(/,/g, '')}${decimals ? `.${decimals}` : ''}`),
+                decimals: decimals.length
+            });
+        }
+    });
+
+    return literals;
+}
+
+// The placeholder that renders a literal the way it was written
+function formatPlaceholder(name, literal) {
+    if (literal.kind === 'money') {
+        return `{{${name}|currency${literal.decimals > 0 ? `:${literal.decimals}` : ''}}}`;
+    }
+    if (literal.kind === 'percent') {
+        // percent shows up to two decimals by default, so "4.50%" needs :2
+        const natural = literal.number.toLocaleString('en-US', { maximumFractionDigits: 2 });
+        return `{{${name}|percent${literal.literal !== `${natural}%` ? `:${literal.decimals}` : ''}}}`;
+    }
+    return `{{${name}}}`;
+}
+
+// Candidates for one literal, best first: variables the slide talks about,
+// then the order they appear in the state data
+function rankCandidates(facts, slideText) {
+    return facts
+        .map(fact => ({ fact, mentioned: mentionsSubject(fact.name, slideText) }))
+        .sort((a, b) => Number(b.mentioned) - Number(a.mentioned));
+}
+
+// Hard-coded facts in one string, as [{ start, end, literal, replacement,
+// name, states, confidence, alternatives }], without overlaps
+function findFactsInText(text, slideText, facts) {
+    const tags = findTagRanges(text);
+    const insideTag = (start, end) => tags.some(([from, to]) => start < to && end > from);
+    const matches = [];
+
+    findNumberLiterals(text).forEach(literal => {
+        const candidates = facts.filter(fact => fact.kind === literal.kind && fact.value === literal.number);
+        if (candidates.length === 0 || insideTag(literal.start, literal.end)) {
+            return;
+        }
+
+        const [best, ...others] = rankCandidates(candidates, slideText);
+        let confidence = null;
+        if (isDistinctiveNumber(literal.number)) {
+            confidence = best.mentioned ? 'likely' : 'possible';
+        } else if (mentionsSubject(best.fact.name, text)) {
+            confidence = 'possible';
+        }
+        if (!confidence) {
+            return;
+        }
+
+        matches.push({
+            start: literal.start,
+            end: literal.end,
+            literal: literal.literal,
+            replacement: formatPlaceholder(best.fact.name, literal),
+            name: best.fact.name,
+            states: best.fact.states,
+            confidence,
+            alternatives: others.map(({ fact }) => fact.name)
+        });
+    });
+
+    facts.filter(fact => fact.kind === 'text').forEach(fact => {
+        const pattern = new RegExp(`(?<![\\w])${escapeRegExp(fact.value)}(?![\\w])`, 'g');
+        for (const match of text.matchAll(pattern)) {
+            const end = match.index + match[0].length;
+            if (insideTag(match.index, end)) {
+                continue;
+            }
+            matches.push({
+                start: match.index,
+                end,
+                literal: match[0],
+                replacement: `{{${fact.name}}}`,
+                name: fact.name,
+                states: fact.states,
+                confidence: mentionsOtherState(slideText, match[0]) ? 'possible' : 'likely',
+                alternatives: []
+            });
+        }
+    });
+
+    // Longest match wins where they overlap ("Oklahoma City" over "Oklahoma");
+    // among equal matches the first variable found is kept
+    const kept = [];
+    matches
+        .sort((a, b) => (b.end - b.start) - (a.end - a.start))
+        .forEach(match => {
+            const overlapping = kept.find(other => match.start < other.end && match.end > other.start);
+            if (!overlapping) {
+                kept.push(match);
+            } else if (overlapping.start === match.start && overlapping.end === match.end && overlapping.name !== match.name) {
+                overlapping.alternatives.push(match.name);
+            }
+        });
+
+    return kept.sort((a, b) => a.start - b.start);
+}
+
+// Every hard-coded fact in a chapter, as [{ pointer, text, ...match }]
+function findStateFacts(data, facts) {
+    const findings = [];
+    const scan = (value, pointer, slideText) => {
+        collectStrings(value, pointer).forEach(({ text, pointer: stringPointer }) => {
+            findFactsInText(text, slideText, facts).forEach(match => {
+                findings.push({ pointer: stringPointer, text, ...match });
+            });
+        });
+    };
+
+    const metadata = data.metadata || {};
+    ['title', 'subtitle'].forEach(key => {
+        if (typeof metadata[key] === 'string') {
+            scan(metadata[key], `/metadata/${key}`, metadata[key]);
+        }
+    });
+
+    (data.slides || []).forEach((slide, index) => {
+        const slideText = collectStrings(slide).map(({ text }) => text).join(' ');
+        scan(slide, `/slides/${index}`, slideText);
+    });
+
+    return findings;
+}
+
+// ============================================================================
+// REWRITING
+// ============================================================================
+
+function getPointer(data, pointer) {
+    return pointer.split('/').slice(1).reduce((value, key) => value[key], data);
+}
+
+function setPointer(data, pointer, newValue) {
+    const keys = pointer.split('/').slice(1);
+    const last = keys.pop();
+    keys.reduce((value, key) => value[key], data)[last] = newValue;
+}
+
+// Replaces the accepted findings and declares their variables
+function applyFindings(data, findings) {
+    const byPointer = new Map();
+    findings.forEach(finding => {
+        byPointer.set(finding.pointer, [...(byPointer.get(finding.pointer) || []), finding]);
+    });
+
+    byPointer.forEach((matches, pointer) => {
+        let text = getPointer(data, pointer);
+        [...matches]
+            .sort((a, b) => b.start - a.start)
+            .forEach(match => {
+                text = text.slice(0, match.start) + match.replacement + text.slice(match.end);
+            });
+        setPointer(data, pointer, text);
+    });
+
+    const declared = data.metadata.stateVariablesUsed || [];
+    const calculated = new Set(Object.keys(data.metadata.calculations || {}));
+    const used = [...findPlaceholders(data.slides)].filter(name => !declared.includes(name) && !calculated.has(name));
+    data.metadata.stateVariablesUsed = [...declared, ...used];
+    data.metadata.hasStateVariables = data.metadata.stateVariablesUsed.length > 0;
+}
+
+// ============================================================================
+// COMMANDS
+// ============================================================================
+
+function formatJSON(data) {
+    return JSON.stringify(data, null, 2) + '\n';
+}
+
+// L-03, L-03.json or a path → the content file path
+function resolveContentFile(target) {
+    if (fs.existsSync(target)) {
+        return target;
+    }
+    return path.join(CONFIG.contentDir, target.endsWith('.json') ? target : `${target}.json`);
+}
+
+function listContentFiles() {
+    return fs.readdirSync(CONFIG.contentDir)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .map(file => path.join(CONFIG.contentDir, file));
+}
+
+// The literal with a little of the text around it
+function getExcerpt(finding) {
+    const before = finding.text.slice(Math.max(0, finding.start - 30), finding.start);
+    const after = finding.text.slice(finding.end, finding.end + 30);
+    return `…${before}[${finding.literal}]${after}…`.replace(/\s+/g, ' ');
+}
+
+function printFinding(finding) {
+    const icon = finding.confidence === 'likely' ? '🔴' : '🟡';
+    console.log(`   ${icon} ${finding.confidence.padEnd(8)} ${finding.pointer}`);
+    console.log(`      ${getExcerpt(finding)}`);
+    console.log(`      ${finding.literal} → ${finding.replacement}  (${finding.name}: ${finding.states.join(', ')})`);
+    if (finding.alternatives.length > 0) {
+        console.log(`      also matches: ${finding.alternatives.join(', ')}`);
+    }
+}
+
+async function confirmFindings(findings, prompt) {
+    const accepted = [];
+
+    for (const finding of findings) {
+        printFinding(finding);
+        const answer = (await prompt.question('      Replace? [y/N/q] ')).trim().toLowerCase();
+        if (answer === 'q') {
+            return { accepted, quit: true };
+        }
+        if (answer === 'y') {
+            accepted.push(finding);
+        }
+    }
+
+    return { accepted, quit: false };
+}
+
+async function templatizeFiles(files, mode) {
+    const facts = loadStateFacts();
+    const prompt = mode === 'interactive'
+        ? readline.createInterface({ input: process.stdin, output: process.stdout })
+        : null;
+    let total = 0;
+    let likely = 0;
+    let rewritten = 0;
+
+    try {
+        for (const file of files) {
+            const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+            const findings = findStateFacts(data, facts);
+            if (findings.length === 0) {
+                continue;
+            }
+
+            total += findings.length;
+            likely += findings.filter(finding => finding.confidence === 'likely').length;
+            console.log(`\n🔎 ${path.basename(file)}: ${findings.length} hard-coded state fact${findings.length === 1 ? '' : 's'}`);
+
+            let accepted = [];
+            let quit = false;
+            if (mode === 'interactive') {
+                ({ accepted, quit } = await confirmFindings(findings, prompt));
+            } else {
+                findings.forEach(printFinding);
+                if (mode === 'apply') {
+                    accepted = findings.filter(finding => finding.confidence === 'likely');
+                }
+            }
+
+            if (accepted.length > 0) {
+                applyFindings(data, accepted);
+                fs.writeFileSync(file, formatJSON(data), 'utf8');
+                rewritten += accepted.length;
+                console.log(`   💾 Replaced ${accepted.length} in ${path.basename(file)}`);
+            }
+            if (quit) {
+                break;
+            }
+        }
+    } finally {
+        if (prompt) {
+            prompt.close();
+        }
+    }
+
+    console.log('\n' + '─'.repeat(60));
+    console.log(`Checked ${files.length} chapter${files.length === 1 ? '' : 's'} against ${facts.length} state values`);
+    console.log(`Found ${total} hard-coded fact${total === 1 ? '' : 's'} (${likely} likely, ${total - likely} possible)`);
+    if (mode !== 'report') {
+        console.log(`Replaced ${rewritten} with placeholders`);
+    } else if (likely > 0) {
+        console.log('Run with --apply to replace the likely ones, or --interactive to choose');
+    }
+}
+
+function showHelp() {
+    console.log(`
+Usage:
+  node templatize-content.js [chapter|file]                 Report hard-coded state facts (all chapters if omitted)
+  node templatize-content.js --apply [chapter|file]         Replace likely facts with placeholders
+  node templatize-content.js --interactive [chapter|file]   Confirm each replacement
+  node templatize-content.js --help                         Show this help
+
+Replacements update metadata.stateVariablesUsed and hasStateVariables.
+`);
+}
+
+// ============================================================================
+// MAIN EXECUTION
+// ============================================================================
+
+function main() {
+    const args = process.argv.slice(2);
+    const command = args.find(arg => arg.startsWith('--'));
+    const target = args.find(arg => !arg.startsWith('--')) || null;
+    const modes = { '--apply': 'apply', '--interactive': 'interactive' };
+
+    if (command && !modes[command]) {
+        showHelp();
+        process.exit(command === '--help' || command === '-h' ? 0 : 1);
+    }
+
+    const files = target ? [resolveContentFile(target)] : listContentFiles();
+    const missing = files.find(file => !fs.existsSync(file));
+    if (missing) {
+        console.error(`❌ ${missing} not found`);
+        process.exit(1);
+    }
+
+    templatizeFiles(files, modes[command] || 'report')
+        .catch(error => {
+            console.error(`\n❌ ${error.message}`);
+            process.exit(1);
+        });
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+    main();
+}
+
+export { loadStateFacts, findStateFacts, applyFindings };
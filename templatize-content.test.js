@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadStateFacts, findStateFacts, applyFindings } from './templatize-content.js';
+
+const facts = loadStateFacts({
+    oklahoma: {
+        state_name: 'Oklahoma',
+        taxes: { income_tax_rate: 4.75, has_state_income_tax: true, sales_tax: 4.5 }
+    },
+    texas: {
+        state_name: 'Texas',
+        taxes: { income_tax_rate: 0, has_state_income_tax: false, sales_tax: 6.25 }
+    }
+});
+
+function chapter(...texts) {
+    return {
+        metadata: { title: 'Test', stateVariablesUsed: [] },
+        slides: texts.map((text, index) => ({ number: index + 1, type: 'discussion', content: { question: text } }))
+    };
+}
+
+test('a state name with nothing to compare it to is likely', () => {
+    const [finding] = findStateFacts(chapter('Sales tax in Texas is paid on most purchases.'), facts);
+    assert.equal(finding.literal, 'Texas');
+    assert.equal(finding.confidence, 'likely');
+});
+
+test('another named state makes a state name possible', () => {
+    const [finding] = findStateFacts(chapter('Florida and Texas have no income tax.'), facts);
+    assert.equal(finding.literal, 'Texas');
+    assert.equal(finding.confidence, 'possible');
+});
+
+test('a slide already using {{STATE_NAME}} compares states (L-68 slide 14)', () => {
+    const data = chapter(
+        "Given {{STATE_NAME}}'s {{STATE_INCOME_TAX_RATE|percent}} state income tax rate,<br>" +
+        'which account type—Roth, Traditional, or Taxable—<br>would benefit you MOST at your current life stage?<br><br>' +
+        'How would your answer change if you lived in Texas (0% state tax)?'
+    );
+
+    const findings = findStateFacts(data, facts);
+    assert.deepEqual(findings.map(({ literal, confidence }) => ({ literal, confidence })), [
+        { literal: 'Texas', confidence: 'possible' }
+    ]);
+
+    // --apply rewrites only the likely findings, so the comparison survives
+    applyFindings(data, findings.filter(finding => finding.confidence === 'likely'));
+    assert.match(data.slides[0].content.question, /lived in Texas \(0% state tax\)/);
+});
+
+test('{{STATE_NAME|possessive}} counts as the deck naming its state', () => {
+    const [finding] = findStateFacts(chapter('{{STATE_NAME|possessive}} rate is lower than Texas.'), facts);
+    assert.equal(finding.confidence, 'possible');
+});